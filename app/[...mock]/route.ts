@@ -4,10 +4,65 @@ import { NextResponse } from 'next/server';
 import prisma from '../../lib/prisma.js';
 import { getRuntimeContext, readApiKeyHeader } from '../../lib/runtime-context';
 import { renderTemplate } from '../../gui-mock-api/templates.js';
+import { findMatchingRoute, matchRoute, RESOURCE_ID_PARAM } from '../../lib/mock-route-matcher.js';
+import { resolveResponseDefinition } from '../../lib/mock-response-variants.js';
+import { handleResourceRequest, RESOURCE_METHOD } from '../../lib/mock-resources.js';
+import { recordMockRequest } from '../../lib/mock-request-log.js';
+import { forwardToUpstream, recordProxiedRoute, shouldProxy } from '../../lib/mock-proxy.js';
+import {
+  createDroppedStream,
+  createTruncatedStream,
+  resolveChaosSettings,
+  rollChaos,
+} from '../../lib/mock-chaos.js';
+import { validateMockRequest } from '../../lib/mock-request-validation.js';
+import { advanceSequence, isSequenceActive, resolveSequenceClientKey } from '../../lib/mock-response-sequence.js';
+import { scheduleCallbacks } from '../../lib/mock-callbacks.js';
+import { createEventStream } from '../../lib/mock-stream.js';
+import { buildRateLimitChecks, consumeRateLimit } from '../../lib/mock-rate-limit.js';
+import { DEFAULT_FILE_CONTENT_TYPE, RESPONSE_FILE_SELECT, loadResponseFile } from '../../lib/mock-response-files.js';
+import { executeGraphqlMock, isGraphqlRequest, readGraphqlRequest } from '../../lib/mock-graphql.js';
+import { applyProjectHeaders, buildPreflightHeaders, isPreflightRequest } from '../../lib/mock-cors.js';
+import { isPaginationActive, paginateItems, resolvePaginationItems } from '../../lib/mock-pagination.js';
+import { resolveProjectNamespace } from '../../lib/mock-namespace.js';
+import {
+  applyEnvironmentToProject,
+  applyEnvironmentVariables,
+  findProjectEnvironment,
+  readRequestedEnvironment,
+  resolveEnvironmentDelay,
+} from '../../lib/mock-environments.js';
+import { buildProjectTemplateData } from '../../lib/mock-project-templates.js';
+import { buildParamKeyedVars } from '../../lib/mock-param-vars.js';
+import { loadTemplateDatasets } from '../../lib/mock-datasets.js';
 
 export const dynamic = 'force-dynamic';
 
-const SUPPORTED_METHODS = new Set(['GET', 'POST', 'PUT', 'PATCH', 'DELETE']);
+const SUPPORTED_METHODS = new Set(['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS', 'HEAD']);
+
+// The owning project carries project-wide runtime settings (chaos, ...).
+const ROUTE_INCLUDE = { vars: true, project: true, responseFile: RESPONSE_FILE_SELECT };
+
+// Lookups across every user's routes read only the columns needed to match a path; the
+// winning route is loaded with its relations afterwards.
+const ROUTE_MATCH_SELECT = { id: true, method: true, path: true, routeType: true, priority: true };
+
+// Routes whose path needs pattern matching: params, alternatives and wildcards. Resource
+// routes also answer `<path>/{resourceId}`. Regex paths are never part of a lookup across
+// users, where any tenant's expression would run on every unscoped request; they only match
+// within their own project.
+const PATTERN_ROUTE_FILTER = {
+  OR: [
+    { path: { contains: ':' } },
+    { path: { contains: '{' } },
+    { path: { contains: '*' } },
+    { routeType: 'resource' },
+  ],
+  NOT: { path: { startsWith: '^' } },
+};
+
+// Statuses that must not carry a response body.
+const NULL_BODY_STATUSES = new Set([101, 204, 205, 304]);
 
 function buildPathFromParams(params) {
   const segments = Array.isArray(params?.mock) ? params.mock : [];
@@ -42,7 +97,46 @@ function normalizeHeaders(map) {
   return headers;
 }
 
-function buildTemplateContext({ request, path, route, rawBody, jsonBody }) {
+function renderError(message) {
+  return Object.assign(new Error(message), { status: 500 });
+}
+
+// With templates enabled, header values are rendered (without HTML escaping) against the
+// request context. Headers that render empty are left out.
+function renderConfiguredHeaders(map, route, templateContext) {
+  const headers = normalizeHeaders(map);
+  if (!route.templateEnabled) return headers;
+  for (const [key, value] of Object.entries(headers)) {
+    const rendered = renderTemplate(value, templateContext, { noEscape: true }).trim();
+    if (/[\r\n]/.test(rendered)) {
+      throw renderError(`Header ${key} rendered a line break`);
+    }
+    if (rendered) headers[key] = rendered;
+    else delete headers[key];
+  }
+  return headers;
+}
+
+function renderStatusTemplate(source, templateContext) {
+  const rendered = renderTemplate(source, templateContext, { noEscape: true }).trim();
+  const status = Number(rendered);
+  if (!Number.isInteger(status) || status < 100 || status > 599) {
+    throw renderError(`Status template rendered "${rendered}", expected an HTTP status code`);
+  }
+  return status;
+}
+
+function buildTemplateContext({
+  request,
+  path,
+  params,
+  route,
+  rawBody,
+  jsonBody,
+  environment = null,
+  project = route.project,
+  datasets = null,
+}) {
   const url = new URL(request.url);
   const query = Object.fromEntries(url.searchParams.entries());
   const headers = Object.fromEntries(request.headers.entries());
@@ -50,133 +144,604 @@ function buildTemplateContext({ request, path, route, rawBody, jsonBody }) {
   for (const variable of route.vars || []) {
     vars[variable.key] = variable.value;
   }
+  const routeVars = applyEnvironmentVariables(vars, environment);
   return {
+    // `userid.101.name` vars surface as `{{userid.name}}`, as in the legacy runtime; the
+    // built-in keys below win over a param with the same name.
+    ...buildParamKeyedVars(routeVars, params),
+    ...buildProjectTemplateData(project, environment, datasets),
+    env: { name: environment?.name ?? null },
     request: {
       method: request.method,
       path,
       url: url.pathname + url.search,
+      params: params || {},
       query,
       headers,
       body: jsonBody ?? rawBody,
       rawBody,
       json: jsonBody,
     },
-    vars,
+    // Legacy admin templates reference `{{params.x}}` directly.
+    params: params || {},
+    vars: routeVars,
     now: new Date().toISOString(),
   };
 }
 
+// Only the datasets a route's templates (or the project's partials) name are loaded, and only
+// when its responses, stream events or callbacks render templates.
+async function loadRouteDatasets(route) {
+  const hasCallbacks = Array.isArray(route.callbacks) && route.callbacks.length > 0;
+  if (!route.templateEnabled && !hasCallbacks) return null;
+  const sources = [route.callbacks, route.project?.templatePartials];
+  if (route.templateEnabled) {
+    sources.push(route.responseBody, route.responseHeaders, route.responseStatusTemplate);
+    sources.push(route.responseVariants, route.responseSequence, route.stream);
+  }
+  return loadTemplateDatasets(route.projectId, ...sources);
+}
+
+// HEAD requests fall back to the GET route and are answered without a body.
+function lookupMethods(method) {
+  return method === 'HEAD' ? ['HEAD', 'GET'] : [method];
+}
+
+// Routes declared for the exact method are preferred over the HEAD -> GET fallback.
+function preferExactMethod(routes, method) {
+  return [...routes].sort((a, b) => Number(a.method !== method) - Number(b.method !== method));
+}
+
 async function selectMockRoute({ userId, projectId, method, path }) {
   if (!userId || !projectId) {
     return null;
   }
-  return prisma.mockRoute.findFirst({
-    where: { userId, projectId, method, path, enabled: true },
-    include: { vars: true },
+  const routes = await prisma.mockRoute.findMany({
+    where: { userId, projectId, method: { in: [...lookupMethods(method), RESOURCE_METHOD] }, enabled: true },
+    include: ROUTE_INCLUDE,
   });
+  return findMatchingRoute(preferExactMethod(routes, method), path);
 }
 
 async function selectMockRouteByApiKey({ apiKey }) {
   if (!apiKey) return null;
   return prisma.mockRoute.findFirst({
     where: { apiKey, enabled: true },
-    include: { vars: true },
+    include: ROUTE_INCLUDE,
   });
 }
 
+// Candidates are the routes with exactly this path (indexed) plus the pattern routes for the
+// method; findMatchingRoute ranks them together, so a higher-priority pattern still wins.
+async function findRouteAcrossUsers({ where, method, path, include }) {
+  const scope = { ...where, method: { in: [...lookupMethods(method), RESOURCE_METHOD] } };
+  const findCandidates = (filter) =>
+    prisma.mockRoute.findMany({ where: { ...scope, ...filter }, select: ROUTE_MATCH_SELECT, orderBy: { id: 'asc' } });
+
+  const [exactRoutes, patternRoutes] = await Promise.all([findCandidates({ path }), findCandidates(PATTERN_ROUTE_FILTER)]);
+  const candidates = new Map([...exactRoutes, ...patternRoutes].map((route) => [route.id, route]));
+  const match = findMatchingRoute(
+    preferExactMethod([...candidates.values()].sort((a, b) => a.id - b.id), method),
+    path
+  );
+  if (!match) return null;
+
+  const route = await prisma.mockRoute.findUnique({ where: { id: match.route.id }, include });
+  return route ? { route, params: match.params } : null;
+}
+
 async function selectPublicMockRoute({ method, path }) {
-  return prisma.mockRoute.findFirst({
-    where: { method, path, enabled: true, requireApiKey: false },
-    include: { vars: true },
+  return findRouteAcrossUsers({ where: { enabled: true, requireApiKey: false }, method, path, include: ROUTE_INCLUDE });
+}
+
+// Browsers send preflights without cookies or x-api-key, so the project is found from the
+// route (or GraphQL endpoint) the actual request is going to hit.
+async function selectPreflightProject(request, path) {
+  const namespace = await resolveProjectNamespace(request, path);
+  if (namespace) {
+    return namespace.project;
+  }
+
+  const runtime = await getRuntimeContext(request, { requireAuth: false }).catch(() => null);
+  if (runtime?.project) {
+    return runtime.project;
+  }
+
+  // Without a project no `@<name>` segment can name an environment, so the path is used as is.
+  const requestedMethod = request.headers.get('access-control-request-method').toUpperCase();
+  const match = await findRouteAcrossUsers({
+    where: { enabled: true },
+    method: requestedMethod,
+    path,
+    include: { project: true },
+  });
+  if (match) {
+    return match.route.project;
+  }
+  return prisma.project.findFirst({
+    where: { graphql: { path: ['path'], equals: path } },
+    orderBy: { id: 'asc' },
   });
 }
 
-function buildResponsePayload(route, renderedBody) {
+async function respondWithResource({ route, method, params, query, jsonBody }) {
+  try {
+    const { status, payload } = await handleResourceRequest({
+      route,
+      method,
+      recordId: params[RESOURCE_ID_PARAM],
+      body: jsonBody,
+      query,
+    });
+    const headers = new Headers({ 'cache-control': 'no-store' });
+    if (payload === null) {
+      return new NextResponse(null, { status, headers });
+    }
+    headers.set('content-type', 'application/json');
+    return new NextResponse(JSON.stringify(payload), { status, headers });
+  } catch (err) {
+    const status = err?.status || 500;
+    return NextResponse.json({ error: err?.message || 'Resource request failed' }, { status });
+  }
+}
+
+// JSON bodies are validated and re-serialized; anything else is sent exactly as configured.
+function buildResponseBody(route, renderedBody) {
   if (route.responseIsJson) {
     const parsed = safeJsonParse(renderedBody);
     if (parsed === null) {
       throw Object.assign(new Error('Stored response is not valid JSON'), { status: 500 });
     }
-    return parsed;
+    return JSON.stringify(parsed);
   }
-  return { body: renderedBody ?? '' };
+  return renderedBody ?? '';
 }
 
-async function handleMockRequest(request, context) {
-  const method = request.method.toUpperCase();
-  if (!SUPPORTED_METHODS.has(method)) {
-    return NextResponse.json({ error: 'Method not allowed' }, { status: 405 });
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function respondWithStaticRoute({ route, templateContext, apiKey, requestUrl, environment }) {
+  let definition = resolveResponseDefinition(route, templateContext.request);
+
+  // A matching variant wins; otherwise an active sequence replaces the default response.
+  if (!definition.variant && isSequenceActive(route)) {
+    const clientKey = resolveSequenceClientKey(route.responseSequence, { apiKey, headers: templateContext.request.headers });
+    const step = await advanceSequence(route, clientKey);
+    definition = {
+      ...definition,
+      step,
+      status: step.status,
+      headers: { ...definition.headers, ...step.headers },
+      body: step.body,
+      delayMs: step.delayMs,
+    };
+  }
+
+  const headers = new Headers({ 'cache-control': 'no-store' });
+  let status = definition.status;
+  try {
+    const configuredHeaders = renderConfiguredHeaders(definition.headers, route, templateContext);
+    for (const [key, value] of Object.entries(configuredHeaders)) {
+      headers.set(key, value);
+    }
+    // Variants and sequence steps keep their own status codes.
+    if (route.templateEnabled && route.responseStatusTemplate && !definition.variant && !definition.step) {
+      status = renderStatusTemplate(route.responseStatusTemplate, templateContext);
+    }
+  } catch (err) {
+    return NextResponse.json({ error: err?.message || 'Failed to render response' }, { status: err?.status || 500 });
+  }
+  if (definition.step) {
+    headers.set('x-mock-sequence-step', String(definition.step.index + 1));
+  }
+
+  let body;
+  // An uploaded file replaces the route's default body; variants and sequence steps use their own text.
+  const file = !definition.variant && !definition.step && route.responseFile ? await loadResponseFile(route.id) : null;
+  if (file) {
+    body = file.data;
+    if (!headers.has('content-type')) headers.set('content-type', file.contentType || DEFAULT_FILE_CONTENT_TYPE);
+  } else {
+    try {
+      const renderedBody = route.templateEnabled
+        ? renderTemplate(definition.body, templateContext)
+        : definition.body;
+      // Pagination slices the default response; variants and sequence steps are sent as written.
+      if (!definition.variant && !definition.step && isPaginationActive(route)) {
+        const items = resolvePaginationItems(route.pagination, { renderedBody, vars: templateContext.vars });
+        const page = paginateItems(route.pagination, items, { query: templateContext.request.query, requestUrl });
+        body = JSON.stringify(page.body);
+        for (const [key, value] of Object.entries(page.headers)) {
+          headers.set(key, value);
+        }
+        if (!headers.has('content-type')) headers.set('content-type', 'application/json');
+      } else {
+        body = buildResponseBody(route, renderedBody);
+      }
+    } catch (err) {
+      const status = err?.status || 500;
+      return NextResponse.json({ error: err?.message || 'Failed to render response' }, { status });
+    }
+    if (!headers.has('content-type')) {
+      headers.set('content-type', route.responseIsJson ? 'application/json' : 'text/plain; charset=utf-8');
+    }
+  }
+
+  const delay = resolveEnvironmentDelay(definition.delayMs, environment);
+  if (delay > 0) {
+    await sleep(delay);
+  }
+
+  return new NextResponse(NULL_BODY_STATUSES.has(status) ? null : body, {
+    status,
+    headers,
+  });
+}
+
+function respondWithStream({ request, route, templateContext }) {
+  let headers;
+  try {
+    headers = new Headers(renderConfiguredHeaders(route.responseHeaders, route, templateContext));
+  } catch (err) {
+    return NextResponse.json({ error: err?.message || 'Failed to render response' }, { status: err?.status || 500 });
+  }
+  headers.set('content-type', 'text/event-stream; charset=utf-8');
+  headers.set('cache-control', 'no-cache, no-transform');
+  headers.set('x-accel-buffering', 'no');
+  const body = createEventStream(route.stream, {
+    context: templateContext,
+    templateEnabled: route.templateEnabled,
+    signal: request.signal,
+  });
+  return new NextResponse(body, { status: 200, headers });
+}
+
+function respondWithChaosError({ status, body }) {
+  const contentType = safeJsonParse(body) === null ? 'text/plain; charset=utf-8' : 'application/json';
+  return new NextResponse(body, {
+    status,
+    headers: { 'content-type': contentType, 'cache-control': 'no-store', 'x-mock-chaos': 'error' },
+  });
+}
+
+async function truncateResponse(response) {
+  const bytes = new Uint8Array(await response.arrayBuffer());
+  const headers = new Headers(response.headers);
+  headers.delete('content-length');
+  headers.set('x-mock-chaos', 'truncated');
+  return new NextResponse(createTruncatedStream(bytes), { status: response.status, headers });
+}
+
+async function respondWithUpstream({ request, project, entry }) {
+  let upstream;
+  try {
+    upstream = await forwardToUpstream({
+      project,
+      method: entry.method,
+      path: entry.path,
+      search: new URL(request.url).search,
+      headers: entry.headers,
+      body: entry.body,
+    });
+  } catch (err) {
+    return NextResponse.json({ error: `Upstream request failed: ${err?.message || 'unknown error'}` }, { status: 502 });
   }
 
-  const path = buildPathFromParams(context.params || {});
+  if (project.proxyMode === 'record') {
+    const recorded = await recordProxiedRoute({ project, method: entry.method, path: entry.path, upstream }).catch((err) => {
+      console.error('Failed to record proxied route', err);
+      return null;
+    });
+    entry.routeId = recorded?.id ?? null;
+  }
+
+  const headers = new Headers(upstream.headers);
+  headers.set('x-mock-proxy', project.proxyMode);
+  const body = upstream.status === 204 || upstream.status === 304 ? null : upstream.buffer;
+  return new NextResponse(body, { status: upstream.status, headers });
+}
+
+// Requests no route matches go upstream when the project, as seen from the requested
+// environment, proxies; an environment may supply the only upstream base URL. Resolves to
+// null when the request is not proxied. Unknown environment names are answered with 404
+// rather than silently using the defaults.
+async function proxyUnmatchedRequest({ request, project, entry }) {
+  let environment;
+  try {
+    environment = await findProjectEnvironment(project.id, entry.environmentName);
+  } catch (err) {
+    return NextResponse.json({ error: err.message }, { status: err.status || 500 });
+  }
+  const environmentProject = applyEnvironmentToProject(project, environment);
+  if (!shouldProxy(environmentProject)) return null;
+  return respondWithUpstream({ request, project: environmentProject, entry });
+}
+
+async function respondWithGraphql({ request, project, entry }) {
+  const jsonBody = entry.body ? safeJsonParse(entry.body) : null;
+  let operation;
+  try {
+    operation = readGraphqlRequest({ method: entry.method, query: entry.query, jsonBody });
+  } catch (err) {
+    return NextResponse.json({ errors: [{ message: err.message }] }, { status: err.status || 400 });
+  }
+
+  const templateContext = buildTemplateContext({
+    request,
+    path: entry.path,
+    params: {},
+    route: {},
+    rawBody: entry.body,
+    jsonBody,
+    project,
+    datasets: await loadTemplateDatasets(project.id, project.graphql?.resolvers, project.templatePartials),
+  });
+  const result = await executeGraphqlMock(project.graphql, {
+    ...operation,
+    method: entry.method,
+    context: templateContext,
+  });
+  return NextResponse.json(result.body, { status: result.status });
+}
+
+// Strips an `@<name>` segment naming one of the project's environments from the path, and
+// records the environment the request asks for.
+async function applyRequestedEnvironment(request, entry, projectId) {
+  const requested = await readRequestedEnvironment(request, entry.path, projectId);
+  entry.path = requested.path;
+  entry.environmentName = requested.name;
+}
 
+// Requests outside a project namespace find their project from the session or x-api-key,
+// then fall back to the route's own key or to public routes. Resolves to `{ route, params }`
+// or to `{ response }` when the request is answered without a route.
+async function resolveUnscopedRoute(request, entry) {
   const runtime = await getRuntimeContext(request, { requireAuth: false });
+  await applyRequestedEnvironment(request, entry, runtime?.project?.id);
+  const { method, path } = entry;
   const providedApiKey = readApiKeyHeader(request);
+  entry.projectId = runtime?.projectId ?? null;
+  // Not logged; tells handleMockRequest whose default and CORS headers apply.
+  entry.project = runtime?.project ?? null;
 
-  let route = await selectMockRoute({
+  // Every GraphQL operation shares one path, so the project's GraphQL endpoint is answered
+  // before method + path route matching.
+  if (runtime && isGraphqlRequest(runtime.project?.graphql, { method, path })) {
+    return { response: await respondWithGraphql({ request, project: runtime.project, entry }) };
+  }
+
+  const match = await selectMockRoute({
     userId: runtime?.userId,
     projectId: runtime?.project?.id,
     method,
     path,
   });
+  let route = match?.route || null;
+  let params = match?.params || {};
+
+  if (!route && runtime?.project) {
+    const proxied = await proxyUnmatchedRequest({ request, project: runtime.project, entry });
+    if (proxied) return { response: proxied };
+  }
 
   if (!route && runtime && !providedApiKey) {
-    return NextResponse.json({ error: 'Route not found' }, { status: 404 });
+    return { response: NextResponse.json({ error: 'Route not found' }, { status: 404 }) };
   }
 
   if (!route) {
     if (providedApiKey) {
       route = await selectMockRouteByApiKey({ apiKey: providedApiKey });
       if (!route) {
-        return NextResponse.json({ error: 'Invalid API key' }, { status: 401 });
+        return { response: NextResponse.json({ error: 'Invalid API key' }, { status: 401 }) };
       }
-      if (route.method !== method || route.path !== path) {
-        return NextResponse.json({ error: 'API key does not match this route' }, { status: 404 });
+      const methodMatches = lookupMethods(method).includes(route.method) || route.method === RESOURCE_METHOD;
+      const keyParams = methodMatches ? matchRoute(route, path) : null;
+      if (!keyParams) {
+        return { response: NextResponse.json({ error: 'API key does not match this route' }, { status: 404 }) };
       }
+      params = keyParams;
     } else {
-      route = await selectPublicMockRoute({ method, path });
-      if (!route) {
-        return NextResponse.json({ error: 'Missing API key' }, { status: 401 });
+      const publicMatch = await selectPublicMockRoute({ method, path });
+      if (!publicMatch) {
+        return { response: NextResponse.json({ error: 'Missing API key' }, { status: 401 }) };
       }
+      route = publicMatch.route;
+      params = publicMatch.params;
     }
   }
 
   if (!route) {
-    return NextResponse.json({ error: 'Route not found' }, { status: 404 });
+    return { response: NextResponse.json({ error: 'Route not found' }, { status: 404 }) };
+  }
+  return { route, params };
+}
+
+// Requests addressed to a project (by host or `/m/<slug>`) only match that project's routes.
+// The namespace identifies the project, so public routes need no key; routes that require
+// one accept the project key or the route's own key. The GraphQL endpoint has no route of
+// its own and always takes the project key, as it does outside the namespace.
+async function resolveNamespacedRoute(request, entry, project) {
+  await applyRequestedEnvironment(request, entry, project.id);
+  const { method, path } = entry;
+  if (isGraphqlRequest(project.graphql, { method, path })) {
+    const apiKey = readApiKeyHeader(request);
+    if (!apiKey) {
+      return { response: NextResponse.json({ error: 'Missing API key' }, { status: 401 }) };
+    }
+    if (apiKey !== project.apiKey) {
+      return { response: NextResponse.json({ error: 'Invalid API key' }, { status: 401 }) };
+    }
+    return { response: await respondWithGraphql({ request, project, entry }) };
+  }
+
+  const match = await selectMockRoute({ userId: project.userId, projectId: project.id, method, path });
+  if (!match) {
+    const proxied = await proxyUnmatchedRequest({ request, project, entry });
+    if (proxied) return { response: proxied };
+    return { response: NextResponse.json({ error: 'Route not found' }, { status: 404 }) };
+  }
+
+  if (match.route.requireApiKey) {
+    const apiKey = readApiKeyHeader(request);
+    if (!apiKey) {
+      return { response: NextResponse.json({ error: 'Missing API key' }, { status: 401 }) };
+    }
+    if (apiKey !== project.apiKey && apiKey !== match.route.apiKey) {
+      return { response: NextResponse.json({ error: 'Invalid API key' }, { status: 401 }) };
+    }
+  }
+  return match;
+}
+
+async function resolveMockResponse(request, context, entry) {
+  const namespace = await resolveProjectNamespace(request, entry.path);
+  if (namespace) {
+    // Route matching, proxying and the request log all use the path inside the project.
+    entry.path = namespace.path;
+    entry.projectId = namespace.project.id;
+    entry.project = namespace.project;
+  }
+  const lookup = namespace
+    ? await resolveNamespacedRoute(request, entry, namespace.project)
+    : await resolveUnscopedRoute(request, entry);
+  if (lookup.response) {
+    return lookup.response;
   }
 
-  const rawBody = await request.text().catch(() => '');
+  const { route, params } = lookup;
+  const { method, path } = entry;
+  const providedApiKey = readApiKeyHeader(request);
+
+  entry.projectId = route.projectId;
+  entry.project = route.project;
+  entry.routeId = route.id;
+  entry.params = params;
+
+  let environment;
+  try {
+    environment = await findProjectEnvironment(route.projectId, entry.environmentName);
+  } catch (err) {
+    return NextResponse.json({ error: err.message }, { status: err.status || 500 });
+  }
+
+  const rawBody = entry.body;
   const jsonBody = rawBody ? safeJsonParse(rawBody) : null;
 
-  const templateContext = buildTemplateContext({ request, path, route, rawBody, jsonBody });
-  const renderedBody = route.templateEnabled
-    ? renderTemplate(route.responseBody || '', templateContext)
-    : route.responseBody || '';
+  const rateLimit = await consumeRateLimit(
+    buildRateLimitChecks({ route, project: route.project, apiKey: providedApiKey })
+  ).catch((err) => {
+    console.error('Failed to apply rate limit', err);
+    return { limited: false, headers: {} };
+  });
+  if (rateLimit.limited) {
+    return NextResponse.json(
+      { error: 'Rate limit exceeded' },
+      { status: 429, headers: { ...rateLimit.headers, 'retry-after': String(rateLimit.retryAfterSeconds) } }
+    );
+  }
 
-  let payload;
+  let validationErrors;
   try {
-    payload = buildResponsePayload(route, renderedBody);
+    validationErrors = validateMockRequest(route, {
+      rawBody,
+      jsonBody,
+      query: entry.query,
+      headers: entry.headers,
+    });
   } catch (err) {
-    const status = err?.status || 500;
-    return NextResponse.json({ error: err?.message || 'Failed to render response' }, { status });
+    return NextResponse.json({ error: err.message }, { status: err.status || 500 });
+  }
+  if (validationErrors.length) {
+    return NextResponse.json(
+      { error: 'Request validation failed', errors: validationErrors },
+      { status: route.requestValidationStatus || 400 }
+    );
   }
 
-  const headers = new Headers({ 'content-type': 'application/json', 'cache-control': 'no-store' });
-  const configuredHeaders = normalizeHeaders(route.responseHeaders);
-  for (const [key, value] of Object.entries(configuredHeaders)) {
-    headers.set(key, value);
+  const chaos = rollChaos(resolveChaosSettings(route, route.project));
+  if (chaos.delayMs > 0) {
+    await sleep(chaos.delayMs);
+  }
+  if (chaos.drop) {
+    return new NextResponse(createDroppedStream(), { status: 200, headers: { 'cache-control': 'no-store', 'x-mock-chaos': 'dropped' } });
+  }
+  if (chaos.error) {
+    return respondWithChaosError(chaos.error);
   }
 
-  const delay = Number(route.responseDelayMs || 0);
-  if (delay > 0) {
-    await new Promise((resolve) => setTimeout(resolve, delay));
+  const datasets = await loadRouteDatasets(route);
+  const templateContext = buildTemplateContext({ request, path, params, route, rawBody, jsonBody, environment, datasets });
+  let response;
+  if (route.routeType === 'resource') {
+    response = await respondWithResource({
+      route,
+      method: method === 'HEAD' ? 'GET' : method,
+      params,
+      query: entry.query,
+      jsonBody,
+    });
+  } else if (route.routeType === 'stream') {
+    response = respondWithStream({ request, route, templateContext });
+  } else {
+    response = await respondWithStaticRoute({
+      route,
+      templateContext,
+      apiKey: providedApiKey,
+      requestUrl: request.url,
+      environment,
+    });
+  }
+  for (const [key, value] of Object.entries(rateLimit.headers)) {
+    response.headers.set(key, value);
   }
 
-  // Stored mock response is loaded above and returned verbatim (JSON parsing optional)
-  return new NextResponse(JSON.stringify(payload), {
-    status: route.responseStatus || 200,
-    headers,
-  });
+  // Streams may never finish, so their body is neither buffered for callbacks nor truncated.
+  const isStream = route.routeType === 'stream';
+
+  if (Array.isArray(route.callbacks) && route.callbacks.length) {
+    const responseText = isStream ? '' : await response.clone().text().catch(() => '');
+    scheduleCallbacks(route, {
+      ...templateContext,
+      response: { status: response.status, body: safeJsonParse(responseText) ?? responseText, rawBody: responseText },
+    });
+  }
+  return chaos.truncate && !isStream ? truncateResponse(response) : response;
+}
+
+async function handleMockRequest(request, context) {
+  const startedAt = Date.now();
+  const method = request.method.toUpperCase();
+  if (!SUPPORTED_METHODS.has(method)) {
+    return NextResponse.json({ error: 'Method not allowed' }, { status: 405 });
+  }
+
+  const entry = {
+    method,
+    path: buildPathFromParams(context.params || {}),
+    query: Object.fromEntries(new URL(request.url).searchParams.entries()),
+    headers: Object.fromEntries(request.headers.entries()),
+    body: await request.text().catch(() => ''),
+    projectId: null,
+    routeId: null,
+    params: {},
+  };
+
+  if (isPreflightRequest(request)) {
+    const project = await selectPreflightProject(request, entry.path);
+    if (project?.cors?.enabled) {
+      return new NextResponse(null, { status: 204, headers: buildPreflightHeaders(project.cors, request) });
+    }
+  }
+
+  let response = await resolveMockResponse(request, context, entry);
+  applyProjectHeaders(response, entry.project, request);
+  if (method === 'HEAD' && response.body) {
+    await response.body.cancel().catch(() => {});
+    response = new NextResponse(null, { status: response.status, headers: response.headers });
+  }
+  await recordMockRequest({ ...entry, status: response.status, latencyMs: Date.now() - startedAt });
+  return response;
 }
 
 export async function GET(request, context) {
@@ -198,3 +763,11 @@ export async function PATCH(request, context) {
 export async function DELETE(request, context) {
   return handleMockRequest(request, context);
 }
+
+export async function OPTIONS(request, context) {
+  return handleMockRequest(request, context);
+}
+
+export async function HEAD(request, context) {
+  return handleMockRequest(request, context);
+}
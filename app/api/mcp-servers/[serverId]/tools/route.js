@@ -8,6 +8,7 @@ import {
   extractPathParams,
   buildInputSchema,
 } from '../../../../../lib/tool-utils.js';
+import { listResourceOperations } from '../../../../../lib/mock-resources.js';
 
 function cleanString(value) {
   if (value === undefined || value === null) return '';
@@ -102,6 +103,14 @@ function normalizeOperationSelection(selection) {
   };
 }
 
+// Resource routes answer every CRUD method (stored as `ANY`), so each becomes one tool per operation.
+function routeOperations(route) {
+  if (route.routeType === 'resource') {
+    return listResourceOperations(route);
+  }
+  return [{ action: null, method: String(route.method || 'GET').toUpperCase(), path: route.path || '/', summary: '' }];
+}
+
 async function createToolsFromRoutes({ server, selections }) {
   const validSelections = selections
     .map(normalizeRouteSelection)
@@ -127,29 +136,32 @@ async function createToolsFromRoutes({ server, selections }) {
     const route = routeMap.get(selection.routeId);
     if (!route) continue;
     const nameInput = selection.toolName || route.name || `${route.method || 'GET'}_${route.path || '/'}`;
-    const name = ensureUniqueToolName(nameInput, usedNames);
-    const schema = buildInputSchema({
-      pathParams: extractPathParams(route.path),
-      source: {
-        type: 'mock-route',
-        routeId: route.id,
-      },
-      summary: route.description || '',
-    });
+    for (const operation of routeOperations(route)) {
+      const name = ensureUniqueToolName(operation.action ? `${nameInput}_${operation.action}` : nameInput, usedNames);
+      const description = [selection.description || route.description, operation.summary].filter(Boolean).join(' · ');
+      const schema = buildInputSchema({
+        pathParams: extractPathParams(operation.path),
+        source: {
+          type: 'mock-route',
+          routeId: route.id,
+        },
+        summary: description,
+      });
 
-    creations.push({
-      serverId: server.id,
-      name,
-      description: selection.description || route.description || '',
-      inputSchema: schema,
-      httpMethod: String(route.method || 'GET').toUpperCase(),
-      baseUrl: normalizeBaseUrl(server.baseUrl),
-      pathTemplate: route.path || '/',
-      queryMapping: {},
-      bodyMapping: {},
-      headersMapping: {},
-      enabled: true,
-    });
+      creations.push({
+        serverId: server.id,
+        name,
+        description,
+        inputSchema: schema,
+        httpMethod: operation.method,
+        baseUrl: normalizeBaseUrl(server.baseUrl),
+        pathTemplate: operation.path,
+        queryMapping: {},
+        bodyMapping: {},
+        headersMapping: {},
+        enabled: true,
+      });
+    }
   }
 
   if (creations.length === 0) {
@@ -0,0 +1,77 @@
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+
+import { authOptions } from '../../../../../lib/auth.js';
+import prisma from '../../../../../lib/prisma.js';
+import { deleteResponseFile, loadResponseFile, saveResponseFile } from '../../../../../lib/mock-response-files.js';
+
+export const dynamic = 'force-dynamic';
+
+async function requireUser() {
+  const session = await getServerSession(authOptions);
+  const userId = Number(session?.user?.id);
+  if (!userId) {
+    return { error: NextResponse.json({ error: 'Unauthorized' }, { status: 401 }) };
+  }
+
+  return { userId };
+}
+
+async function findRoute(routeId, userId) {
+  const numericRouteId = Number(routeId);
+  if (!numericRouteId) return null;
+  return prisma.mockRoute.findFirst({ where: { id: numericRouteId, userId } });
+}
+
+export async function GET(req, { params }) {
+  const { userId, error } = await requireUser();
+  if (!userId) return error;
+
+  const route = await findRoute(params?.routeId, userId);
+  if (!route) {
+    return NextResponse.json({ error: 'Route not found' }, { status: 404 });
+  }
+
+  const file = await loadResponseFile(route.id);
+  if (!file) {
+    return NextResponse.json({ error: 'No response file uploaded' }, { status: 404 });
+  }
+
+  return new NextResponse(file.data, {
+    headers: {
+      'content-type': file.contentType,
+      'content-disposition': `attachment; filename="${file.fileName.replace(/"/g, '')}"`,
+    },
+  });
+}
+
+export async function POST(req, { params }) {
+  const { userId, error } = await requireUser();
+  if (!userId) return error;
+
+  const route = await findRoute(params?.routeId, userId);
+  if (!route) {
+    return NextResponse.json({ error: 'Route not found' }, { status: 404 });
+  }
+
+  const formData = await req.formData().catch(() => null);
+  try {
+    const file = await saveResponseFile(route.id, formData?.get('file'));
+    return NextResponse.json({ file }, { status: 201 });
+  } catch (err) {
+    return NextResponse.json({ error: err.message }, { status: err.status || 500 });
+  }
+}
+
+export async function DELETE(req, { params }) {
+  const { userId, error } = await requireUser();
+  if (!userId) return error;
+
+  const route = await findRoute(params?.routeId, userId);
+  if (!route) {
+    return NextResponse.json({ error: 'Route not found' }, { status: 404 });
+  }
+
+  await deleteResponseFile(route.id);
+  return NextResponse.json({ ok: true });
+}
@@ -0,0 +1,37 @@
+import { NextResponse } from 'next/server';
+
+import prisma from '../../../../../lib/prisma.js';
+import { getRuntimeContext } from '../../../../../lib/runtime-context';
+import { resetResource } from '../../../../../lib/mock-resources.js';
+
+export const dynamic = 'force-dynamic';
+
+// Accepts a dashboard session or the project x-api-key so test suites can reset between runs.
+export async function POST(req, { params }) {
+  let runtime;
+  try {
+    runtime = await getRuntimeContext(req);
+  } catch (err) {
+    return NextResponse.json({ error: err.message }, { status: err.status || 401 });
+  }
+
+  const routeId = Number(params?.routeId);
+  if (!routeId) {
+    return NextResponse.json({ error: 'Route not found' }, { status: 404 });
+  }
+
+  const where = { id: routeId, userId: runtime.userId };
+  if (runtime.authStrategy === 'apiKey') {
+    where.projectId = runtime.projectId;
+  }
+  const route = await prisma.mockRoute.findFirst({ where });
+  if (!route) {
+    return NextResponse.json({ error: 'Route not found' }, { status: 404 });
+  }
+  if (route.routeType !== 'resource') {
+    return NextResponse.json({ error: 'Only resource routes can be reset' }, { status: 400 });
+  }
+
+  const count = await resetResource(route);
+  return NextResponse.json({ ok: true, records: count });
+}
@@ -0,0 +1,44 @@
+import { NextResponse } from 'next/server';
+
+import prisma from '../../../../../lib/prisma.js';
+import { getRuntimeContext } from '../../../../../lib/runtime-context';
+import { resetSequence, resolveSequenceClientKey } from '../../../../../lib/mock-response-sequence.js';
+
+export const dynamic = 'force-dynamic';
+
+// Resets sequence counters so the next call gets the first step again. `?key=` limits the
+// reset to one caller (their x-api-key or header value, depending on how counters are kept).
+// Accepts a dashboard session or the project x-api-key.
+export async function DELETE(req, { params }) {
+  let runtime;
+  try {
+    runtime = await getRuntimeContext(req);
+  } catch (err) {
+    return NextResponse.json({ error: err.message }, { status: err.status || 401 });
+  }
+
+  const routeId = Number(params?.routeId);
+  if (!routeId) {
+    return NextResponse.json({ error: 'Route not found' }, { status: 404 });
+  }
+
+  const where = { id: routeId, userId: runtime.userId };
+  if (runtime.authStrategy === 'apiKey') {
+    where.projectId = runtime.projectId;
+  }
+  const route = await prisma.mockRoute.findFirst({ where });
+  if (!route) {
+    return NextResponse.json({ error: 'Route not found' }, { status: 404 });
+  }
+  if (!route.responseSequence) {
+    return NextResponse.json({ error: 'This route has no response sequence' }, { status: 400 });
+  }
+
+  const key = new URL(req.url).searchParams.get('key');
+  const sequence = route.responseSequence;
+  const clientKey = key
+    ? resolveSequenceClientKey(sequence, { apiKey: key, headers: { [sequence.keyHeader]: key } })
+    : null;
+  const cleared = await resetSequence(route, clientKey);
+  return NextResponse.json({ ok: true, cleared });
+}
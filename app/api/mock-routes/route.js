@@ -1,9 +1,27 @@
 import { NextResponse } from 'next/server';
 import { getServerSession } from 'next-auth';
+import { Prisma } from '@prisma/client';
 
 import { authOptions } from '../../../lib/auth.js';
 import prisma from '../../../lib/prisma.js';
 import { findProjectForUser } from '../../../lib/user-context.js';
+import { normalizeResponseVariants } from '../../../lib/mock-response-variants.js';
+import { normalizeChaosSettings } from '../../../lib/mock-chaos.js';
+import { normalizeRequestSchema, normalizeValidationStatus } from '../../../lib/mock-request-validation.js';
+import { RESPONSE_FILE_SELECT } from '../../../lib/mock-response-files.js';
+import { normalizeRateLimit } from '../../../lib/mock-rate-limit.js';
+import { normalizeResponseSequence } from '../../../lib/mock-response-sequence.js';
+import { normalizeCallbacks } from '../../../lib/mock-callbacks.js';
+import { normalizeStreamConfig } from '../../../lib/mock-stream.js';
+import { normalizePagination } from '../../../lib/mock-pagination.js';
+import { hasNestedQuantifier, isRegexPath } from '../../../lib/mock-route-matcher.js';
+import { NAMESPACE_PREFIX, isNamespacedPath } from '../../../lib/mock-namespace.js';
+import {
+  RESOURCE_METHOD,
+  normalizeResourceIdField,
+  normalizeResourceSeed,
+  normalizeRouteType
+} from '../../../lib/mock-resources.js';
 
 const SUPPORTED_HTTP_METHODS = new Set(['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS', 'HEAD']);
 
@@ -40,17 +58,40 @@ function normalizeMethod(method) {
   return upper;
 }
 
-function normalizePath(pathValue) {
+// Routes saved under `/m/` before namespaces existed keep their path when edited.
+function normalizePath(pathValue, currentPath = null) {
   if (!pathValue) {
     throw new Error('Path is required');
   }
   let normalized = String(pathValue).trim();
+  if (isRegexPath(normalized)) {
+    try {
+      new RegExp(normalized);
+    } catch {
+      throw new Error('Path is not a valid regular expression');
+    }
+    if (hasNestedQuantifier(normalized)) {
+      throw new Error('Path regular expression must not nest quantifiers, e.g. (a+)+');
+    }
+    return normalized;
+  }
   if (!normalized.startsWith('/')) {
     normalized = `/${normalized}`;
   }
+  if (isNamespacedPath(normalized) && normalized !== currentPath) {
+    throw new Error(`Paths under ${NAMESPACE_PREFIX}/ are reserved for project namespaces`);
+  }
   return normalized;
 }
 
+function normalizePriority(value) {
+  const priority = toNumber(value, 0);
+  if (!Number.isInteger(priority)) {
+    throw new Error('Priority must be a whole number');
+  }
+  return priority;
+}
+
 function parseJsonField(value, fallback = {}) {
   if (value === undefined || value === null || value === '') {
     return fallback;
@@ -112,16 +153,31 @@ function serializeRoute(route) {
     description: route.description,
     method: route.method,
     path: route.path,
+    routeType: route.routeType,
+    priority: route.priority,
     enabled: route.enabled,
     requireApiKey: route.requireApiKey,
     apiKey: route.apiKey,
     matchHeaders: route.matchHeaders || {},
+    requestSchema: route.requestSchema || null,
+    requestValidationStatus: route.requestValidationStatus,
     responseStatus: route.responseStatus,
+    responseStatusTemplate: route.responseStatusTemplate,
     responseHeaders: route.responseHeaders || {},
     responseBody: route.responseBody,
     responseIsJson: route.responseIsJson,
     responseDelayMs: route.responseDelayMs,
+    responseFile: route.responseFile || null,
+    responseVariants: Array.isArray(route.responseVariants) ? route.responseVariants : [],
+    responseSequence: route.responseSequence || null,
+    callbacks: Array.isArray(route.callbacks) ? route.callbacks : [],
+    stream: route.stream || null,
+    pagination: route.pagination || null,
+    chaos: route.chaos || null,
+    rateLimit: route.rateLimit || null,
     templateEnabled: route.templateEnabled,
+    resourceIdField: route.resourceIdField,
+    resourceSeed: Array.isArray(route.resourceSeed) ? route.resourceSeed : [],
     createdAt: route.createdAt,
     updatedAt: route.updatedAt,
     vars: (route.vars || []).map((variable) => ({
@@ -153,7 +209,7 @@ export async function GET(req) {
 
   const routes = await prisma.mockRoute.findMany({
     where: { userId, projectId: project.id },
-    include: { vars: true },
+    include: { vars: true, responseFile: RESPONSE_FILE_SELECT },
     orderBy: { updatedAt: 'desc' }
   });
 
@@ -181,20 +237,44 @@ export async function POST(req) {
   let path;
   let matchHeaders;
   let responseHeaders;
+  let responseVariants;
+  let responseSequence;
+  let callbacks;
+  let stream;
+  let pagination;
+  let chaos;
+  let rateLimit;
+  let requestSchema;
+  let requestValidationStatus;
+  let routeType;
+  let resourceSeed;
   try {
-    method = normalizeMethod(body?.method);
+    routeType = normalizeRouteType(body?.routeType);
+    method = routeType === 'resource' ? RESOURCE_METHOD : normalizeMethod(body?.method);
     path = normalizePath(body?.path);
+    resourceSeed = normalizeResourceSeed(body?.resourceSeed);
     matchHeaders = parseJsonField(body?.matchHeaders);
     responseHeaders = parseJsonField(body?.responseHeaders);
+    responseVariants = normalizeResponseVariants(body?.responseVariants);
+    responseSequence = normalizeResponseSequence(body?.responseSequence) ?? undefined;
+    callbacks = normalizeCallbacks(body?.callbacks);
+    stream = normalizeStreamConfig(body?.stream) ?? undefined;
+    pagination = normalizePagination(body?.pagination) ?? undefined;
+    chaos = normalizeChaosSettings(body?.chaos) ?? undefined;
+    rateLimit = normalizeRateLimit(body?.rateLimit) ?? undefined;
+    requestSchema = normalizeRequestSchema(body?.requestSchema) ?? undefined;
+    requestValidationStatus = normalizeValidationStatus(body?.requestValidationStatus);
   } catch (err) {
     return NextResponse.json({ error: err.message }, { status: 400 });
   }
 
   let responseStatus;
   let responseDelayMs;
+  let priority;
   try {
     responseStatus = toNumber(body?.responseStatus ?? 200, 200);
     responseDelayMs = toNumber(body?.responseDelayMs ?? 0, 0);
+    priority = normalizePriority(body?.priority);
   } catch (err) {
     return NextResponse.json({ error: err.message }, { status: 400 });
   }
@@ -207,17 +287,31 @@ export async function POST(req) {
       description: cleanString(body?.description),
       method,
       path,
+      routeType,
+      priority,
       enabled: toBoolean(body?.enabled),
       requireApiKey: toBoolean(body?.requireApiKey ?? true),
       matchHeaders,
+      requestSchema,
+      requestValidationStatus,
       responseStatus,
+      responseStatusTemplate: cleanString(body?.responseStatusTemplate),
       responseHeaders,
       responseBody: body?.responseBody ?? '',
       responseIsJson: toBoolean(body?.responseIsJson),
       responseDelayMs,
-      templateEnabled: toBoolean(body?.templateEnabled)
+      responseVariants,
+      responseSequence,
+      callbacks,
+      stream,
+      pagination,
+      chaos,
+      rateLimit,
+      templateEnabled: toBoolean(body?.templateEnabled),
+      resourceIdField: normalizeResourceIdField(body?.resourceIdField),
+      resourceSeed
     },
-    include: { vars: true }
+    include: { vars: true, responseFile: RESPONSE_FILE_SELECT }
   });
 
   return NextResponse.json({ route: serializeRoute(route) }, { status: 201 });
@@ -242,16 +336,47 @@ export async function PATCH(req) {
 
   if (body?.name !== undefined) updates.name = cleanString(body.name);
   if (body?.description !== undefined) updates.description = cleanString(body.description);
-  if (body?.method !== undefined) {
+  if (body?.routeType !== undefined) {
+    try {
+      updates.routeType = normalizeRouteType(body.routeType);
+    } catch (err) {
+      return NextResponse.json({ error: err.message }, { status: 400 });
+    }
+  }
+  const nextRouteType = updates.routeType ?? existing.routeType;
+  if (nextRouteType === 'resource') {
+    updates.method = RESOURCE_METHOD;
+  } else if (body?.method !== undefined) {
     try {
       updates.method = normalizeMethod(body.method);
     } catch (err) {
       return NextResponse.json({ error: err.message }, { status: 400 });
     }
+  } else if (existing.method === RESOURCE_METHOD) {
+    updates.method = 'GET';
+  }
+  if (body?.resourceIdField !== undefined) updates.resourceIdField = normalizeResourceIdField(body.resourceIdField);
+  if (body?.resourceSeed !== undefined) {
+    try {
+      updates.resourceSeed = normalizeResourceSeed(body.resourceSeed);
+    } catch (err) {
+      return NextResponse.json({ error: err.message }, { status: 400 });
+    }
+    if (JSON.stringify(updates.resourceSeed) !== JSON.stringify(existing.resourceSeed ?? [])) {
+      // Re-seed the collection on the next request.
+      updates.resourceSeededAt = null;
+    }
   }
   if (body?.path !== undefined) {
     try {
-      updates.path = normalizePath(body.path);
+      updates.path = normalizePath(body.path, existing.path);
+    } catch (err) {
+      return NextResponse.json({ error: err.message }, { status: 400 });
+    }
+  }
+  if (body?.priority !== undefined) {
+    try {
+      updates.priority = normalizePriority(body.priority);
     } catch (err) {
       return NextResponse.json({ error: err.message }, { status: 400 });
     }
@@ -263,6 +388,20 @@ export async function PATCH(req) {
       return NextResponse.json({ error: err.message }, { status: 400 });
     }
   }
+  if (body?.requestSchema !== undefined) {
+    try {
+      updates.requestSchema = normalizeRequestSchema(body.requestSchema) ?? Prisma.DbNull;
+    } catch (err) {
+      return NextResponse.json({ error: err.message }, { status: 400 });
+    }
+  }
+  if (body?.requestValidationStatus !== undefined) {
+    try {
+      updates.requestValidationStatus = normalizeValidationStatus(body.requestValidationStatus);
+    } catch (err) {
+      return NextResponse.json({ error: err.message }, { status: 400 });
+    }
+  }
   if (body?.responseHeaders !== undefined) {
     try {
       updates.responseHeaders = parseJsonField(body.responseHeaders);
@@ -271,6 +410,63 @@ export async function PATCH(req) {
     }
   }
   if (body?.responseBody !== undefined) updates.responseBody = body.responseBody ?? '';
+  if (body?.responseStatusTemplate !== undefined) {
+    updates.responseStatusTemplate = cleanString(body.responseStatusTemplate);
+  }
+  if (body?.responseVariants !== undefined) {
+    try {
+      updates.responseVariants = normalizeResponseVariants(body.responseVariants);
+    } catch (err) {
+      return NextResponse.json({ error: err.message }, { status: 400 });
+    }
+  }
+  if (body?.responseSequence !== undefined) {
+    try {
+      updates.responseSequence = normalizeResponseSequence(body.responseSequence) ?? Prisma.DbNull;
+    } catch (err) {
+      return NextResponse.json({ error: err.message }, { status: 400 });
+    }
+    const nextSequence = updates.responseSequence === Prisma.DbNull ? null : updates.responseSequence;
+    if (JSON.stringify(nextSequence) !== JSON.stringify(existing.responseSequence ?? null)) {
+      // Start every caller from the first step again.
+      updates.sequenceCounters = { deleteMany: {} };
+    }
+  }
+  if (body?.callbacks !== undefined) {
+    try {
+      updates.callbacks = normalizeCallbacks(body.callbacks);
+    } catch (err) {
+      return NextResponse.json({ error: err.message }, { status: 400 });
+    }
+  }
+  if (body?.stream !== undefined) {
+    try {
+      updates.stream = normalizeStreamConfig(body.stream) ?? Prisma.DbNull;
+    } catch (err) {
+      return NextResponse.json({ error: err.message }, { status: 400 });
+    }
+  }
+  if (body?.pagination !== undefined) {
+    try {
+      updates.pagination = normalizePagination(body.pagination) ?? Prisma.DbNull;
+    } catch (err) {
+      return NextResponse.json({ error: err.message }, { status: 400 });
+    }
+  }
+  if (body?.chaos !== undefined) {
+    try {
+      updates.chaos = normalizeChaosSettings(body.chaos) ?? Prisma.DbNull;
+    } catch (err) {
+      return NextResponse.json({ error: err.message }, { status: 400 });
+    }
+  }
+  if (body?.rateLimit !== undefined) {
+    try {
+      updates.rateLimit = normalizeRateLimit(body.rateLimit) ?? Prisma.DbNull;
+    } catch (err) {
+      return NextResponse.json({ error: err.message }, { status: 400 });
+    }
+  }
   if (body?.responseStatus !== undefined) {
     try {
       updates.responseStatus = toNumber(body.responseStatus, existing.responseStatus);
@@ -297,7 +493,7 @@ export async function PATCH(req) {
   const updated = await prisma.mockRoute.update({
     where: { id: routeId },
     data: updates,
-    include: { vars: true }
+    include: { vars: true, responseFile: RESPONSE_FILE_SELECT }
   });
 
   return NextResponse.json({ route: serializeRoute(updated) });
@@ -0,0 +1,148 @@
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+
+import { authOptions } from '../../../../../lib/auth.js';
+import prisma from '../../../../../lib/prisma.js';
+import { findProjectForUser } from '../../../../../lib/user-context.js';
+import { DATASET_SUMMARY_SELECT, normalizeDatasetInput, summarizeDataset } from '../../../../../lib/mock-datasets.js';
+
+async function requireUser() {
+  const session = await getServerSession(authOptions);
+  const userId = Number(session?.user?.id);
+  if (!userId) {
+    return { error: NextResponse.json({ error: 'Unauthorized' }, { status: 401 }) };
+  }
+
+  return { userId };
+}
+
+// Listings carry only the row count and columns; `?datasetId=` returns the rows too.
+async function listDatasets(projectId) {
+  const datasets = await prisma.projectDataset.findMany({
+    where: { projectId },
+    select: DATASET_SUMMARY_SELECT,
+    orderBy: { name: 'asc' }
+  });
+  return datasets.map(summarizeDataset);
+}
+
+function conflictResponse(error) {
+  if (error?.code === 'P2002') {
+    return NextResponse.json({ error: 'A dataset with this name already exists' }, { status: 409 });
+  }
+  return null;
+}
+
+export async function GET(req, { params }) {
+  const { userId, error } = await requireUser();
+  if (!userId) return error;
+
+  const project = await findProjectForUser(userId, params?.projectId);
+  if (!project) {
+    return NextResponse.json({ error: 'Project not found' }, { status: 404 });
+  }
+
+  const { searchParams } = new URL(req.url);
+  const datasetId = Number(searchParams.get('datasetId') || searchParams.get('id'));
+  if (!datasetId) {
+    return NextResponse.json({ datasets: await listDatasets(project.id) });
+  }
+
+  const dataset = await prisma.projectDataset.findFirst({ where: { id: datasetId, projectId: project.id } });
+  if (!dataset) {
+    return NextResponse.json({ error: 'Dataset not found' }, { status: 404 });
+  }
+  return NextResponse.json({ dataset: { ...summarizeDataset(dataset), rows: dataset.rows } });
+}
+
+export async function POST(req, { params }) {
+  const { userId, error } = await requireUser();
+  if (!userId) return error;
+
+  const project = await findProjectForUser(userId, params?.projectId);
+  if (!project) {
+    return NextResponse.json({ error: 'Project not found' }, { status: 404 });
+  }
+
+  const body = await req.json().catch(() => ({}));
+  let data;
+  try {
+    data = normalizeDatasetInput(body);
+  } catch (err) {
+    return NextResponse.json({ error: err.message }, { status: 400 });
+  }
+
+  try {
+    const dataset = await prisma.projectDataset.create({
+      data: { ...data, projectId: project.id },
+      select: DATASET_SUMMARY_SELECT
+    });
+    return NextResponse.json(
+      { dataset: summarizeDataset(dataset), datasets: await listDatasets(project.id) },
+      { status: 201 }
+    );
+  } catch (err) {
+    const conflict = conflictResponse(err);
+    if (conflict) return conflict;
+    console.error('Failed to create dataset', err);
+    return NextResponse.json({ error: 'Failed to create dataset' }, { status: 500 });
+  }
+}
+
+export async function PATCH(req, { params }) {
+  const { userId, error } = await requireUser();
+  if (!userId) return error;
+
+  const project = await findProjectForUser(userId, params?.projectId);
+  if (!project) {
+    return NextResponse.json({ error: 'Project not found' }, { status: 404 });
+  }
+
+  const body = await req.json().catch(() => ({}));
+  const datasetId = Number(body?.id || body?.datasetId);
+  const existing = datasetId
+    ? await prisma.projectDataset.findFirst({ where: { id: datasetId, projectId: project.id }, select: { id: true } })
+    : null;
+  if (!existing) {
+    return NextResponse.json({ error: 'Dataset not found' }, { status: 404 });
+  }
+
+  let data;
+  try {
+    data = normalizeDatasetInput(body, { partial: true });
+  } catch (err) {
+    return NextResponse.json({ error: err.message }, { status: 400 });
+  }
+  if (Object.keys(data).length === 0) {
+    return NextResponse.json({ error: 'Nothing to update' }, { status: 400 });
+  }
+
+  try {
+    const dataset = await prisma.projectDataset.update({ where: { id: existing.id }, data, select: DATASET_SUMMARY_SELECT });
+    return NextResponse.json({ dataset: summarizeDataset(dataset), datasets: await listDatasets(project.id) });
+  } catch (err) {
+    const conflict = conflictResponse(err);
+    if (conflict) return conflict;
+    console.error('Failed to update dataset', err);
+    return NextResponse.json({ error: 'Failed to update dataset' }, { status: 500 });
+  }
+}
+
+export async function DELETE(req, { params }) {
+  const { userId, error } = await requireUser();
+  if (!userId) return error;
+
+  const project = await findProjectForUser(userId, params?.projectId);
+  if (!project) {
+    return NextResponse.json({ error: 'Project not found' }, { status: 404 });
+  }
+
+  const { searchParams } = new URL(req.url);
+  const datasetId = Number(searchParams.get('datasetId') || searchParams.get('id'));
+  if (!datasetId) {
+    return NextResponse.json({ error: 'datasetId is required' }, { status: 400 });
+  }
+
+  await prisma.projectDataset.deleteMany({ where: { id: datasetId, projectId: project.id } });
+  return NextResponse.json({ datasets: await listDatasets(project.id) });
+}
@@ -0,0 +1,149 @@
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+
+import { authOptions } from '../../../../../lib/auth.js';
+import prisma from '../../../../../lib/prisma.js';
+import { findProjectForUser } from '../../../../../lib/user-context.js';
+import { normalizeEnvironmentInput } from '../../../../../lib/mock-environments.js';
+
+async function requireUser() {
+  const session = await getServerSession(authOptions);
+  const userId = Number(session?.user?.id);
+  if (!userId) {
+    return { error: NextResponse.json({ error: 'Unauthorized' }, { status: 401 }) };
+  }
+
+  return { userId };
+}
+
+function serializeEnvironment(environment) {
+  return {
+    id: environment.id,
+    projectId: environment.projectId,
+    name: environment.name,
+    description: environment.description,
+    variables: environment.variables || {},
+    upstreamBaseUrl: environment.upstreamBaseUrl,
+    responseDelayMs: environment.responseDelayMs,
+    createdAt: environment.createdAt,
+    updatedAt: environment.updatedAt
+  };
+}
+
+async function listEnvironments(projectId) {
+  const environments = await prisma.projectEnvironment.findMany({
+    where: { projectId },
+    orderBy: { name: 'asc' }
+  });
+  return environments.map(serializeEnvironment);
+}
+
+function conflictResponse(error) {
+  if (error?.code === 'P2002') {
+    return NextResponse.json({ error: 'An environment with this name already exists' }, { status: 409 });
+  }
+  return null;
+}
+
+export async function GET(req, { params }) {
+  const { userId, error } = await requireUser();
+  if (!userId) return error;
+
+  const project = await findProjectForUser(userId, params?.projectId);
+  if (!project) {
+    return NextResponse.json({ error: 'Project not found' }, { status: 404 });
+  }
+
+  return NextResponse.json({ environments: await listEnvironments(project.id) });
+}
+
+export async function POST(req, { params }) {
+  const { userId, error } = await requireUser();
+  if (!userId) return error;
+
+  const project = await findProjectForUser(userId, params?.projectId);
+  if (!project) {
+    return NextResponse.json({ error: 'Project not found' }, { status: 404 });
+  }
+
+  const body = await req.json().catch(() => ({}));
+  let data;
+  try {
+    data = normalizeEnvironmentInput(body);
+  } catch (err) {
+    return NextResponse.json({ error: err.message }, { status: 400 });
+  }
+
+  try {
+    const environment = await prisma.projectEnvironment.create({
+      data: { ...data, projectId: project.id }
+    });
+    return NextResponse.json(
+      { environment: serializeEnvironment(environment), environments: await listEnvironments(project.id) },
+      { status: 201 }
+    );
+  } catch (err) {
+    const conflict = conflictResponse(err);
+    if (conflict) return conflict;
+    console.error('Failed to create environment', err);
+    return NextResponse.json({ error: 'Failed to create environment' }, { status: 500 });
+  }
+}
+
+export async function PATCH(req, { params }) {
+  const { userId, error } = await requireUser();
+  if (!userId) return error;
+
+  const project = await findProjectForUser(userId, params?.projectId);
+  if (!project) {
+    return NextResponse.json({ error: 'Project not found' }, { status: 404 });
+  }
+
+  const body = await req.json().catch(() => ({}));
+  const environmentId = Number(body?.id || body?.environmentId);
+  const existing = environmentId
+    ? await prisma.projectEnvironment.findFirst({ where: { id: environmentId, projectId: project.id } })
+    : null;
+  if (!existing) {
+    return NextResponse.json({ error: 'Environment not found' }, { status: 404 });
+  }
+
+  let data;
+  try {
+    data = normalizeEnvironmentInput(body, { partial: true });
+  } catch (err) {
+    return NextResponse.json({ error: err.message }, { status: 400 });
+  }
+  if (Object.keys(data).length === 0) {
+    return NextResponse.json({ error: 'Nothing to update' }, { status: 400 });
+  }
+
+  try {
+    const environment = await prisma.projectEnvironment.update({ where: { id: existing.id }, data });
+    return NextResponse.json({ environment: serializeEnvironment(environment), environments: await listEnvironments(project.id) });
+  } catch (err) {
+    const conflict = conflictResponse(err);
+    if (conflict) return conflict;
+    console.error('Failed to update environment', err);
+    return NextResponse.json({ error: 'Failed to update environment' }, { status: 500 });
+  }
+}
+
+export async function DELETE(req, { params }) {
+  const { userId, error } = await requireUser();
+  if (!userId) return error;
+
+  const project = await findProjectForUser(userId, params?.projectId);
+  if (!project) {
+    return NextResponse.json({ error: 'Project not found' }, { status: 404 });
+  }
+
+  const { searchParams } = new URL(req.url);
+  const environmentId = Number(searchParams.get('environmentId') || searchParams.get('id'));
+  if (!environmentId) {
+    return NextResponse.json({ error: 'environmentId is required' }, { status: 400 });
+  }
+
+  await prisma.projectEnvironment.deleteMany({ where: { id: environmentId, projectId: project.id } });
+  return NextResponse.json({ environments: await listEnvironments(project.id) });
+}
@@ -0,0 +1,39 @@
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+
+import { authOptions } from '../../../../../lib/auth.js';
+import prisma from '../../../../../lib/prisma.js';
+import { findProjectForUser } from '../../../../../lib/user-context.js';
+import { mockHostVerificationRecord, verifyMockHost } from '../../../../../lib/mock-namespace.js';
+
+// Checks the mock host's DNS TXT record and, when it holds the project's token, lets the
+// host serve the project's routes.
+export async function POST(req, { params }) {
+  const session = await getServerSession(authOptions);
+  const userId = Number(session?.user?.id);
+  if (!userId) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+  }
+
+  const project = await findProjectForUser(userId, params?.projectId);
+  if (!project) {
+    return NextResponse.json({ error: 'Project not found' }, { status: 404 });
+  }
+
+  const record = mockHostVerificationRecord(project);
+  if (!record) {
+    return NextResponse.json({ error: 'Save a mock host first' }, { status: 400 });
+  }
+  if (!(await verifyMockHost(project))) {
+    return NextResponse.json(
+      { error: `TXT record ${record.name} with value ${record.value} was not found`, record },
+      { status: 422 }
+    );
+  }
+
+  const updated = await prisma.project.update({
+    where: { id: project.id },
+    data: { mockHostVerifiedAt: new Date() },
+  });
+  return NextResponse.json({ project: updated, record });
+}
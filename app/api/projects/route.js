@@ -1,9 +1,52 @@
 import { NextResponse } from 'next/server';
 import { getServerSession } from 'next-auth';
+import { Prisma } from '@prisma/client';
 
 import { authOptions } from '../../../lib/auth.js';
 import prisma from '../../../lib/prisma.js';
 import { DEFAULT_PROJECT_NAME, ensureDefaultProjectForUser } from '../../../lib/user-context.js';
+import { normalizeProxyMode, normalizeUpstreamBaseUrl } from '../../../lib/mock-proxy.js';
+import { normalizeChaosSettings } from '../../../lib/mock-chaos.js';
+import { normalizeRateLimit } from '../../../lib/mock-rate-limit.js';
+import { normalizeGraphqlSettings } from '../../../lib/mock-graphql.js';
+import { normalizeCorsSettings, normalizeDefaultHeaders } from '../../../lib/mock-cors.js';
+import { normalizeProjectVars, normalizeTemplatePartials } from '../../../lib/mock-project-templates.js';
+import {
+  generateMockHostToken,
+  generateProjectSlug,
+  normalizeMockHost,
+  normalizeProjectSlug,
+} from '../../../lib/mock-namespace.js';
+
+function hasField(body, key) {
+  return Object.prototype.hasOwnProperty.call(body || {}, key);
+}
+
+function parseProjectSettings(body) {
+  const settings = {};
+  if (hasField(body, 'upstreamBaseUrl')) settings.upstreamBaseUrl = normalizeUpstreamBaseUrl(body.upstreamBaseUrl);
+  if (hasField(body, 'proxyMode')) settings.proxyMode = normalizeProxyMode(body.proxyMode);
+  if (hasField(body, 'chaos')) settings.chaos = normalizeChaosSettings(body.chaos) ?? Prisma.DbNull;
+  if (hasField(body, 'rateLimit')) settings.rateLimit = normalizeRateLimit(body.rateLimit) ?? Prisma.DbNull;
+  if (hasField(body, 'graphql')) settings.graphql = normalizeGraphqlSettings(body.graphql) ?? Prisma.DbNull;
+  if (hasField(body, 'cors')) settings.cors = normalizeCorsSettings(body.cors) ?? Prisma.DbNull;
+  if (hasField(body, 'defaultHeaders')) settings.defaultHeaders = normalizeDefaultHeaders(body.defaultHeaders) ?? Prisma.DbNull;
+  if (hasField(body, 'slug')) settings.slug = normalizeProjectSlug(body.slug);
+  if (hasField(body, 'mockHost')) settings.mockHost = normalizeMockHost(body.mockHost);
+  if (hasField(body, 'templateVars')) settings.templateVars = normalizeProjectVars(body.templateVars) ?? Prisma.DbNull;
+  if (hasField(body, 'templatePartials')) {
+    settings.templatePartials = normalizeTemplatePartials(body.templatePartials) ?? Prisma.DbNull;
+  }
+  return settings;
+}
+
+// Unique constraint failures name the column; slugs and mock hosts are unique across all users.
+function conflictMessage(error) {
+  const target = String(error?.meta?.target ?? '');
+  if (target.includes('slug')) return 'That slug is already taken';
+  if (target.includes('mockHost')) return 'That mock host is already used by another project';
+  return 'A project with this name already exists for your account';
+}
 
 export async function GET() {
   const session = await getServerSession(authOptions);
@@ -44,7 +87,8 @@ export async function POST(req) {
       data: {
         userId,
         name,
-        description
+        description,
+        slug: generateProjectSlug(name)
       }
     });
 
@@ -79,7 +123,14 @@ export async function PATCH(req) {
     return NextResponse.json({ error: 'Project id is required' }, { status: 400 });
   }
 
-  if (!name && !descriptionProvided) {
+  let settings;
+  try {
+    settings = parseProjectSettings(body);
+  } catch (err) {
+    return NextResponse.json({ error: err.message }, { status: 400 });
+  }
+
+  if (!name && !descriptionProvided && Object.keys(settings).length === 0) {
     return NextResponse.json({ error: 'Nothing to update' }, { status: 400 });
   }
 
@@ -92,22 +143,26 @@ export async function PATCH(req) {
     return NextResponse.json({ error: 'Project not found' }, { status: 404 });
   }
 
+  // A new mock host needs its own DNS verification before it serves requests.
+  if (hasField(settings, 'mockHost') && settings.mockHost !== existing.mockHost) {
+    settings.mockHostToken = settings.mockHost ? generateMockHostToken() : null;
+    settings.mockHostVerifiedAt = null;
+  }
+
   try {
     const project = await prisma.project.update({
       where: { id: projectId },
       data: {
         ...(name ? { name } : {}),
-        ...(descriptionProvided ? { description } : {})
+        ...(descriptionProvided ? { description } : {}),
+        ...settings
       }
     });
 
     return NextResponse.json({ project });
   } catch (error) {
     if (error?.code === 'P2002') {
-      return NextResponse.json(
-        { error: 'A project with this name already exists for your account' },
-        { status: 409 }
-      );
+      return NextResponse.json({ error: conflictMessage(error) }, { status: 409 });
     }
     console.error('Failed to update project', error);
     return NextResponse.json({ error: 'Failed to update project' }, { status: 500 });
@@ -148,7 +203,8 @@ export async function DELETE(req) {
         data: {
           userId,
           name: DEFAULT_PROJECT_NAME,
-          description: 'Starter project for your MCP tools'
+          description: 'Starter project for your MCP tools',
+          slug: generateProjectSlug(DEFAULT_PROJECT_NAME)
         }
       });
     });
@@ -5,6 +5,7 @@ import AppShell from '../../../../components/dashboard/AppShell.jsx';
 import RouteForm from '../../../../components/routes/RouteForm.jsx';
 import { getDashboardContext } from '../../../../lib/dashboard-context.js';
 import prisma from '../../../../lib/prisma.js';
+import { RESPONSE_FILE_SELECT } from '../../../../lib/mock-response-files.js';
 
 function withProjectHref(base, projectId) {
   if (!projectId) return base;
@@ -20,7 +21,10 @@ export default async function EditRoutePage({ params, searchParams }) {
   }
 
   const { session, userId, projects, activeProjectId } = await getDashboardContext(searchParams);
-  const route = await prisma.mockRoute.findFirst({ where: { id: routeId, userId } });
+  const route = await prisma.mockRoute.findFirst({
+    where: { id: routeId, userId },
+    include: { responseFile: RESPONSE_FILE_SELECT },
+  });
   if (!route) {
     notFound();
   }
@@ -0,0 +1,100 @@
+import Link from 'next/link';
+import { notFound } from 'next/navigation';
+
+import AppShell from '../../../../../components/dashboard/AppShell.jsx';
+import { getDashboardContext } from '../../../../../lib/dashboard-context.js';
+import prisma from '../../../../../lib/prisma.js';
+import '../../../../../components/detail/detail-page.css';
+
+function withProjectHref(base, projectId) {
+  if (!projectId) return base;
+  const url = new URL(base, 'https://placeholder.local');
+  url.searchParams.set('projectId', projectId);
+  return `${url.pathname}${url.search ? url.search : ''}`;
+}
+
+function formatDate(value) {
+  if (!value) return '—';
+  try {
+    return new Intl.DateTimeFormat('en-US', {
+      dateStyle: 'medium',
+      timeStyle: 'medium',
+    }).format(value);
+  } catch {
+    return value instanceof Date ? value.toISOString() : String(value);
+  }
+}
+
+function pretty(value, fallback = '{}') {
+  if (value === undefined || value === null || value === '') return fallback;
+  if (typeof value === 'string') {
+    try {
+      return JSON.stringify(JSON.parse(value), null, 2);
+    } catch {
+      return value;
+    }
+  }
+  return JSON.stringify(value, null, 2);
+}
+
+export default async function RequestLogDetailPage({ params, searchParams }) {
+  const routeId = Number(params?.routeId);
+  const logId = Number(params?.logId);
+  if (!routeId || !logId) {
+    notFound();
+  }
+
+  const { session, userId, projects, activeProjectId } = await getDashboardContext(searchParams);
+  const log = await prisma.mockRequestLog.findFirst({
+    where: { id: logId, routeId, route: { userId } },
+    include: { route: { select: { id: true, name: true, path: true, projectId: true } } },
+  });
+  if (!log) {
+    notFound();
+  }
+
+  const projectId = log.route?.projectId || activeProjectId;
+  const backHref = withProjectHref(`/routes/${routeId}`, projectId);
+
+  return (
+    <AppShell session={session} projects={projects} activeProjectId={projectId}>
+      <section className="section-card">
+        <header>
+          <div>
+            <h2>Log {log.id}</h2>
+            <p>
+              Captured {formatDate(log.createdAt)} · {log.latencyMs} ms
+            </p>
+          </div>
+          <Link className="btn secondary" href={backHref}>
+            Back to route
+          </Link>
+        </header>
+        <p>
+          {log.method} request to <code>{log.path}</code> · <span className="badge">Status {log.status}</span>
+        </p>
+
+        <div className="detail-stack">
+          <h3>Request line</h3>
+          <pre className="code-block">{`${log.method} ${log.path}`}</pre>
+        </div>
+        <div className="detail-stack">
+          <h3>Path parameters</h3>
+          <pre className="code-block">{pretty(log.matchedParams)}</pre>
+        </div>
+        <div className="detail-stack">
+          <h3>Query</h3>
+          <pre className="code-block">{pretty(log.query)}</pre>
+        </div>
+        <div className="detail-stack">
+          <h3>Headers</h3>
+          <pre className="code-block">{pretty(log.headers)}</pre>
+        </div>
+        <div className="detail-stack">
+          <h3>Body</h3>
+          <pre className="code-block">{pretty(log.body, 'null')}</pre>
+        </div>
+      </section>
+    </AppShell>
+  );
+}
@@ -3,9 +3,16 @@ import { notFound } from 'next/navigation';
 
 import AppShell from '../../../components/dashboard/AppShell.jsx';
 import ApiKeyField from '../../../components/shared/ApiKeyField.jsx';
+import ResetResourceButton from '../../../components/routes/ResetResourceButton.jsx';
+import ResetSequenceButton from '../../../components/routes/ResetSequenceButton.jsx';
 import { getDashboardContext } from '../../../lib/dashboard-context.js';
 import prisma from '../../../lib/prisma.js';
 import { formatRouteOpenApiDocument } from '../../../lib/mock-route-openapi.js';
+import { listMockRequestLogs } from '../../../lib/mock-request-log.js';
+import { resolveChaosSettings } from '../../../lib/mock-chaos.js';
+import { RESPONSE_FILE_SELECT } from '../../../lib/mock-response-files.js';
+import { buildNamespacedPath } from '../../../lib/mock-namespace.js';
+import { isRegexPath } from '../../../lib/mock-route-matcher.js';
 import { buildAbsoluteUrl, getMockBaseUrl } from '../../../lib/url-utils.js';
 import '../../../components/detail/detail-page.css';
 
@@ -18,6 +25,25 @@ function withProjectHref(base, projectId) {
   return `${url.pathname}${url.search ? url.search : ''}`;
 }
 
+function withQueryHref(base, params) {
+  const url = new URL(base, 'https://placeholder.local');
+  for (const [key, value] of Object.entries(params)) {
+    if (value) url.searchParams.set(key, value);
+  }
+  return `${url.pathname}${url.search ? url.search : ''}`;
+}
+
+function statusBadgeClass(status) {
+  if (status >= 200 && status < 300) return 'badge success';
+  if (status >= 400) return 'badge muted';
+  return 'badge';
+}
+
+function previewBody(body) {
+  if (!body) return '—';
+  return body.length > 120 ? `${body.slice(0, 117)}...` : body;
+}
+
 function formatDate(value) {
   if (!value) return '—';
   try {
@@ -51,8 +77,38 @@ function formatResponseBody(route) {
   return route.responseBody;
 }
 
+function describeVariantMatch(variant) {
+  const parts = [];
+  for (const [source, rules] of objectEntries(variant?.match)) {
+    for (const [key, value] of objectEntries(rules)) {
+      parts.push(`${source}.${key} = ${value}`);
+    }
+  }
+  return parts;
+}
+
+function describeChaos(settings) {
+  if (!settings) return 'Off';
+  const parts = [];
+  if (settings.errorRate > 0) parts.push(`${settings.errorRate}% errors (${settings.errorStatus})`);
+  if (settings.dropRate > 0) parts.push(`${settings.dropRate}% dropped`);
+  if (settings.truncateRate > 0) parts.push(`${settings.truncateRate}% truncated`);
+  if (settings.latency?.mode === 'uniform') parts.push(`+${settings.latency.minMs}–${settings.latency.maxMs} ms`);
+  if (settings.latency?.mode === 'normal') parts.push(`+${settings.latency.meanMs} ± ${settings.latency.stdDevMs} ms`);
+  return parts.length ? parts.join(', ') : 'Enabled (no faults configured)';
+}
+
+const PAGINATION_LABELS = { page: 'page / pageSize', offset: 'offset / limit', cursor: 'cursor / limit' };
+
+function describePagination(settings) {
+  if (!settings?.enabled) return 'Off';
+  const source = settings.source === 'var' ? `variable ${settings.variable}` : 'response body';
+  return `${PAGINATION_LABELS[settings.style]} over the ${source}, ${settings.defaultPageSize} per page (max ${settings.maxPageSize})`;
+}
+
 function buildCurlCommand(route, url, headerEntries, projectApiKey) {
-  const lines = [`curl -X ${route.method} '${url}'`];
+  const method = route.routeType === 'resource' ? 'GET' : route.method;
+  const lines = [`curl${route.routeType === 'stream' ? ' -N' : ''} -X ${method} '${url}'`];
   const apiKeyValue = projectApiKey || '<PROJECT_API_KEY>';
   lines.push(`  -H 'x-api-key: ${apiKeyValue}'`);
   headerEntries.forEach(([key, value]) => {
@@ -61,7 +117,9 @@ function buildCurlCommand(route, url, headerEntries, projectApiKey) {
     }
     lines.push(`  -H '${key}: ${String(value)}'`);
   });
-  if (route.responseIsJson) {
+  if (route.routeType === 'stream') {
+    lines.push("  -H 'Accept: text/event-stream'");
+  } else if (route.responseIsJson) {
     lines.push("  -H 'Accept: application/json'");
   }
   return lines.join(' \\\n');
@@ -76,7 +134,11 @@ export default async function RouteDetailPage({ params, searchParams }) {
   const { session, userId, projects, activeProjectId } = await getDashboardContext(searchParams);
   const route = await prisma.mockRoute.findFirst({
     where: { id: routeId, userId },
-    include: { vars: true, project: { select: { id: true, apiKey: true } } },
+    include: {
+      vars: true,
+      project: { select: { id: true, apiKey: true, chaos: true, slug: true, mockHost: true, mockHostVerifiedAt: true } },
+      responseFile: RESPONSE_FILE_SELECT,
+    },
   });
   if (!route) {
     notFound();
@@ -87,9 +149,29 @@ export default async function RouteDetailPage({ params, searchParams }) {
   const mockBaseUrl = getMockBaseUrl();
   const projectApiKey = route.project?.apiKey;
   const fullUrl = buildAbsoluteUrl(mockBaseUrl, route.path);
+  // Regex paths have no literal URL to show.
+  const namespacedUrl =
+    route.project?.slug && !isRegexPath(route.path) ? buildAbsoluteUrl(mockBaseUrl, buildNamespacedPath(route.project, route.path)) : null;
   const matchHeaderEntries = objectEntries(route.matchHeaders);
   const responseHeaderEntries = objectEntries(route.responseHeaders);
   const responseBody = formatResponseBody(route);
+  const responseVariants = Array.isArray(route.responseVariants) ? route.responseVariants : [];
+  const isResource = route.routeType === 'resource';
+  const chaosSettings = resolveChaosSettings(route, route.project);
+  const requestSchemaEntries = objectEntries(route.requestSchema);
+  const callbacks = Array.isArray(route.callbacks) ? route.callbacks : [];
+  const streamEvents = route.routeType === 'stream' ? route.stream?.events || [] : null;
+  const responseSequence = route.responseSequence?.enabled ? route.responseSequence : null;
+  const sequenceCounterCount = responseSequence
+    ? await prisma.mockSequenceCounter.count({ where: { routeId: route.id } })
+    : 0;
+  const sequenceResetUrl = buildAbsoluteUrl(mockBaseUrl, `/api/mock-routes/${route.id}/sequence`);
+  const chaosSource = route.chaos?.enabled ? 'route' : 'project';
+  const resourceRecordCount = isResource
+    ? await prisma.mockResourceRecord.count({ where: { routeId: route.id } })
+    : 0;
+  const resetUrl = buildAbsoluteUrl(mockBaseUrl, `/api/mock-routes/${route.id}/reset`);
+  const requestLogs = await listMockRequestLogs({ routeId: route.id, page: searchParams?.logsPage });
   const openApiSpec = formatRouteOpenApiDocument(route, { serverUrl: mockBaseUrl });
   const curlCommand = buildCurlCommand(route, fullUrl, matchHeaderEntries, projectApiKey);
 
@@ -117,22 +199,49 @@ export default async function RouteDetailPage({ params, searchParams }) {
                   <span className="badge">{route.method}</span>
                 </dd>
               </div>
+              <div>
+                <dt>Route type</dt>
+                <dd>
+                  {isResource ? 'Resource (stateful CRUD)' : route.routeType === 'stream' ? 'Stream (Server-Sent Events)' : 'Static response'}
+                </dd>
+              </div>
               <div>
                 <dt>Relative path</dt>
                 <dd>
                   <code>{route.path}</code>
                 </dd>
               </div>
+              <div>
+                <dt>Priority</dt>
+                <dd>{route.priority}</dd>
+              </div>
               <div>
                 <dt>Full URL</dt>
                 <dd>
                   <code>{fullUrl}</code>
                 </dd>
               </div>
+              {namespacedUrl ? (
+                <div>
+                  <dt>Project URL</dt>
+                  <dd>
+                    <code>{namespacedUrl}</code>
+                    {route.project.mockHost && route.project.mockHostVerifiedAt ? (
+                      <span className="table-note"> · also at http://{route.project.mockHost}{route.path}</span>
+                    ) : null}
+                  </dd>
+                </div>
+              ) : null}
               <div>
                 <dt>Status code</dt>
                 <dd>
                   <span className="badge">{route.responseStatus}</span>
+                  {route.templateEnabled && route.responseStatusTemplate ? (
+                    <span className="table-note">
+                      {' '}
+                      · from template <code>{route.responseStatusTemplate}</code>
+                    </span>
+                  ) : null}
                 </dd>
               </div>
               <div>
@@ -143,6 +252,29 @@ export default async function RouteDetailPage({ params, searchParams }) {
                 <dt>Response delay</dt>
                 <dd>{route.responseDelayMs} ms</dd>
               </div>
+              {route.routeType === 'static' ? (
+                <div>
+                  <dt>Pagination</dt>
+                  <dd>{describePagination(route.pagination)}</dd>
+                </div>
+              ) : null}
+              <div>
+                <dt>Rate limit</dt>
+                <dd>
+                  {route.rateLimit?.enabled
+                    ? `${route.rateLimit.limit} requests / ${route.rateLimit.windowSeconds}s ${
+                        route.rateLimit.scope === 'apiKey' ? 'per x-api-key' : 'for all callers'
+                      }`
+                    : 'Off'}
+                </dd>
+              </div>
+              <div>
+                <dt>Fault injection</dt>
+                <dd>
+                  {describeChaos(chaosSettings)}
+                  {chaosSettings ? <span className="table-note"> · from {chaosSource} settings</span> : null}
+                </dd>
+              </div>
               <div>
                 <dt>Security</dt>
                 <dd>{route.requireApiKey ? 'x-api-key required' : 'Public (no API key)'}</dd>
@@ -225,9 +357,275 @@ export default async function RouteDetailPage({ params, searchParams }) {
           <pre className="code-block">{openApiSpec}</pre>
         </div>
 
+        {isResource ? (
+          <div className="detail-stack">
+            <h3>Collection</h3>
+            <p className="table-note">
+              {resourceRecordCount} stored record{resourceRecordCount === 1 ? '' : 's'} · ID field{' '}
+              <code>{route.resourceIdField}</code>
+              {route.resourceSeededAt ? ` · last reset ${formatDate(route.resourceSeededAt)}` : ' · seeds on first request'}
+            </p>
+            <pre className="code-block">{`curl -X POST '${resetUrl}' \\\n  -H 'x-api-key: ${projectApiKey || '<PROJECT_API_KEY>'}'`}</pre>
+            <ResetResourceButton routeId={route.id} />
+          </div>
+        ) : null}
+
+        {requestSchemaEntries.length ? (
+          <div className="detail-stack">
+            <h3>Request validation</h3>
+            <p className="table-note">
+              Requests that fail a schema receive <span className="badge">{route.requestValidationStatus}</span> with the
+              list of validation errors.
+            </p>
+            {requestSchemaEntries.map(([target, schema]) => (
+              <div key={target}>
+                <h4>{target} schema</h4>
+                <pre className="code-block">{JSON.stringify(schema, null, 2)}</pre>
+              </div>
+            ))}
+          </div>
+        ) : null}
+
+        {streamEvents ? (
+          <div className="detail-stack">
+            <h3>Stream events</h3>
+            <p className="table-note">
+              {route.stream?.end === 'keepAlive'
+                ? 'The connection stays open after the last event.'
+                : 'The connection closes after the last event.'}
+            </p>
+            {streamEvents.length ? (
+              <div className="table-wrapper">
+                <table className="table">
+                  <thead>
+                    <tr>
+                      <th>#</th>
+                      <th>Event</th>
+                      <th>Delay</th>
+                      <th>Data</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {streamEvents.map((event, index) => (
+                      <tr key={index}>
+                        <td>{index + 1}</td>
+                        <td>{event.event || 'message'}</td>
+                        <td>{event.delayMs} ms</td>
+                        <td>
+                          <code>{previewBody(event.data)}</code>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            ) : (
+              <p className="table-note">No events configured.</p>
+            )}
+          </div>
+        ) : null}
+
         <div className="detail-stack">
           <h3>Response preview</h3>
-          <pre className="code-block">{responseBody}</pre>
+          {route.responseFile ? (
+            <p className="table-note">
+              Serves the uploaded file <a href={`/api/mock-routes/${route.id}/file`}>{route.responseFile.fileName}</a> (
+              {route.responseFile.contentType}, {route.responseFile.size} bytes) unless a variant matches.
+            </p>
+          ) : (
+            <pre className="code-block">{responseBody}</pre>
+          )}
+        </div>
+
+        <div className="detail-stack">
+          <h3>Response variants</h3>
+          {responseVariants.length ? (
+            <div className="table-wrapper">
+              <table className="table">
+                <thead>
+                  <tr>
+                    <th>#</th>
+                    <th>Name</th>
+                    <th>Matches when</th>
+                    <th>Status</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {responseVariants.map((variant, index) => {
+                    const conditions = describeVariantMatch(variant);
+                    return (
+                      <tr key={`${variant.name}-${index}`}>
+                        <td>{index + 1}</td>
+                        <td>{variant.name}</td>
+                        <td>
+                          {conditions.length === 0 ? (
+                            'Always'
+                          ) : (
+                            <div className="tag-list">
+                              {conditions.map((condition) => (
+                                <span key={condition} className="badge">
+                                  {condition}
+                                </span>
+                              ))}
+                            </div>
+                          )}
+                        </td>
+                        <td>
+                          <span className="badge">{variant.status}</span>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          ) : (
+            <p className="table-note">No conditional variants. Every request receives the response above.</p>
+          )}
+        </div>
+
+        {responseSequence ? (
+          <div className="detail-stack">
+            <h3>Response sequence</h3>
+            <p className="table-note">
+              Counted{' '}
+              {responseSequence.keyBy === 'apiKey'
+                ? 'per x-api-key'
+                : responseSequence.keyBy === 'header'
+                ? `per ${responseSequence.keyHeader} header value`
+                : 'for the whole route'}{' '}
+              · {responseSequence.onEnd === 'loop' ? 'loops after the last step' : 'repeats the last step'} ·{' '}
+              {sequenceCounterCount} active counter{sequenceCounterCount === 1 ? '' : 's'}
+            </p>
+            <div className="table-wrapper">
+              <table className="table">
+                <thead>
+                  <tr>
+                    <th>Call</th>
+                    <th>Name</th>
+                    <th>Status</th>
+                    <th>Delay</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {responseSequence.steps.map((step, index) => (
+                    <tr key={`${step.name}-${index}`}>
+                      <td>{index + 1}</td>
+                      <td>{step.name}</td>
+                      <td>
+                        <span className="badge">{step.status}</span>
+                      </td>
+                      <td>{step.delayMs} ms</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <pre className="code-block">{`curl -X DELETE '${sequenceResetUrl}' \\\n  -H 'x-api-key: ${projectApiKey || '<PROJECT_API_KEY>'}'`}</pre>
+            <ResetSequenceButton routeId={route.id} />
+          </div>
+        ) : null}
+
+        {callbacks.length ? (
+          <div className="detail-stack">
+            <h3>Callbacks</h3>
+            <div className="table-wrapper">
+              <table className="table">
+                <thead>
+                  <tr>
+                    <th>Name</th>
+                    <th>Request</th>
+                    <th>Delay</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {callbacks.map((callback, index) => (
+                    <tr key={`${callback.name}-${index}`}>
+                      <td>{callback.name}</td>
+                      <td>
+                        <span className="badge">{callback.method}</span> <code>{callback.url}</code>
+                      </td>
+                      <td>{callback.delayMs} ms</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        ) : null}
+
+        <div className="detail-stack">
+          <h3>Request logs</h3>
+          {requestLogs.logs.length ? (
+            <div className="table-wrapper">
+              <table className="table">
+                <thead>
+                  <tr>
+                    <th>When</th>
+                    <th>Status</th>
+                    <th>Method</th>
+                    <th>Path</th>
+                    <th>Request body</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {requestLogs.logs.map((log) => (
+                    <tr key={log.id}>
+                      <td>
+                        {formatDate(log.createdAt)}
+                        <p className="helper-text">{log.latencyMs} ms</p>
+                      </td>
+                      <td>
+                        <span className={statusBadgeClass(log.status)}>{log.status}</span>
+                      </td>
+                      <td>
+                        <code>{log.method}</code>
+                      </td>
+                      <td>
+                        <code>{log.path}</code>
+                      </td>
+                      <td>
+                        <code>{previewBody(log.body)}</code>
+                      </td>
+                      <td>
+                        <div className="table-actions">
+                          <Link className="table-action" href={withProjectHref(`/routes/${route.id}/logs/${log.id}`, projectId)}>
+                            View
+                          </Link>
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ) : (
+            <p className="table-note">No requests captured yet.</p>
+          )}
+          {requestLogs.pageCount > 1 ? (
+            <div className="table-actions">
+              {requestLogs.page > 1 ? (
+                <Link
+                  className="table-action"
+                  href={withQueryHref(`/routes/${route.id}`, { projectId, logsPage: requestLogs.page - 1 })}
+                >
+                  Newer
+                </Link>
+              ) : null}
+              <span className="table-note">
+                Page {requestLogs.page} of {requestLogs.pageCount} · {requestLogs.total} requests
+              </span>
+              {requestLogs.page < requestLogs.pageCount ? (
+                <Link
+                  className="table-action"
+                  href={withQueryHref(`/routes/${route.id}`, { projectId, logsPage: requestLogs.page + 1 })}
+                >
+                  Older
+                </Link>
+              ) : null}
+            </div>
+          ) : null}
         </div>
 
         <div className="detail-stack">
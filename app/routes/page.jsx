@@ -57,7 +57,10 @@ export default async function RoutesPage({ searchParams }) {
                     <td>
                       <span className="badge">{route.method}</span>
                     </td>
-                    <td>{route.path}</td>
+                    <td>
+                      {route.path}
+                      {route.priority ? <span className="badge muted">priority {route.priority}</span> : null}
+                    </td>
                     <td>
                       <span className={`badge ${route.enabled ? 'success' : 'muted'}`}>
                         {route.enabled ? 'Enabled' : 'Disabled'}
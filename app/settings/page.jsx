@@ -0,0 +1,55 @@
+import AppShell from '../../components/dashboard/AppShell.jsx';
+import ProjectNamespaceForm from '../../components/settings/ProjectNamespaceForm.jsx';
+import ProjectEnvironmentsForm from '../../components/settings/ProjectEnvironmentsForm.jsx';
+import ProjectDatasetsForm from '../../components/settings/ProjectDatasetsForm.jsx';
+import ProjectTemplatesForm from '../../components/settings/ProjectTemplatesForm.jsx';
+import ProjectProxySettingsForm from '../../components/settings/ProjectProxySettingsForm.jsx';
+import ProjectChaosSettingsForm from '../../components/settings/ProjectChaosSettingsForm.jsx';
+import ProjectRateLimitForm from '../../components/settings/ProjectRateLimitForm.jsx';
+import ProjectGraphqlForm from '../../components/settings/ProjectGraphqlForm.jsx';
+import ProjectCorsForm from '../../components/settings/ProjectCorsForm.jsx';
+import ProjectDefaultHeadersForm from '../../components/settings/ProjectDefaultHeadersForm.jsx';
+import { getDashboardContext } from '../../lib/dashboard-context.js';
+import prisma from '../../lib/prisma.js';
+import { DATASET_SUMMARY_SELECT, summarizeDataset } from '../../lib/mock-datasets.js';
+import { getMockBaseUrl } from '../../lib/url-utils.js';
+
+export default async function ProjectSettingsPage({ searchParams }) {
+  const { session, projects, activeProject, activeProjectId } = await getDashboardContext(searchParams);
+  const project = JSON.parse(JSON.stringify(activeProject));
+  const environments = JSON.parse(
+    JSON.stringify(await prisma.projectEnvironment.findMany({ where: { projectId: project.id }, orderBy: { name: 'asc' } }))
+  );
+  const datasets = JSON.parse(
+    JSON.stringify(
+      (
+        await prisma.projectDataset.findMany({
+          where: { projectId: project.id },
+          select: DATASET_SUMMARY_SELECT,
+          orderBy: { name: 'asc' },
+        })
+      ).map(summarizeDataset)
+    )
+  );
+
+  return (
+    <AppShell session={session} projects={projects} activeProjectId={activeProjectId}>
+      <section className="section-card">
+        <header>
+          <h2>Project settings</h2>
+          <p>Runtime behavior shared by every mock route in {activeProject?.name}.</p>
+        </header>
+        <ProjectNamespaceForm key={`namespace-${project.id}`} project={project} endpointBaseUrl={getMockBaseUrl()} />
+        <ProjectEnvironmentsForm key={`environments-${project.id}`} project={project} environments={environments} />
+        <ProjectTemplatesForm key={`templates-${project.id}`} project={project} />
+        <ProjectDatasetsForm key={`datasets-${project.id}`} project={project} datasets={datasets} />
+        <ProjectProxySettingsForm key={`proxy-${project.id}`} project={project} />
+        <ProjectChaosSettingsForm key={`chaos-${project.id}`} project={project} />
+        <ProjectRateLimitForm key={`rate-limit-${project.id}`} project={project} />
+        <ProjectCorsForm key={`cors-${project.id}`} project={project} />
+        <ProjectDefaultHeadersForm key={`default-headers-${project.id}`} project={project} />
+        <ProjectGraphqlForm key={`graphql-${project.id}`} project={project} endpointBaseUrl={getMockBaseUrl()} />
+      </section>
+    </AppShell>
+  );
+}
@@ -250,14 +250,16 @@ export default function LegacyDashboardApp({ projectId, routes: initialRoutes =
               <header className="section-heading">
                 <div>
                   <h3>Logs · {activeLogsRoute.name || activeLogsRoute.path}</h3>
-                  <p className="muted" style={{ margin: 0 }}>Historical logs from the Express app are not stored, but you can view request previews here.</p>
+                  <p className="muted" style={{ margin: 0 }}>Requests served by the mock runtime are stored per route.</p>
                 </div>
                 <button className="button secondary" type="button" onClick={() => setLogsRouteId(null)}>
                   Close
                 </button>
               </header>
               <p className="muted" style={{ margin: 0 }}>
-                Logging will stream into Prisma tables soon. For now, track recent edits: last updated {new Date(activeLogsRoute.updatedAt).toLocaleString()}.
+                Browse captured requests on the{' '}
+                <a href={`/routes/${activeLogsRoute.id}?projectId=${projectId}`}>route detail page</a>. Last updated{' '}
+                {new Date(activeLogsRoute.updatedAt).toLocaleString()}.
               </p>
             </section>
           ) : null}
@@ -2,15 +2,34 @@
 
 import { useState } from 'react';
 
+import { buildParamVarKey, listPathParamNames, parseParamVarKey } from '../../lib/mock-param-vars.js';
+
 export default function LegacyRouteVarsPanel({ route, onVarsUpdated, onClose }) {
   const [varKey, setVarKey] = useState('');
   const [varValue, setVarValue] = useState('');
+  const [mode, setMode] = useState('plain');
+  const [paramVar, setParamVar] = useState({ param: '', value: '', field: '' });
   const [message, setMessage] = useState('');
   const [messageType, setMessageType] = useState('success');
   const [isSubmitting, setIsSubmitting] = useState(false);
 
   if (!route) return null;
 
+  const paramNames = listPathParamNames(route.path);
+  const isParamMode = mode === 'param' && paramNames.length > 0;
+  const selectedParam = paramVar.param || paramNames[0] || '';
+  const updateParamVar = (changes) => setParamVar((current) => ({ ...current, ...changes }));
+
+  const resolveKey = () => {
+    if (!isParamMode) return varKey;
+    const value = paramVar.value.trim();
+    const field = paramVar.field.trim();
+    if (!value || !field) {
+      throw new Error('Param value and field are required');
+    }
+    return buildParamVarKey({ param: selectedParam, value, field });
+  };
+
   const handleSubmit = async (event) => {
     event.preventDefault();
     setIsSubmitting(true);
@@ -18,10 +37,11 @@ export default function LegacyRouteVarsPanel({ route, onVarsUpdated, onClose })
     setMessageType('success');
 
     try {
+      const key = resolveKey();
       const response = await fetch(`/api/mock-routes/${route.id}/vars`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ key: varKey, value: varValue })
+        body: JSON.stringify({ key, value: varValue })
       });
       const data = await response.json().catch(() => ({}));
       if (!response.ok) {
@@ -30,6 +50,7 @@ export default function LegacyRouteVarsPanel({ route, onVarsUpdated, onClose })
       onVarsUpdated?.(route.id, data.vars || []);
       setVarKey('');
       setVarValue('');
+      updateParamVar({ field: '' });
       setMessageType('success');
       setMessage('Saved');
     } catch (error) {
@@ -69,6 +90,12 @@ export default function LegacyRouteVarsPanel({ route, onVarsUpdated, onClose })
         <div>
           <h3>Vars · {route.name || route.path}</h3>
           <p className="muted" style={{ margin: 0 }}>Vars behave exactly like the original admin: key/value pairs for Handlebars templates.</p>
+          {paramNames.length ? (
+            <p className="muted" style={{ margin: 0 }}>
+              Per-param vars such as <code>{`${paramNames[0]}.101.name`}</code> are read as <code>{`{{${paramNames[0]}.name}}`}</code> when{' '}
+              <code>:{paramNames[0]}</code> is 101.
+            </p>
+          ) : null}
         </div>
         <button className="button secondary" type="button" onClick={onClose}>
           Close
@@ -78,11 +105,45 @@ export default function LegacyRouteVarsPanel({ route, onVarsUpdated, onClose })
       {message ? <div className={`flash ${messageType === 'error' ? 'flash-error' : 'flash-success'}`}>{message}</div> : null}
 
       <form className="form-stack" onSubmit={handleSubmit}>
+        {paramNames.length ? (
+          <div className="table-actions">
+            <button className={`button ${isParamMode ? 'secondary' : ''}`} type="button" onClick={() => setMode('plain')}>
+              Plain var
+            </button>
+            <button className={`button ${isParamMode ? '' : 'secondary'}`} type="button" onClick={() => setMode('param')}>
+              Per param value
+            </button>
+          </div>
+        ) : null}
+        {isParamMode ? (
+          <div className="form-grid form-grid--two">
+            <label className="stack">
+              <span>Param</span>
+              <select value={selectedParam} onChange={(event) => updateParamVar({ param: event.target.value })}>
+                {paramNames.map((name) => (
+                  <option key={name} value={name}>
+                    :{name}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="stack">
+              <span>When it equals</span>
+              <input value={paramVar.value} onChange={(event) => updateParamVar({ value: event.target.value })} placeholder="101" />
+            </label>
+            <label className="stack">
+              <span>Field</span>
+              <input value={paramVar.field} onChange={(event) => updateParamVar({ field: event.target.value })} placeholder="name" />
+            </label>
+          </div>
+        ) : null}
         <div className="form-grid form-grid--two">
-          <label className="stack">
-            <span>Key</span>
-            <input value={varKey} onChange={(event) => setVarKey(event.target.value)} placeholder="customer_name" />
-          </label>
+          {isParamMode ? null : (
+            <label className="stack">
+              <span>Key</span>
+              <input value={varKey} onChange={(event) => setVarKey(event.target.value)} placeholder="customer_name" />
+            </label>
+          )}
           <label className="stack">
             <span>Value</span>
             <input value={varValue} onChange={(event) => setVarValue(event.target.value)} placeholder="MindBridge" />
@@ -99,32 +160,45 @@ export default function LegacyRouteVarsPanel({ route, onVarsUpdated, onClose })
             <tr>
               <th>Key</th>
               <th>Value</th>
+              <th>Template</th>
               <th>Actions</th>
             </tr>
           </thead>
           <tbody>
             {route.vars?.length === 0 ? (
               <tr>
-                <td className="empty-state" colSpan={3}>
+                <td className="empty-state" colSpan={4}>
                   No vars yet.
                 </td>
               </tr>
             ) : null}
-            {route.vars?.map((variable) => (
-              <tr key={variable.id}>
-                <td>
-                  <code>{variable.key}</code>
-                </td>
-                <td>{variable.value}</td>
-                <td>
-                  <div className="table-actions">
-                    <button className="button contrast" type="button" onClick={() => handleDelete(variable.id, variable.key)}>
-                      Delete
-                    </button>
-                  </div>
-                </td>
-              </tr>
-            ))}
+            {route.vars?.map((variable) => {
+              const paramKey = parseParamVarKey(variable.key, paramNames);
+              return (
+                <tr key={variable.id}>
+                  <td>
+                    <code>{variable.key}</code>
+                  </td>
+                  <td>{variable.value}</td>
+                  <td>
+                    {paramKey ? (
+                      <span>
+                        <code>{`{{${paramKey.param}.${paramKey.field}}}`}</code> when <code>:{paramKey.param}</code> = {paramKey.value}
+                      </span>
+                    ) : (
+                      <code>{`{{vars.${variable.key}}}`}</code>
+                    )}
+                  </td>
+                  <td>
+                    <div className="table-actions">
+                      <button className="button contrast" type="button" onClick={() => handleDelete(variable.id, variable.key)}>
+                        Delete
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              );
+            })}
           </tbody>
         </table>
       </div>
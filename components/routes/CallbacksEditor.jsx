@@ -0,0 +1,127 @@
+'use client';
+
+import { useMemo, useState } from 'react';
+
+import { headersToText, textToHeaders } from './ResponseVariantsEditor.jsx';
+
+const METHODS = ['POST', 'PUT', 'PATCH', 'GET', 'DELETE'];
+
+function toEditorCallback(callback = {}) {
+  return {
+    name: callback.name || '',
+    method: callback.method || 'POST',
+    url: callback.url || '',
+    delayMs: String(callback.delayMs ?? 0),
+    headersText: headersToText(callback.headers),
+    body: callback.body || '',
+  };
+}
+
+function toStoredCallback(callback) {
+  return {
+    name: callback.name,
+    method: callback.method,
+    url: callback.url,
+    delayMs: Number(callback.delayMs || 0),
+    headers: textToHeaders(callback.headersText),
+    body: callback.body,
+  };
+}
+
+export default function CallbacksEditor({ name = 'callbacks', initialCallbacks = [] }) {
+  const [callbacks, setCallbacks] = useState(() => (initialCallbacks || []).map(toEditorCallback));
+  const serialized = useMemo(() => JSON.stringify(callbacks.map(toStoredCallback)), [callbacks]);
+
+  const updateCallback = (index, changes) => {
+    setCallbacks((current) => current.map((callback, i) => (i === index ? { ...callback, ...changes } : callback)));
+  };
+
+  const addCallback = () => {
+    setCallbacks((current) => [...current, toEditorCallback({ name: `Callback ${current.length + 1}`, delayMs: 1000 })]);
+  };
+
+  const removeCallback = (index) => {
+    setCallbacks((current) => current.filter((_, i) => i !== index));
+  };
+
+  return (
+    <div className="field">
+      <input type="hidden" name={name} value={serialized} />
+      {callbacks.length === 0 ? <p className="helper-text">No callbacks. The route only answers the caller.</p> : null}
+      {callbacks.map((callback, index) => (
+        <fieldset key={index} className="form-section" style={{ border: '1px solid rgba(124, 93, 255, 0.2)', borderRadius: '12px', padding: '12px', marginBottom: '12px' }}>
+          <legend>
+            #{index + 1} · {callback.name || 'Untitled callback'}
+          </legend>
+          <div className="field">
+            <label htmlFor={`callback-${index}-name`}>Name</label>
+            <input
+              id={`callback-${index}-name`}
+              value={callback.name}
+              onChange={(event) => updateCallback(index, { name: event.target.value })}
+              placeholder="Payment succeeded webhook"
+            />
+          </div>
+          <div className="field">
+            <label htmlFor={`callback-${index}-url`}>URL</label>
+            <div style={{ display: 'flex', gap: '8px' }}>
+              <select value={callback.method} onChange={(event) => updateCallback(index, { method: event.target.value })}>
+                {METHODS.map((method) => (
+                  <option key={method} value={method}>
+                    {method}
+                  </option>
+                ))}
+              </select>
+              <input
+                id={`callback-${index}-url`}
+                value={callback.url}
+                onChange={(event) => updateCallback(index, { url: event.target.value })}
+                placeholder="https://example.com/webhooks/{{request.json.orderId}}"
+              />
+            </div>
+          </div>
+          <div className="field">
+            <label htmlFor={`callback-${index}-delay`}>Delay (ms)</label>
+            <input
+              id={`callback-${index}-delay`}
+              type="number"
+              min="0"
+              value={callback.delayMs}
+              onChange={(event) => updateCallback(index, { delayMs: event.target.value })}
+            />
+          </div>
+          <div className="field">
+            <label htmlFor={`callback-${index}-headers`}>Headers</label>
+            <textarea
+              id={`callback-${index}-headers`}
+              rows={2}
+              value={callback.headersText}
+              onChange={(event) => updateCallback(index, { headersText: event.target.value })}
+              placeholder="X-Signature: test-signature"
+            />
+          </div>
+          <div className="field">
+            <label htmlFor={`callback-${index}-body`}>Body</label>
+            <textarea
+              id={`callback-${index}-body`}
+              rows={5}
+              value={callback.body}
+              onChange={(event) => updateCallback(index, { body: event.target.value })}
+              placeholder={'{\n  "event": "payment.succeeded",\n  "orderId": "{{request.json.orderId}}"\n}'}
+            />
+          </div>
+          <button className="btn secondary" type="button" onClick={() => removeCallback(index)}>
+            Delete callback
+          </button>
+        </fieldset>
+      ))}
+      <button className="btn secondary" type="button" onClick={addCallback}>
+        Add callback
+      </button>
+      <p className="helper-text">
+        URL, headers and body are Handlebars templates with the request context plus <code>response.status</code> and{' '}
+        <code>response.body</code>.
+      </p>
+    </div>
+  );
+}
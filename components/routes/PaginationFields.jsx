@@ -0,0 +1,140 @@
+'use client';
+
+import { useMemo, useState } from 'react';
+
+const STYLE_PARAMS = {
+  page: [
+    ['pageParam', 'Page parameter'],
+    ['pageSizeParam', 'Page size parameter'],
+  ],
+  offset: [
+    ['offsetParam', 'Offset parameter'],
+    ['limitParam', 'Limit parameter'],
+  ],
+  cursor: [
+    ['cursorParam', 'Cursor parameter'],
+    ['limitParam', 'Limit parameter'],
+  ],
+};
+
+function toEditorSettings(settings) {
+  return {
+    enabled: Boolean(settings?.enabled),
+    style: settings?.style || 'page',
+    source: settings?.source || 'body',
+    variable: settings?.variable || '',
+    defaultPageSize: String(settings?.defaultPageSize ?? 20),
+    maxPageSize: String(settings?.maxPageSize ?? 100),
+    envelope: settings?.envelope ?? true,
+    dataKey: settings?.dataKey || 'data',
+    pageParam: settings?.pageParam || 'page',
+    pageSizeParam: settings?.pageSizeParam || 'pageSize',
+    offsetParam: settings?.offsetParam || 'offset',
+    limitParam: settings?.limitParam || 'limit',
+    cursorParam: settings?.cursorParam || 'cursor',
+  };
+}
+
+function toStoredPagination(settings) {
+  return {
+    ...settings,
+    defaultPageSize: Number(settings.defaultPageSize || 1),
+    maxPageSize: Number(settings.maxPageSize || 1),
+  };
+}
+
+export default function PaginationFields({ name = 'pagination', initialSettings = null }) {
+  const [settings, setSettings] = useState(() => toEditorSettings(initialSettings));
+  const serialized = useMemo(() => JSON.stringify(toStoredPagination(settings)), [settings]);
+
+  const update = (changes) => setSettings((current) => ({ ...current, ...changes }));
+
+  return (
+    <>
+      <input type="hidden" name={name} value={serialized} />
+      <label className="field" style={{ flexDirection: 'row', gap: '8px', alignItems: 'center' }}>
+        <input type="checkbox" checked={settings.enabled} onChange={(event) => update({ enabled: event.target.checked })} /> Paginate
+        the response
+      </label>
+      {settings.enabled ? (
+        <>
+          <div className="field">
+            <label htmlFor="route-pagination-style">Convention</label>
+            <select id="route-pagination-style" value={settings.style} onChange={(event) => update({ style: event.target.value })}>
+              <option value="page">Page number and page size</option>
+              <option value="offset">Offset and limit</option>
+              <option value="cursor">Cursor and limit</option>
+            </select>
+          </div>
+          <div className="field">
+            <label htmlFor="route-pagination-source">Items</label>
+            <select id="route-pagination-source" value={settings.source} onChange={(event) => update({ source: event.target.value })}>
+              <option value="body">Response body (a JSON array)</option>
+              <option value="var">Route variable holding a JSON array</option>
+            </select>
+          </div>
+          {settings.source === 'var' ? (
+            <div className="field">
+              <label htmlFor="route-pagination-variable">Variable name</label>
+              <input
+                id="route-pagination-variable"
+                value={settings.variable}
+                onChange={(event) => update({ variable: event.target.value })}
+                placeholder="users"
+              />
+            </div>
+          ) : null}
+          <div style={{ display: 'flex', gap: '12px' }}>
+            {STYLE_PARAMS[settings.style].map(([key, label]) => (
+              <div key={key} className="field" style={{ flex: 1 }}>
+                <label htmlFor={`route-pagination-${key}`}>{label}</label>
+                <input id={`route-pagination-${key}`} value={settings[key]} onChange={(event) => update({ [key]: event.target.value })} />
+              </div>
+            ))}
+          </div>
+          <div style={{ display: 'flex', gap: '12px' }}>
+            <div className="field" style={{ flex: 1 }}>
+              <label htmlFor="route-pagination-default-size">Default page size</label>
+              <input
+                id="route-pagination-default-size"
+                type="number"
+                min="1"
+                value={settings.defaultPageSize}
+                onChange={(event) => update({ defaultPageSize: event.target.value })}
+              />
+            </div>
+            <div className="field" style={{ flex: 1 }}>
+              <label htmlFor="route-pagination-max-size">Maximum page size</label>
+              <input
+                id="route-pagination-max-size"
+                type="number"
+                min="1"
+                value={settings.maxPageSize}
+                onChange={(event) => update({ maxPageSize: event.target.value })}
+              />
+            </div>
+          </div>
+          <label className="field" style={{ flexDirection: 'row', gap: '8px', alignItems: 'center' }}>
+            <input type="checkbox" checked={settings.envelope} onChange={(event) => update({ envelope: event.target.checked })} /> Wrap
+            items with pagination metadata
+          </label>
+          {settings.envelope ? (
+            <div className="field">
+              <label htmlFor="route-pagination-data-key">Items key</label>
+              <input
+                id="route-pagination-data-key"
+                value={settings.dataKey}
+                onChange={(event) => update({ dataKey: event.target.value })}
+                placeholder="data"
+              />
+            </div>
+          ) : null}
+          <p className="helper-text">
+            Responses carry Link (first, prev, next, last) and X-Total-Count headers. Larger page sizes are capped at the maximum;
+            invalid page, offset or cursor values get 400. Variants and sequence steps are not paginated.
+          </p>
+        </>
+      ) : null}
+    </>
+  );
+}
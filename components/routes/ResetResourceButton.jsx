@@ -0,0 +1,40 @@
+'use client';
+
+import { useState } from 'react';
+import { useRouter } from 'next/navigation';
+
+export default function ResetResourceButton({ routeId }) {
+  const router = useRouter();
+  const [isResetting, setIsResetting] = useState(false);
+  const [message, setMessage] = useState('');
+
+  const handleReset = async () => {
+    if (!routeId) return;
+    if (!window.confirm('Reset this collection to its seed data?')) return;
+
+    setIsResetting(true);
+    setMessage('');
+    try {
+      const response = await fetch(`/api/mock-routes/${routeId}/reset`, { method: 'POST' });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data?.error || 'Unable to reset collection');
+      }
+      setMessage(`Collection reset to ${data.records} record${data.records === 1 ? '' : 's'}.`);
+      router.refresh();
+    } catch (err) {
+      setMessage(err.message);
+    } finally {
+      setIsResetting(false);
+    }
+  };
+
+  return (
+    <div>
+      <button className="btn secondary" type="button" onClick={handleReset} disabled={isResetting}>
+        {isResetting ? 'Resetting…' : 'Reset collection'}
+      </button>
+      {message ? <p className="helper-text">{message}</p> : null}
+    </div>
+  );
+}
@@ -0,0 +1,40 @@
+'use client';
+
+import { useState } from 'react';
+import { useRouter } from 'next/navigation';
+
+export default function ResetSequenceButton({ routeId }) {
+  const router = useRouter();
+  const [isResetting, setIsResetting] = useState(false);
+  const [message, setMessage] = useState('');
+
+  const handleReset = async () => {
+    if (!routeId) return;
+    if (!window.confirm('Restart the sequence from the first step for every caller?')) return;
+
+    setIsResetting(true);
+    setMessage('');
+    try {
+      const response = await fetch(`/api/mock-routes/${routeId}/sequence`, { method: 'DELETE' });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data?.error || 'Unable to reset sequence');
+      }
+      setMessage(`Cleared ${data.cleared} counter${data.cleared === 1 ? '' : 's'}.`);
+      router.refresh();
+    } catch (err) {
+      setMessage(err.message);
+    } finally {
+      setIsResetting(false);
+    }
+  };
+
+  return (
+    <div>
+      <button className="btn secondary" type="button" onClick={handleReset} disabled={isResetting}>
+        {isResetting ? 'Resetting…' : 'Reset sequence'}
+      </button>
+      {message ? <p className="helper-text">{message}</p> : null}
+    </div>
+  );
+}
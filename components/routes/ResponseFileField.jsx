@@ -0,0 +1,88 @@
+'use client';
+
+import { useState } from 'react';
+import { useRouter } from 'next/navigation';
+
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// Uploads immediately (outside the route form submit) because the file is stored separately.
+export default function ResponseFileField({ routeId, initialFile = null }) {
+  const router = useRouter();
+  const [file, setFile] = useState(initialFile);
+  const [isBusy, setIsBusy] = useState(false);
+  const [message, setMessage] = useState('');
+
+  if (!routeId) {
+    return <p className="helper-text">Save the route first to upload a file (PDF, image, archive…) as its response body.</p>;
+  }
+
+  const handleUpload = async (event) => {
+    const selected = event.target.files?.[0];
+    event.target.value = '';
+    if (!selected) return;
+
+    setIsBusy(true);
+    setMessage('');
+    try {
+      const formData = new FormData();
+      formData.append('file', selected);
+      const response = await fetch(`/api/mock-routes/${routeId}/file`, { method: 'POST', body: formData });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data?.error || 'Unable to upload file');
+      }
+      setFile(data.file);
+      router.refresh();
+    } catch (err) {
+      setMessage(err.message);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleRemove = async () => {
+    if (!window.confirm('Remove the uploaded response file?')) return;
+
+    setIsBusy(true);
+    setMessage('');
+    try {
+      const response = await fetch(`/api/mock-routes/${routeId}/file`, { method: 'DELETE' });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data?.error || 'Unable to remove file');
+      }
+      setFile(null);
+      router.refresh();
+    } catch (err) {
+      setMessage(err.message);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  return (
+    <div>
+      {file ? (
+        <p className="helper-text">
+          <a href={`/api/mock-routes/${routeId}/file`}>{file.fileName}</a> · {file.contentType} · {formatSize(file.size)}. Served
+          instead of the response body above.
+        </p>
+      ) : (
+        <p className="helper-text">No file uploaded. Upload one to serve binary content such as a PDF or image (max 5 MB).</p>
+      )}
+      <div style={{ display: 'flex', gap: '8px' }}>
+        <input type="file" onChange={handleUpload} disabled={isBusy} />
+        {file ? (
+          <button className="btn ghost" type="button" onClick={handleRemove} disabled={isBusy}>
+            Remove file
+          </button>
+        ) : null}
+      </div>
+      {message ? <p className="error">{message}</p> : null}
+    </div>
+  );
+}
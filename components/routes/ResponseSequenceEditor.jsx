@@ -0,0 +1,71 @@
+'use client';
+
+import { useMemo, useState } from 'react';
+
+import ResponseVariantsEditor from './ResponseVariantsEditor.jsx';
+
+export default function ResponseSequenceEditor({ name = 'responseSequence', initialSequence = null }) {
+  const [enabled, setEnabled] = useState(Boolean(initialSequence?.enabled));
+  const [keyBy, setKeyBy] = useState(initialSequence?.keyBy || 'route');
+  const [keyHeader, setKeyHeader] = useState(initialSequence?.keyHeader || '');
+  const [onEnd, setOnEnd] = useState(initialSequence?.onEnd || 'repeatLast');
+  const [steps, setSteps] = useState(initialSequence?.steps || []);
+
+  const serialized = useMemo(
+    () =>
+      JSON.stringify({
+        enabled,
+        keyBy,
+        keyHeader,
+        onEnd,
+        steps: steps.map(({ name: stepName, status, headers, body, delayMs }) => ({ name: stepName, status, headers, body, delayMs })),
+      }),
+    [enabled, keyBy, keyHeader, onEnd, steps]
+  );
+
+  return (
+    <>
+      <input type="hidden" name={name} value={serialized} />
+      <label className="field" style={{ flexDirection: 'row', gap: '8px', alignItems: 'center' }}>
+        <input type="checkbox" checked={enabled} onChange={(event) => setEnabled(event.target.checked)} /> Serve responses in sequence
+      </label>
+      <div style={enabled ? undefined : { display: 'none' }}>
+        <div className="field">
+          <label htmlFor="sequence-key-by">Count calls</label>
+          <select id="sequence-key-by" value={keyBy} onChange={(event) => setKeyBy(event.target.value)}>
+            <option value="route">Once for the whole route</option>
+            <option value="apiKey">Separately for each x-api-key</option>
+            <option value="header">Separately for each value of a header</option>
+          </select>
+        </div>
+        {keyBy === 'header' ? (
+          <div className="field">
+            <label htmlFor="sequence-key-header">Header name</label>
+            <input
+              id="sequence-key-header"
+              value={keyHeader}
+              onChange={(event) => setKeyHeader(event.target.value)}
+              placeholder="x-job-id"
+            />
+          </div>
+        ) : null}
+        <div className="field">
+          <label htmlFor="sequence-on-end">After the last step</label>
+          <select id="sequence-on-end" value={onEnd} onChange={(event) => setOnEnd(event.target.value)}>
+            <option value="repeatLast">Keep returning the last step</option>
+            <option value="loop">Start again from the first step</option>
+          </select>
+        </div>
+        <ResponseVariantsEditor
+          name={null}
+          idPrefix="sequence-step"
+          initialVariants={initialSequence?.steps || []}
+          showRules={false}
+          itemLabel="step"
+          emptyText="No steps yet. Add one response per call, e.g. 202 pending, 202 pending, 200 done."
+          onChange={setSteps}
+        />
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,232 @@
+'use client';
+
+import { useEffect, useMemo, useState } from 'react';
+
+const MATCH_SOURCES = [
+  { value: 'query', label: 'Query param' },
+  { value: 'headers', label: 'Header' },
+  { value: 'body', label: 'JSON body path' },
+  { value: 'params', label: 'Path param' },
+];
+
+export function headersToText(headers) {
+  if (!headers || typeof headers !== 'object') return '';
+  return Object.entries(headers)
+    .map(([key, value]) => `${key}: ${value}`)
+    .join('\n');
+}
+
+export function textToHeaders(text) {
+  const headers = {};
+  String(text || '')
+    .split('\n')
+    .forEach((line) => {
+      const separator = line.indexOf(':');
+      if (separator <= 0) return;
+      const key = line.slice(0, separator).trim();
+      if (key) {
+        headers[key] = line.slice(separator + 1).trim();
+      }
+    });
+  return headers;
+}
+
+function toEditorVariant(variant = {}) {
+  const rules = [];
+  for (const source of MATCH_SOURCES) {
+    for (const [key, value] of Object.entries(variant.match?.[source.value] || {})) {
+      rules.push({ source: source.value, key, value: String(value ?? '') });
+    }
+  }
+  return {
+    name: variant.name || '',
+    status: String(variant.status ?? 200),
+    delayMs: String(variant.delayMs ?? 0),
+    headersText: headersToText(variant.headers),
+    body: variant.body || '',
+    rules,
+  };
+}
+
+function toStoredVariant(variant) {
+  const match = {};
+  variant.rules.forEach((rule) => {
+    const key = rule.key.trim();
+    if (!key) return;
+    match[rule.source] = { ...(match[rule.source] || {}), [key]: rule.value };
+  });
+  return {
+    name: variant.name,
+    match,
+    status: Number(variant.status || 200),
+    delayMs: Number(variant.delayMs || 0),
+    headers: textToHeaders(variant.headersText),
+    body: variant.body,
+  };
+}
+
+// Also edits sequence steps: `showRules={false}` hides matching and `onChange` replaces the hidden input.
+export default function ResponseVariantsEditor({
+  name = 'responseVariants',
+  idPrefix = 'variant',
+  initialVariants = [],
+  showRules = true,
+  itemLabel = 'variant',
+  emptyText = 'No variants yet. Every request receives the default response above.',
+  onChange,
+}) {
+  const [variants, setVariants] = useState(() => (initialVariants || []).map(toEditorVariant));
+  const serialized = useMemo(() => JSON.stringify(variants.map(toStoredVariant)), [variants]);
+  const capitalizedLabel = `${itemLabel.charAt(0).toUpperCase()}${itemLabel.slice(1)}`;
+
+  useEffect(() => {
+    onChange?.(variants.map(toStoredVariant));
+  }, [variants]);
+
+  const updateVariant = (index, changes) => {
+    setVariants((current) => current.map((variant, i) => (i === index ? { ...variant, ...changes } : variant)));
+  };
+
+  const updateRule = (variantIndex, ruleIndex, changes) => {
+    const rules = variants[variantIndex].rules.map((rule, i) => (i === ruleIndex ? { ...rule, ...changes } : rule));
+    updateVariant(variantIndex, { rules });
+  };
+
+  const addRule = (variantIndex) => {
+    updateVariant(variantIndex, { rules: [...variants[variantIndex].rules, { source: 'query', key: '', value: '' }] });
+  };
+
+  const removeRule = (variantIndex, ruleIndex) => {
+    updateVariant(variantIndex, { rules: variants[variantIndex].rules.filter((_, i) => i !== ruleIndex) });
+  };
+
+  const moveVariant = (index, offset) => {
+    setVariants((current) => {
+      const target = index + offset;
+      if (target < 0 || target >= current.length) return current;
+      const next = [...current];
+      [next[index], next[target]] = [next[target], next[index]];
+      return next;
+    });
+  };
+
+  const addVariant = () => {
+    setVariants((current) => [...current, toEditorVariant({ name: `${capitalizedLabel} ${current.length + 1}` })]);
+  };
+
+  const removeVariant = (index) => {
+    setVariants((current) => current.filter((_, i) => i !== index));
+  };
+
+  return (
+    <div className="field">
+      {name ? <input type="hidden" name={name} value={serialized} /> : null}
+      {variants.length === 0 ? <p className="helper-text">{emptyText}</p> : null}
+      {variants.map((variant, index) => (
+        <fieldset key={index} className="form-section" style={{ border: '1px solid rgba(124, 93, 255, 0.2)', borderRadius: '12px', padding: '12px', marginBottom: '12px' }}>
+          <legend>
+            #{index + 1} · {variant.name || `Untitled ${itemLabel}`}
+          </legend>
+          <div className="field">
+            <label htmlFor={`${idPrefix}-${index}-name`}>Name</label>
+            <input
+              id={`${idPrefix}-${index}-name`}
+              value={variant.name}
+              onChange={(event) => updateVariant(index, { name: event.target.value })}
+              placeholder="Premium customer"
+            />
+          </div>
+          {showRules ? (
+            <div className="field">
+              <label>Match rules</label>
+              {variant.rules.length === 0 ? <p className="helper-text">No rules: this variant matches every request.</p> : null}
+              {variant.rules.map((rule, ruleIndex) => (
+                <div key={ruleIndex} style={{ display: 'flex', gap: '8px', marginBottom: '6px' }}>
+                  <select value={rule.source} onChange={(event) => updateRule(index, ruleIndex, { source: event.target.value })}>
+                    {MATCH_SOURCES.map((source) => (
+                      <option key={source.value} value={source.value}>
+                        {source.label}
+                      </option>
+                    ))}
+                  </select>
+                  <input
+                    value={rule.key}
+                    onChange={(event) => updateRule(index, ruleIndex, { key: event.target.value })}
+                    placeholder={rule.source === 'body' ? 'customer.id' : 'name'}
+                  />
+                  <input
+                    value={rule.value}
+                    onChange={(event) => updateRule(index, ruleIndex, { value: event.target.value })}
+                    placeholder="Expected value or *"
+                  />
+                  <button className="btn ghost" type="button" onClick={() => removeRule(index, ruleIndex)}>
+                    Remove
+                  </button>
+                </div>
+              ))}
+              <button className="btn ghost" type="button" onClick={() => addRule(index)}>
+                Add rule
+              </button>
+              <p className="helper-text">All rules must match. Use * to only require that the value is present.</p>
+            </div>
+          ) : null}
+          <div className="field">
+            <label htmlFor={`${idPrefix}-${index}-status`}>Status code</label>
+            <input
+              id={`${idPrefix}-${index}-status`}
+              type="number"
+              min="100"
+              max="599"
+              value={variant.status}
+              onChange={(event) => updateVariant(index, { status: event.target.value })}
+            />
+          </div>
+          <div className="field">
+            <label htmlFor={`${idPrefix}-${index}-delay`}>Delay (ms)</label>
+            <input
+              id={`${idPrefix}-${index}-delay`}
+              type="number"
+              min="0"
+              value={variant.delayMs}
+              onChange={(event) => updateVariant(index, { delayMs: event.target.value })}
+            />
+          </div>
+          <div className="field">
+            <label htmlFor={`${idPrefix}-${index}-headers`}>Headers</label>
+            <textarea
+              id={`${idPrefix}-${index}-headers`}
+              rows={2}
+              value={variant.headersText}
+              onChange={(event) => updateVariant(index, { headersText: event.target.value })}
+              placeholder="X-Tier: gold"
+            />
+            <p className="helper-text">One header per line. Merged over the route response headers.</p>
+          </div>
+          <div className="field">
+            <label htmlFor={`${idPrefix}-${index}-body`}>Body</label>
+            <textarea
+              id={`${idPrefix}-${index}-body`}
+              rows={5}
+              value={variant.body}
+              onChange={(event) => updateVariant(index, { body: event.target.value })}
+            />
+          </div>
+          <div className="actions" style={{ display: 'flex', gap: '8px' }}>
+            <button className="btn ghost" type="button" onClick={() => moveVariant(index, -1)} disabled={index === 0}>
+              Move up
+            </button>
+            <button className="btn ghost" type="button" onClick={() => moveVariant(index, 1)} disabled={index === variants.length - 1}>
+              Move down
+            </button>
+            <button className="btn secondary" type="button" onClick={() => removeVariant(index)}>
+              Delete {itemLabel}
+            </button>
+          </div>
+        </fieldset>
+      ))}
+      <button className="btn secondary" type="button" onClick={addVariant}>
+        Add {itemLabel}
+      </button>
+    </div>
+  );
+}
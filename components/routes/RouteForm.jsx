@@ -3,6 +3,15 @@
 import { useState } from 'react';
 import { useRouter, useSearchParams } from 'next/navigation';
 
+import CallbacksEditor from './CallbacksEditor.jsx';
+import PaginationFields from './PaginationFields.jsx';
+import ResponseFileField from './ResponseFileField.jsx';
+import ResponseSequenceEditor from './ResponseSequenceEditor.jsx';
+import ResponseVariantsEditor, { headersToText, textToHeaders } from './ResponseVariantsEditor.jsx';
+import StreamEventsEditor from './StreamEventsEditor.jsx';
+import ChaosSettingsFields from '../shared/ChaosSettingsFields.jsx';
+import RateLimitFields from '../shared/RateLimitFields.jsx';
+
 const templates = {
   success: {
     label: '200 JSON success',
@@ -21,6 +30,16 @@ const templates = {
   },
 };
 
+function formatSeed(seed) {
+  if (!Array.isArray(seed) || seed.length === 0) return '';
+  return JSON.stringify(seed, null, 2);
+}
+
+function formatSchema(schema) {
+  if (schema === undefined || schema === null) return '';
+  return JSON.stringify(schema, null, 2);
+}
+
 function toBoolean(value) {
   return value === 'on' || value === true || value === 'true';
 }
@@ -30,9 +49,23 @@ export default function RouteForm({ projectId, initialRoute }) {
   const searchParams = useSearchParams();
   const [message, setMessage] = useState('');
   const [isSubmitting, setIsSubmitting] = useState(false);
+  const [routeType, setRouteType] = useState(initialRoute?.routeType || 'static');
+  const [templateEnabled, setTemplateEnabled] = useState(Boolean(initialRoute?.templateEnabled));
 
   const isEdit = Boolean(initialRoute?.id);
 
+  const templateCheckbox = (
+    <label className="field" style={{ flexDirection: 'row', gap: '8px', alignItems: 'center' }}>
+      <input
+        type="checkbox"
+        name="templateEnabled"
+        checked={templateEnabled}
+        onChange={(event) => setTemplateEnabled(event.target.checked)}
+      />{' '}
+      Enable Handlebars templates
+    </label>
+  );
+
   const handleSubmit = async (event) => {
     event.preventDefault();
     const formData = new FormData(event.currentTarget);
@@ -49,6 +82,17 @@ export default function RouteForm({ projectId, initialRoute }) {
     payload.templateEnabled = toBoolean(payload.templateEnabled);
     payload.requireApiKey = toBoolean(payload.requireApiKey);
     payload.responseDelayMs = Number(payload.responseDelayMs || 0);
+    payload.priority = Number(payload.priority || 0);
+    payload.responseHeaders = textToHeaders(payload.responseHeadersText);
+    delete payload.responseHeadersText;
+    payload.requestSchema = {
+      body: payload.requestBodySchema,
+      query: payload.requestQuerySchema,
+      headers: payload.requestHeadersSchema,
+    };
+    delete payload.requestBodySchema;
+    delete payload.requestQuerySchema;
+    delete payload.requestHeadersSchema;
 
     if (isEdit) {
       payload.id = initialRoute.id;
@@ -129,9 +173,26 @@ export default function RouteForm({ projectId, initialRoute }) {
         <div className="form-section">
           <h3>Step 2 – Method + URL</h3>
           <p>Define how the MCP tool will call this mock endpoint.</p>
+          <div className="field">
+            <label htmlFor="route-type">Route type</label>
+            <select id="route-type" name="routeType" value={routeType} onChange={(event) => setRouteType(event.target.value)}>
+              <option value="static">Static response</option>
+              <option value="resource">Resource (stateful CRUD)</option>
+              <option value="stream">Stream (Server-Sent Events)</option>
+            </select>
+            <p className="helper-text">
+              Resource routes serve list, get, create, update and delete on the path and path/:id from a stored collection.
+              Stream routes send a timed list of events over text/event-stream.
+            </p>
+          </div>
           <div className="field">
             <label htmlFor="route-method">Method</label>
-            <select id="route-method" name="method" defaultValue={initialRoute?.method || 'GET'}>
+            <select
+              id="route-method"
+              name="method"
+              defaultValue={initialRoute?.method && initialRoute.method !== 'ANY' ? initialRoute.method : 'GET'}
+              disabled={routeType === 'resource'}
+            >
               {['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'].map((method) => (
                 <option key={method} value={method}>
                   {method}
@@ -148,7 +209,24 @@ export default function RouteForm({ projectId, initialRoute }) {
               required
               defaultValue={initialRoute?.path || ''}
             />
-            <p className="helper-text">Relative path only. Example: /catalog/items</p>
+            <p className="helper-text">
+              Relative path, e.g. /catalog/items or /users/:id. Use * for one segment, ** for any depth, {'{v1,v2}'} for
+              alternatives, or start with ^ for a regular expression with named groups.
+            </p>
+          </div>
+          <div className="field">
+            <label htmlFor="route-priority">Priority</label>
+            <input
+              id="route-priority"
+              type="number"
+              name="priority"
+              step="1"
+              placeholder="0"
+              defaultValue={initialRoute?.priority ?? ''}
+            />
+            <p className="helper-text">
+              When several routes match a request the highest priority wins. Ties go to the most specific path.
+            </p>
           </div>
           <div className="field">
             <label htmlFor="route-delay">Delay (ms)</label>
@@ -170,9 +248,45 @@ export default function RouteForm({ projectId, initialRoute }) {
           </label>
         </div>
 
-        <div className="form-section">
+        {routeType === 'resource' ? (
+          <div className="form-section">
+            <h3>Step 3 – Collection</h3>
+            <p>Seed the collection with JSON. Changes made through the mock persist until the collection is reset.</p>
+            <div className="field">
+              <label htmlFor="route-id-field">ID field</label>
+              <input
+                id="route-id-field"
+                name="resourceIdField"
+                placeholder="id"
+                defaultValue={initialRoute?.resourceIdField || 'id'}
+              />
+            </div>
+            <div className="field">
+              <label htmlFor="route-seed">Seed data</label>
+              <textarea
+                id="route-seed"
+                name="resourceSeed"
+                rows={10}
+                placeholder={'[\n  { "id": 1, "status": "open" }\n]'}
+                defaultValue={formatSeed(initialRoute?.resourceSeed)}
+              />
+              <p className="helper-text">A JSON array of objects. Saving new seed data resets the collection.</p>
+            </div>
+          </div>
+        ) : null}
+
+        {routeType === 'stream' ? (
+          <div className="form-section">
+            <h3>Step 3 – Events</h3>
+            <p>Events are sent in order, each after its delay, then the stream closes or stays open.</p>
+            <StreamEventsEditor initialStream={initialRoute?.stream} />
+            {templateCheckbox}
+          </div>
+        ) : null}
+
+        <div className="form-section" style={routeType !== 'static' ? { display: 'none' } : undefined}>
           <h3>Step 3 – Response</h3>
-          <p>Use templates or a custom JSON payload to simulate the backend.</p>
+          <p>Use templates, a custom JSON or text payload, or an uploaded file to simulate the backend.</p>
           <div className="field">
             <label htmlFor="route-template">Quick template</label>
             <select id="route-template" name="quickTemplate" defaultValue="">
@@ -194,6 +308,18 @@ export default function RouteForm({ projectId, initialRoute }) {
               ))}
             </select>
           </div>
+          {templateEnabled ? (
+            <div className="field">
+              <label htmlFor="route-status-template">Status code template</label>
+              <input
+                id="route-status-template"
+                name="responseStatusTemplate"
+                placeholder={'{{#if request.json.id}}201{{else}}409{{/if}}'}
+                defaultValue={initialRoute?.responseStatusTemplate || ''}
+              />
+              <p className="helper-text">Optional. Rendered per request and used instead of the status code above.</p>
+            </div>
+          ) : null}
           <div className="field">
             <label htmlFor="route-response">Response body</label>
             <textarea
@@ -204,12 +330,106 @@ export default function RouteForm({ projectId, initialRoute }) {
               defaultValue={initialRoute?.responseBody || ''}
             />
           </div>
+          <div className="field">
+            <label htmlFor="route-response-headers">Response headers</label>
+            <textarea
+              id="route-response-headers"
+              name="responseHeadersText"
+              rows={3}
+              placeholder={'Content-Type: text/csv\nX-Request-Id: 42'}
+              defaultValue={headersToText(initialRoute?.responseHeaders)}
+            />
+            <p className="helper-text">
+              One header per line. Set Content-Type to serve XML, HTML, CSV or other text exactly as written; unchecking
+              &quot;Format as JSON&quot; defaults to text/plain. With Handlebars templates enabled, values are templates too, e.g.{' '}
+              <code>{'Location: /orders/{{request.json.id}}'}</code>.
+            </p>
+          </div>
+          <div className="field">
+            <label>Response file</label>
+            <ResponseFileField routeId={initialRoute?.id} initialFile={initialRoute?.responseFile} />
+          </div>
           <label className="field" style={{ flexDirection: 'row', gap: '8px', alignItems: 'center' }}>
             <input type="checkbox" name="responseIsJson" defaultChecked={initialRoute ? initialRoute.responseIsJson : true} /> Format as JSON
           </label>
-          <label className="field" style={{ flexDirection: 'row', gap: '8px', alignItems: 'center' }}>
-            <input type="checkbox" name="templateEnabled" defaultChecked={initialRoute ? initialRoute.templateEnabled : false} /> Enable Handlebars templates
-          </label>
+          {routeType !== 'stream' ? templateCheckbox : null}
+          <PaginationFields initialSettings={initialRoute?.pagination} />
+        </div>
+
+        <div className="form-section" style={routeType !== 'static' ? { display: 'none' } : undefined}>
+          <h3>Step 4 – Conditional variants</h3>
+          <p>Return a different response when the request matches. Variants are checked top to bottom; the response above is the fallback.</p>
+          <ResponseVariantsEditor initialVariants={initialRoute?.responseVariants || []} />
+        </div>
+
+        <div className="form-section" style={routeType !== 'static' ? { display: 'none' } : undefined}>
+          <h3>Step 5 – Sequence</h3>
+          <p>Return a different response on each call, e.g. to simulate polling a job until it completes. Matching variants still take priority.</p>
+          <ResponseSequenceEditor initialSequence={initialRoute?.responseSequence} />
+        </div>
+
+        <div className="form-section">
+          <h3>Step 6 – Callbacks</h3>
+          <p>Call another service after the route is hit, e.g. to simulate a payment provider notifying your webhook.</p>
+          <CallbacksEditor initialCallbacks={initialRoute?.callbacks || []} />
+        </div>
+
+        <div className="form-section">
+          <h3>Step 7 – Fault injection</h3>
+          <p>Randomly fail, slow down, drop or truncate responses. When enabled here, these settings replace the project defaults.</p>
+          <ChaosSettingsFields idPrefix="route-chaos" name="chaos" initialSettings={initialRoute?.chaos} />
+        </div>
+
+        <div className="form-section">
+          <h3>Step 8 – Request validation</h3>
+          <p>Reject requests that do not match a JSON Schema. Leave a schema blank to accept anything.</p>
+          <div className="field">
+            <label htmlFor="route-body-schema">Body schema</label>
+            <textarea
+              id="route-body-schema"
+              name="requestBodySchema"
+              rows={6}
+              placeholder={'{\n  "type": "object",\n  "required": ["name"]\n}'}
+              defaultValue={formatSchema(initialRoute?.requestSchema?.body)}
+            />
+          </div>
+          <div className="field">
+            <label htmlFor="route-query-schema">Query schema</label>
+            <textarea
+              id="route-query-schema"
+              name="requestQuerySchema"
+              rows={4}
+              defaultValue={formatSchema(initialRoute?.requestSchema?.query)}
+            />
+            <p className="helper-text">Query values are converted to the schema types (e.g. integer) before validation.</p>
+          </div>
+          <div className="field">
+            <label htmlFor="route-headers-schema">Headers schema</label>
+            <textarea
+              id="route-headers-schema"
+              name="requestHeadersSchema"
+              rows={4}
+              defaultValue={formatSchema(initialRoute?.requestSchema?.headers)}
+            />
+            <p className="helper-text">Header names are lowercase, e.g. x-tenant-id.</p>
+          </div>
+          <div className="field">
+            <label htmlFor="route-validation-status">Status on failure</label>
+            <select
+              id="route-validation-status"
+              name="requestValidationStatus"
+              defaultValue={String(initialRoute?.requestValidationStatus ?? 400)}
+            >
+              <option value="400">400 Bad Request</option>
+              <option value="422">422 Unprocessable Entity</option>
+            </select>
+          </div>
+        </div>
+
+        <div className="form-section">
+          <h3>Step 9 – Rate limit</h3>
+          <p>Simulate a rate-limited API to exercise client backoff. Counted in addition to any project-wide limit.</p>
+          <RateLimitFields idPrefix="route-rate-limit" name="rateLimit" initialSettings={initialRoute?.rateLimit} />
         </div>
       </div>
       {message ? <p className="error">{message}</p> : null}
@@ -0,0 +1,125 @@
+'use client';
+
+import { useMemo, useState } from 'react';
+
+function toEditorEvent(event = {}) {
+  return {
+    event: event.event || '',
+    id: event.id || '',
+    data: event.data || '',
+    delayMs: String(event.delayMs ?? 0),
+  };
+}
+
+function toStoredEvent(event) {
+  return {
+    event: event.event,
+    id: event.id,
+    data: event.data,
+    delayMs: Number(event.delayMs || 0),
+  };
+}
+
+export default function StreamEventsEditor({ name = 'stream', initialStream = null }) {
+  const [events, setEvents] = useState(() => (initialStream?.events || []).map(toEditorEvent));
+  const [end, setEnd] = useState(initialStream?.end || 'close');
+  const serialized = useMemo(() => JSON.stringify({ events: events.map(toStoredEvent), end }), [events, end]);
+
+  const updateEvent = (index, changes) => {
+    setEvents((current) => current.map((event, i) => (i === index ? { ...event, ...changes } : event)));
+  };
+
+  const moveEvent = (index, offset) => {
+    setEvents((current) => {
+      const target = index + offset;
+      if (target < 0 || target >= current.length) return current;
+      const next = [...current];
+      [next[index], next[target]] = [next[target], next[index]];
+      return next;
+    });
+  };
+
+  const addEvent = () => {
+    setEvents((current) => [...current, toEditorEvent({ event: 'message', delayMs: 500 })]);
+  };
+
+  const removeEvent = (index) => {
+    setEvents((current) => current.filter((_, i) => i !== index));
+  };
+
+  return (
+    <div className="field">
+      <input type="hidden" name={name} value={serialized} />
+      {events.length === 0 ? <p className="helper-text">No events yet. The stream opens and ends immediately.</p> : null}
+      {events.map((event, index) => (
+        <fieldset key={index} className="form-section" style={{ border: '1px solid rgba(124, 93, 255, 0.2)', borderRadius: '12px', padding: '12px', marginBottom: '12px' }}>
+          <legend>
+            #{index + 1} · {event.event || 'message'}
+          </legend>
+          <div className="field">
+            <label htmlFor={`stream-event-${index}-name`}>Event name</label>
+            <input
+              id={`stream-event-${index}-name`}
+              value={event.event}
+              onChange={(changeEvent) => updateEvent(index, { event: changeEvent.target.value })}
+              placeholder="message"
+            />
+          </div>
+          <div className="field">
+            <label htmlFor={`stream-event-${index}-id`}>Event id</label>
+            <input
+              id={`stream-event-${index}-id`}
+              value={event.id}
+              onChange={(changeEvent) => updateEvent(index, { id: changeEvent.target.value })}
+              placeholder="Optional"
+            />
+          </div>
+          <div className="field">
+            <label htmlFor={`stream-event-${index}-delay`}>Delay before sending (ms)</label>
+            <input
+              id={`stream-event-${index}-delay`}
+              type="number"
+              min="0"
+              value={event.delayMs}
+              onChange={(changeEvent) => updateEvent(index, { delayMs: changeEvent.target.value })}
+            />
+          </div>
+          <div className="field">
+            <label htmlFor={`stream-event-${index}-data`}>Data</label>
+            <textarea
+              id={`stream-event-${index}-data`}
+              rows={3}
+              value={event.data}
+              onChange={(changeEvent) => updateEvent(index, { data: changeEvent.target.value })}
+              placeholder={'{"delta": "Hello"}'}
+            />
+          </div>
+          <div className="actions" style={{ display: 'flex', gap: '8px' }}>
+            <button className="btn ghost" type="button" onClick={() => moveEvent(index, -1)} disabled={index === 0}>
+              Move up
+            </button>
+            <button className="btn ghost" type="button" onClick={() => moveEvent(index, 1)} disabled={index === events.length - 1}>
+              Move down
+            </button>
+            <button className="btn secondary" type="button" onClick={() => removeEvent(index)}>
+              Delete event
+            </button>
+          </div>
+        </fieldset>
+      ))}
+      <button className="btn secondary" type="button" onClick={addEvent}>
+        Add event
+      </button>
+      <div className="field">
+        <label htmlFor="stream-end">After the last event</label>
+        <select id="stream-end" value={end} onChange={(changeEvent) => setEnd(changeEvent.target.value)}>
+          <option value="close">Close the connection</option>
+          <option value="keepAlive">Keep the connection open (heartbeat comments)</option>
+        </select>
+      </div>
+      <p className="helper-text">
+        With Handlebars templates enabled, data can use the request context and <code>event.index</code>.
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,60 @@
+'use client';
+
+import { useState } from 'react';
+import { useRouter } from 'next/navigation';
+
+import ChaosSettingsFields, { toStoredChaosSettings } from '../shared/ChaosSettingsFields.jsx';
+
+export default function ProjectChaosSettingsForm({ project }) {
+  const router = useRouter();
+  const [chaos, setChaos] = useState(() => project?.chaos || toStoredChaosSettings({ enabled: false, latencyMode: 'none' }));
+  const [message, setMessage] = useState('');
+  const [status, setStatus] = useState('idle');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setIsSubmitting(true);
+    setMessage('');
+    setStatus('idle');
+
+    try {
+      const response = await fetch('/api/projects', {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ id: project.id, chaos }),
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        setStatus('error');
+        setMessage(data?.error || 'Unable to save fault injection settings');
+        return;
+      }
+      setStatus('success');
+      setMessage('Fault injection settings saved');
+      router.refresh();
+    } catch (error) {
+      console.error('Failed to save fault injection settings', error);
+      setStatus('error');
+      setMessage('Unable to save fault injection settings');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <form className="form-card" onSubmit={handleSubmit}>
+      <div className="form-grid">
+        <div className="form-section">
+          <h3>Fault injection</h3>
+          <p>Applies to every route in the project unless the route enables its own fault injection settings.</p>
+          {message ? <p className={status === 'error' ? 'error' : 'success'}>{message}</p> : null}
+          <ChaosSettingsFields idPrefix="project-chaos" initialSettings={project?.chaos} onChange={setChaos} />
+          <button className="btn" type="submit" disabled={isSubmitting}>
+            {isSubmitting ? 'Saving…' : 'Save fault injection settings'}
+          </button>
+        </div>
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,147 @@
+'use client';
+
+import { useState } from 'react';
+import { useRouter } from 'next/navigation';
+
+const METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS', 'HEAD'];
+
+export default function ProjectCorsForm({ project }) {
+  const router = useRouter();
+  const cors = project?.cors;
+  const [enabled, setEnabled] = useState(Boolean(cors?.enabled));
+  const [allowedOrigins, setAllowedOrigins] = useState((cors?.allowedOrigins || []).join('\n'));
+  const [allowedMethods, setAllowedMethods] = useState(cors?.allowedMethods || METHODS);
+  const [allowedHeaders, setAllowedHeaders] = useState((cors?.allowedHeaders || []).join(', '));
+  const [exposedHeaders, setExposedHeaders] = useState((cors?.exposedHeaders || []).join(', '));
+  const [allowCredentials, setAllowCredentials] = useState(Boolean(cors?.allowCredentials));
+  const [maxAgeSeconds, setMaxAgeSeconds] = useState(String(cors?.maxAgeSeconds ?? 600));
+  const [message, setMessage] = useState('');
+  const [status, setStatus] = useState('idle');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const toggleMethod = (method, checked) => {
+    setAllowedMethods((current) => (checked ? [...current, method] : current.filter((item) => item !== method)));
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setIsSubmitting(true);
+    setMessage('');
+    setStatus('idle');
+
+    try {
+      const response = await fetch('/api/projects', {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          id: project.id,
+          cors: {
+            enabled,
+            allowedOrigins,
+            allowedMethods: METHODS.filter((method) => allowedMethods.includes(method)),
+            allowedHeaders,
+            exposedHeaders,
+            allowCredentials,
+            maxAgeSeconds: Number(maxAgeSeconds || 0),
+          },
+        }),
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        setStatus('error');
+        setMessage(data?.error || 'Unable to save CORS settings');
+        return;
+      }
+      setStatus('success');
+      setMessage('CORS settings saved');
+      router.refresh();
+    } catch (error) {
+      console.error('Failed to save CORS settings', error);
+      setStatus('error');
+      setMessage('Unable to save CORS settings');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <form className="form-card" onSubmit={handleSubmit}>
+      <div className="form-grid">
+        <div className="form-section">
+          <h3>CORS</h3>
+          <p>Let browser apps on other origins call the mocks. OPTIONS preflights are answered automatically.</p>
+          {message ? <p className={status === 'error' ? 'error' : 'success'}>{message}</p> : null}
+          <label className="field" style={{ flexDirection: 'row', gap: '8px', alignItems: 'center' }}>
+            <input type="checkbox" checked={enabled} onChange={(event) => setEnabled(event.target.checked)} /> Enable CORS
+          </label>
+          {enabled ? (
+            <>
+              <div className="field">
+                <label htmlFor="project-cors-origins">Allowed origins</label>
+                <textarea
+                  id="project-cors-origins"
+                  rows={3}
+                  value={allowedOrigins}
+                  onChange={(event) => setAllowedOrigins(event.target.value)}
+                  placeholder={'http://localhost:5173\nhttps://app.example.com'}
+                />
+                <p className="helper-text">One origin per line, or * for any origin.</p>
+              </div>
+              <div className="field">
+                <label>Allowed methods</label>
+                <div style={{ display: 'flex', flexWrap: 'wrap', gap: '12px' }}>
+                  {METHODS.map((method) => (
+                    <label key={method} style={{ display: 'flex', gap: '4px', alignItems: 'center' }}>
+                      <input
+                        type="checkbox"
+                        checked={allowedMethods.includes(method)}
+                        onChange={(event) => toggleMethod(method, event.target.checked)}
+                      />
+                      {method}
+                    </label>
+                  ))}
+                </div>
+              </div>
+              <div className="field">
+                <label htmlFor="project-cors-headers">Allowed request headers</label>
+                <input
+                  id="project-cors-headers"
+                  value={allowedHeaders}
+                  onChange={(event) => setAllowedHeaders(event.target.value)}
+                  placeholder="content-type, x-api-key"
+                />
+                <p className="helper-text">Comma separated. Leave blank to allow whatever the preflight asks for.</p>
+              </div>
+              <div className="field">
+                <label htmlFor="project-cors-exposed">Exposed response headers</label>
+                <input
+                  id="project-cors-exposed"
+                  value={exposedHeaders}
+                  onChange={(event) => setExposedHeaders(event.target.value)}
+                  placeholder="x-ratelimit-remaining, x-mock-sequence-step"
+                />
+              </div>
+              <div className="field">
+                <label htmlFor="project-cors-max-age">Preflight max age (seconds)</label>
+                <input
+                  id="project-cors-max-age"
+                  type="number"
+                  min="0"
+                  value={maxAgeSeconds}
+                  onChange={(event) => setMaxAgeSeconds(event.target.value)}
+                />
+              </div>
+              <label className="field" style={{ flexDirection: 'row', gap: '8px', alignItems: 'center' }}>
+                <input type="checkbox" checked={allowCredentials} onChange={(event) => setAllowCredentials(event.target.checked)} />{' '}
+                Allow credentials (cookies and authorization headers)
+              </label>
+            </>
+          ) : null}
+          <button className="btn" type="submit" disabled={isSubmitting}>
+            {isSubmitting ? 'Saving…' : 'Save CORS settings'}
+          </button>
+        </div>
+      </div>
+    </form>
+  );
+}
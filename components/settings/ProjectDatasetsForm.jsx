@@ -0,0 +1,208 @@
+'use client';
+
+import { useState } from 'react';
+import { useRouter } from 'next/navigation';
+
+function toEditorDataset(dataset) {
+  return {
+    id: dataset?.id ?? null,
+    name: dataset?.name || '',
+    description: dataset?.description || '',
+    rowCount: dataset?.rowCount ?? 0,
+    columns: dataset?.columns || [],
+    format: 'json',
+    content: '',
+  };
+}
+
+function DatasetEditor({ projectId, initialDataset, onSaved, onRemoved }) {
+  const [dataset, setDataset] = useState(() => toEditorDataset(initialDataset));
+  const [message, setMessage] = useState('');
+  const [status, setStatus] = useState('idle');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const isNew = !dataset.id;
+
+  const update = (changes) => setDataset((current) => ({ ...current, ...changes }));
+
+  const request = async (method, body, query = '') => {
+    const response = await fetch(`/api/projects/${projectId}/datasets${query}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(data?.error || 'Unable to save dataset');
+    return data;
+  };
+
+  const handleFile = async (event) => {
+    const file = event.target.files?.[0];
+    if (!file) return;
+    const format = /\.csv$/i.test(file.name) || file.type === 'text/csv' ? 'csv' : 'json';
+    const name = dataset.name || file.name.replace(/\.[^.]+$/, '').replace(/[^A-Za-z0-9_-]+/g, '_');
+    update({ format, name, content: await file.text() });
+    event.target.value = '';
+  };
+
+  const handleLoadRows = async () => {
+    setIsSubmitting(true);
+    try {
+      const data = await request('GET', null, `?datasetId=${dataset.id}`);
+      update({ format: 'json', content: JSON.stringify(data.dataset.rows, null, 2) });
+    } catch (error) {
+      setStatus('error');
+      setMessage(error.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleSave = async () => {
+    setIsSubmitting(true);
+    setMessage('');
+    setStatus('idle');
+    try {
+      const body = { id: dataset.id, name: dataset.name, description: dataset.description };
+      // Existing datasets keep their rows unless new content was loaded or pasted.
+      if (isNew || dataset.content.trim()) {
+        body.format = dataset.format;
+        body.content = dataset.content;
+      }
+      const data = await request(isNew ? 'POST' : 'PATCH', body);
+      setDataset(toEditorDataset(data.dataset));
+      setStatus('success');
+      setMessage(`Dataset saved with ${data.dataset.rowCount} rows`);
+      onSaved?.();
+    } catch (error) {
+      setStatus('error');
+      setMessage(error.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleRemove = async () => {
+    if (isNew) {
+      onRemoved?.();
+      return;
+    }
+    if (!window.confirm(`Delete dataset ${dataset.name}?`)) return;
+    setIsSubmitting(true);
+    try {
+      await request('DELETE', null, `?datasetId=${dataset.id}`);
+      onRemoved?.();
+    } catch (error) {
+      setStatus('error');
+      setMessage(error.message);
+      setIsSubmitting(false);
+    }
+  };
+
+  const idPrefix = `dataset-${dataset.id ?? 'new'}`;
+
+  return (
+    <div className="field" style={{ borderLeft: '2px solid rgba(124, 93, 255, 0.2)', paddingLeft: '12px' }}>
+      {message ? <p className={status === 'error' ? 'error' : 'success'}>{message}</p> : null}
+      <div style={{ display: 'flex', gap: '12px' }}>
+        <div className="field" style={{ flex: 1 }}>
+          <label htmlFor={`${idPrefix}-name`}>Name</label>
+          <input id={`${idPrefix}-name`} value={dataset.name} onChange={(event) => update({ name: event.target.value })} placeholder="customers" />
+        </div>
+        <div className="field" style={{ flex: 2 }}>
+          <label htmlFor={`${idPrefix}-description`}>Description</label>
+          <input
+            id={`${idPrefix}-description`}
+            value={dataset.description}
+            onChange={(event) => update({ description: event.target.value })}
+            placeholder="QA customer catalog"
+          />
+        </div>
+      </div>
+      {isNew ? null : (
+        <p className="helper-text">
+          {dataset.rowCount} rows{dataset.columns.length ? ` · columns: ${dataset.columns.join(', ')}` : ''}
+        </p>
+      )}
+      <div className="field">
+        <label htmlFor={`${idPrefix}-content`}>{isNew ? 'Rows' : 'Replace rows'}</label>
+        <div style={{ display: 'flex', gap: '12px', alignItems: 'center' }}>
+          <input type="file" accept=".csv,.json,text/csv,application/json" onChange={handleFile} />
+          <select aria-label="Format" value={dataset.format} onChange={(event) => update({ format: event.target.value })}>
+            <option value="json">JSON array</option>
+            <option value="csv">CSV with header row</option>
+          </select>
+          {isNew ? null : (
+            <button className="btn ghost" type="button" onClick={handleLoadRows} disabled={isSubmitting}>
+              Edit current rows
+            </button>
+          )}
+        </div>
+        <textarea
+          id={`${idPrefix}-content`}
+          rows={6}
+          value={dataset.content}
+          onChange={(event) => update({ content: event.target.value })}
+          placeholder={dataset.format === 'csv' ? 'id,name,email\n1,Ada Lovelace,ada@example.test' : '[\n  { "id": 1, "name": "Ada Lovelace" }\n]'}
+        />
+        {isNew ? null : <p className="helper-text">Leave empty to keep the current rows.</p>}
+      </div>
+      <div style={{ display: 'flex', gap: '8px' }}>
+        <button className="btn secondary" type="button" onClick={handleSave} disabled={isSubmitting}>
+          {isSubmitting ? 'Saving…' : isNew ? 'Create dataset' : 'Save dataset'}
+        </button>
+        <button className="btn ghost" type="button" onClick={handleRemove} disabled={isSubmitting}>
+          {isNew ? 'Cancel' : 'Delete'}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default function ProjectDatasetsForm({ project, datasets = [] }) {
+  const router = useRouter();
+  const [drafts, setDrafts] = useState([]);
+
+  const refresh = () => router.refresh();
+
+  return (
+    <div className="form-card">
+      <div className="form-grid">
+        <div className="form-section">
+          <h3>Datasets</h3>
+          <p>
+            Fixture rows uploaded as CSV or JSON and queried from templates, e.g.{' '}
+            <code>{'{{#with (findRow "customers" "id" request.params.id)}}{{name}}{{/with}}'}</code>.
+          </p>
+          {datasets.length === 0 && drafts.length === 0 ? <p className="helper-text">No datasets yet.</p> : null}
+          {datasets.map((dataset) => (
+            <DatasetEditor
+              key={`${dataset.id}-${dataset.updatedAt}`}
+              projectId={project.id}
+              initialDataset={dataset}
+              onSaved={refresh}
+              onRemoved={refresh}
+            />
+          ))}
+          {drafts.map((draftId) => (
+            <DatasetEditor
+              key={draftId}
+              projectId={project.id}
+              onSaved={() => {
+                setDrafts((current) => current.filter((id) => id !== draftId));
+                refresh();
+              }}
+              onRemoved={() => setDrafts((current) => current.filter((id) => id !== draftId))}
+            />
+          ))}
+          <button className="btn secondary" type="button" onClick={() => setDrafts((current) => [...current, Date.now()])}>
+            Add dataset
+          </button>
+          <p className="helper-text">
+            Helpers: <code>dataset</code>, <code>findRow</code>, <code>filterRows</code> (with <code>limit=</code>),{' '}
+            <code>randomRow</code> and <code>randomRows</code>, each given the dataset name as a literal string. CSV values are strings; matches compare values as text.
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,70 @@
+'use client';
+
+import { useState } from 'react';
+import { useRouter } from 'next/navigation';
+
+import { headersToText, textToHeaders } from '../routes/ResponseVariantsEditor.jsx';
+
+export default function ProjectDefaultHeadersForm({ project }) {
+  const router = useRouter();
+  const [headersText, setHeadersText] = useState(headersToText(project?.defaultHeaders));
+  const [message, setMessage] = useState('');
+  const [status, setStatus] = useState('idle');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setIsSubmitting(true);
+    setMessage('');
+    setStatus('idle');
+
+    try {
+      const response = await fetch('/api/projects', {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ id: project.id, defaultHeaders: textToHeaders(headersText) }),
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        setStatus('error');
+        setMessage(data?.error || 'Unable to save default headers');
+        return;
+      }
+      setStatus('success');
+      setMessage('Default headers saved');
+      router.refresh();
+    } catch (error) {
+      console.error('Failed to save default headers', error);
+      setStatus('error');
+      setMessage('Unable to save default headers');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <form className="form-card" onSubmit={handleSubmit}>
+      <div className="form-grid">
+        <div className="form-section">
+          <h3>Default response headers</h3>
+          <p>Added to every mock response in the project. Headers set by a route take precedence.</p>
+          {message ? <p className={status === 'error' ? 'error' : 'success'}>{message}</p> : null}
+          <div className="field">
+            <label htmlFor="project-default-headers">Headers</label>
+            <textarea
+              id="project-default-headers"
+              rows={4}
+              value={headersText}
+              onChange={(event) => setHeadersText(event.target.value)}
+              placeholder={'Cache-Control: no-store\nX-Environment: mock'}
+            />
+            <p className="helper-text">One header per line, written as Name: value.</p>
+          </div>
+          <button className="btn" type="submit" disabled={isSubmitting}>
+            {isSubmitting ? 'Saving…' : 'Save default headers'}
+          </button>
+        </div>
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,206 @@
+'use client';
+
+import { useState } from 'react';
+import { useRouter } from 'next/navigation';
+
+function variablesToText(variables) {
+  return Object.entries(variables || {})
+    .map(([key, value]) => `${key}=${value}`)
+    .join('\n');
+}
+
+function textToVariables(text) {
+  const variables = {};
+  for (const line of String(text || '').split('\n')) {
+    const index = line.indexOf('=');
+    if (index <= 0) continue;
+    const key = line.slice(0, index).trim();
+    if (key) variables[key] = line.slice(index + 1).trim();
+  }
+  return variables;
+}
+
+function toEditorEnvironment(environment) {
+  return {
+    id: environment?.id ?? null,
+    name: environment?.name || '',
+    description: environment?.description || '',
+    variablesText: variablesToText(environment?.variables),
+    upstreamBaseUrl: environment?.upstreamBaseUrl || '',
+    responseDelayMs: environment?.responseDelayMs ?? '',
+  };
+}
+
+function EnvironmentEditor({ projectId, initialEnvironment, onSaved, onRemoved }) {
+  const [environment, setEnvironment] = useState(() => toEditorEnvironment(initialEnvironment));
+  const [message, setMessage] = useState('');
+  const [status, setStatus] = useState('idle');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const isNew = !environment.id;
+
+  const update = (changes) => setEnvironment((current) => ({ ...current, ...changes }));
+
+  const request = async (method, body) => {
+    const query = method === 'DELETE' ? `?environmentId=${environment.id}` : '';
+    const response = await fetch(`/api/projects/${projectId}/environments${query}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(data?.error || 'Unable to save environment');
+    return data;
+  };
+
+  const handleSave = async () => {
+    setIsSubmitting(true);
+    setMessage('');
+    setStatus('idle');
+    try {
+      const data = await request(isNew ? 'POST' : 'PATCH', {
+        id: environment.id,
+        name: environment.name,
+        description: environment.description,
+        variables: textToVariables(environment.variablesText),
+        upstreamBaseUrl: environment.upstreamBaseUrl,
+        responseDelayMs: environment.responseDelayMs === '' ? null : Number(environment.responseDelayMs),
+      });
+      setEnvironment(toEditorEnvironment(data.environment));
+      setStatus('success');
+      setMessage('Environment saved');
+      onSaved?.();
+    } catch (error) {
+      setStatus('error');
+      setMessage(error.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleRemove = async () => {
+    if (isNew) {
+      onRemoved?.();
+      return;
+    }
+    setIsSubmitting(true);
+    try {
+      await request('DELETE');
+      onRemoved?.();
+    } catch (error) {
+      setStatus('error');
+      setMessage(error.message);
+      setIsSubmitting(false);
+    }
+  };
+
+  const idPrefix = `environment-${environment.id ?? 'new'}`;
+
+  return (
+    <div className="field" style={{ borderLeft: '2px solid rgba(124, 93, 255, 0.2)', paddingLeft: '12px' }}>
+      {message ? <p className={status === 'error' ? 'error' : 'success'}>{message}</p> : null}
+      <div style={{ display: 'flex', gap: '12px' }}>
+        <div className="field" style={{ flex: 1 }}>
+          <label htmlFor={`${idPrefix}-name`}>Name</label>
+          <input id={`${idPrefix}-name`} value={environment.name} onChange={(event) => update({ name: event.target.value })} placeholder="staging" />
+        </div>
+        <div className="field" style={{ flex: 2 }}>
+          <label htmlFor={`${idPrefix}-description`}>Description</label>
+          <input
+            id={`${idPrefix}-description`}
+            value={environment.description}
+            onChange={(event) => update({ description: event.target.value })}
+            placeholder="Stable data for customer demos"
+          />
+        </div>
+      </div>
+      <div className="field">
+        <label htmlFor={`${idPrefix}-variables`}>Variable overrides</label>
+        <textarea
+          id={`${idPrefix}-variables`}
+          rows={3}
+          value={environment.variablesText}
+          onChange={(event) => update({ variablesText: event.target.value })}
+          placeholder={'customerName=Acme Corp\nplan=enterprise'}
+        />
+        <p className="helper-text">One key=value per line. Replaces route and project variables with the same key in every route.</p>
+      </div>
+      <div style={{ display: 'flex', gap: '12px' }}>
+        <div className="field" style={{ flex: 2 }}>
+          <label htmlFor={`${idPrefix}-upstream`}>Upstream base URL</label>
+          <input
+            id={`${idPrefix}-upstream`}
+            value={environment.upstreamBaseUrl}
+            onChange={(event) => update({ upstreamBaseUrl: event.target.value })}
+            placeholder="https://staging.api.example.com"
+          />
+        </div>
+        <div className="field" style={{ flex: 1 }}>
+          <label htmlFor={`${idPrefix}-delay`}>Response delay (ms)</label>
+          <input
+            id={`${idPrefix}-delay`}
+            type="number"
+            min="0"
+            value={environment.responseDelayMs}
+            onChange={(event) => update({ responseDelayMs: event.target.value })}
+            placeholder="Route default"
+          />
+        </div>
+      </div>
+      <div style={{ display: 'flex', gap: '8px' }}>
+        <button className="btn secondary" type="button" onClick={handleSave} disabled={isSubmitting}>
+          {isSubmitting ? 'Saving…' : isNew ? 'Create environment' : 'Save environment'}
+        </button>
+        <button className="btn ghost" type="button" onClick={handleRemove} disabled={isSubmitting}>
+          {isNew ? 'Cancel' : 'Delete'}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default function ProjectEnvironmentsForm({ project, environments = [] }) {
+  const router = useRouter();
+  const [drafts, setDrafts] = useState([]);
+
+  const refresh = () => router.refresh();
+
+  return (
+    <div className="form-card">
+      <div className="form-grid">
+        <div className="form-section">
+          <h3>Environments</h3>
+          <p>
+            Override route variables, the upstream base URL and response delays per environment. Pick one with the{' '}
+            <code>x-mock-env</code> header or an <code>@name</code> path segment, e.g. <code>/m/{project.slug}/@demo/users</code>.
+          </p>
+          {environments.length === 0 && drafts.length === 0 ? (
+            <p className="helper-text">No environments yet. Requests use the route defaults.</p>
+          ) : null}
+          {environments.map((environment) => (
+            <EnvironmentEditor
+              key={`${environment.id}-${environment.updatedAt}`}
+              projectId={project.id}
+              initialEnvironment={environment}
+              onSaved={refresh}
+              onRemoved={refresh}
+            />
+          ))}
+          {drafts.map((draftId) => (
+            <EnvironmentEditor
+              key={draftId}
+              projectId={project.id}
+              onSaved={() => {
+                setDrafts((current) => current.filter((id) => id !== draftId));
+                refresh();
+              }}
+              onRemoved={() => setDrafts((current) => current.filter((id) => id !== draftId))}
+            />
+          ))}
+          <button className="btn secondary" type="button" onClick={() => setDrafts((current) => [...current, Date.now()])}>
+            Add environment
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
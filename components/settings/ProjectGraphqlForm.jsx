@@ -0,0 +1,154 @@
+'use client';
+
+import { useState } from 'react';
+import { useRouter } from 'next/navigation';
+
+function toEditorResolvers(resolvers) {
+  return Object.entries(resolvers || {}).map(([field, template]) => ({ field, template }));
+}
+
+function toStoredResolvers(rows) {
+  const resolvers = {};
+  for (const row of rows) {
+    const field = row.field.trim();
+    if (field) resolvers[field] = row.template;
+  }
+  return resolvers;
+}
+
+export default function ProjectGraphqlForm({ project, endpointBaseUrl }) {
+  const router = useRouter();
+  const [enabled, setEnabled] = useState(Boolean(project?.graphql?.enabled));
+  const [path, setPath] = useState(project?.graphql?.path || '/graphql');
+  const [sdl, setSdl] = useState(project?.graphql?.sdl || '');
+  const [resolvers, setResolvers] = useState(() => toEditorResolvers(project?.graphql?.resolvers));
+  const [message, setMessage] = useState('');
+  const [status, setStatus] = useState('idle');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleSchemaFile = async (event) => {
+    const file = event.target.files?.[0];
+    if (!file) return;
+    setSdl(await file.text());
+    event.target.value = '';
+  };
+
+  const updateResolver = (index, changes) => {
+    setResolvers((current) => current.map((row, i) => (i === index ? { ...row, ...changes } : row)));
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setIsSubmitting(true);
+    setMessage('');
+    setStatus('idle');
+
+    try {
+      const response = await fetch('/api/projects', {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          id: project.id,
+          graphql: { enabled, path, sdl, resolvers: toStoredResolvers(resolvers) },
+        }),
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        setStatus('error');
+        setMessage(data?.error || 'Unable to save GraphQL settings');
+        return;
+      }
+      setStatus('success');
+      setMessage('GraphQL settings saved');
+      router.refresh();
+    } catch (error) {
+      console.error('Failed to save GraphQL settings', error);
+      setStatus('error');
+      setMessage('Unable to save GraphQL settings');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const endpointUrl = `${endpointBaseUrl || ''}${path || '/graphql'}`;
+
+  return (
+    <form className="form-card" onSubmit={handleSubmit}>
+      <div className="form-grid">
+        <div className="form-section">
+          <h3>GraphQL endpoint</h3>
+          <p>
+            Serve queries and mutations from an SDL schema. Fields without a resolver get generated values, and introspection works
+            out of the box.
+          </p>
+          {message ? <p className={status === 'error' ? 'error' : 'success'}>{message}</p> : null}
+          <label className="field" style={{ flexDirection: 'row', gap: '8px', alignItems: 'center' }}>
+            <input type="checkbox" checked={enabled} onChange={(event) => setEnabled(event.target.checked)} /> Enable GraphQL endpoint
+          </label>
+          <div className="field">
+            <label htmlFor="project-graphql-path">Path</label>
+            <input id="project-graphql-path" value={path} onChange={(event) => setPath(event.target.value)} placeholder="/graphql" />
+            <p className="helper-text">
+              Answered before regular routes. Send <code>POST {endpointUrl}</code> with the project <code>x-api-key</code> header.
+            </p>
+          </div>
+          <div className="field">
+            <label htmlFor="project-graphql-sdl">Schema (SDL)</label>
+            <input type="file" accept=".graphql,.graphqls,.gql,text/plain" onChange={handleSchemaFile} />
+            <textarea
+              id="project-graphql-sdl"
+              rows={12}
+              value={sdl}
+              onChange={(event) => setSdl(event.target.value)}
+              placeholder={'type Query {\n  user(id: ID!): User\n}\n\ntype User {\n  id: ID!\n  name: String\n}'}
+            />
+          </div>
+          <div className="field">
+            <label>Field resolvers</label>
+            {resolvers.length === 0 ? <p className="helper-text">No resolvers. Every field returns generated values.</p> : null}
+            {resolvers.map((row, index) => (
+              <div key={index} className="field" style={{ borderLeft: '2px solid rgba(124, 93, 255, 0.2)', paddingLeft: '12px' }}>
+                <div style={{ display: 'flex', gap: '8px' }}>
+                  <input
+                    aria-label="Field"
+                    value={row.field}
+                    onChange={(event) => updateResolver(index, { field: event.target.value })}
+                    placeholder="Query.user"
+                  />
+                  <button
+                    className="btn ghost"
+                    type="button"
+                    onClick={() => setResolvers((current) => current.filter((_, i) => i !== index))}
+                  >
+                    Remove
+                  </button>
+                </div>
+                <textarea
+                  aria-label="Template"
+                  rows={4}
+                  value={row.template}
+                  onChange={(event) => updateResolver(index, { template: event.target.value })}
+                  placeholder={'{ "id": "{{args.id}}", "name": "Ada Lovelace" }'}
+                />
+              </div>
+            ))}
+            <button
+              className="btn secondary"
+              type="button"
+              onClick={() => setResolvers((current) => [...current, { field: '', template: '' }])}
+            >
+              Add resolver
+            </button>
+            <p className="helper-text">
+              Templates use Handlebars with <code>args</code>, <code>parent</code> and the request context. JSON output becomes the field
+              value; nested fields it leaves out are still generated.
+            </p>
+          </div>
+          <button className="btn" type="submit" disabled={isSubmitting}>
+            {isSubmitting ? 'Saving…' : 'Save GraphQL settings'}
+          </button>
+        </div>
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,128 @@
+'use client';
+
+import { useState } from 'react';
+import { useRouter } from 'next/navigation';
+
+export default function ProjectNamespaceForm({ project, endpointBaseUrl }) {
+  const router = useRouter();
+  const [slug, setSlug] = useState(project?.slug || '');
+  const [mockHost, setMockHost] = useState(project?.mockHost || '');
+  const [message, setMessage] = useState('');
+  const [status, setStatus] = useState('idle');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [isVerifying, setIsVerifying] = useState(false);
+  // Mirrors mockHostVerificationRecord in lib/mock-namespace.js for the saved host.
+  const verificationRecord =
+    project?.mockHost && project?.mockHostToken
+      ? { name: `_mock-verify.${project.mockHost}`, value: `mock-verify=${project.mockHostToken}` }
+      : null;
+
+  const handleVerify = async () => {
+    setIsVerifying(true);
+    setMessage('');
+    setStatus('idle');
+
+    try {
+      const response = await fetch(`/api/projects/${project.id}/mock-host`, { method: 'POST' });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        setStatus('error');
+        setMessage(data?.error || 'Unable to verify the mock host');
+        return;
+      }
+      setStatus('success');
+      setMessage('Mock host verified');
+      router.refresh();
+    } catch (error) {
+      console.error('Failed to verify mock host', error);
+      setStatus('error');
+      setMessage('Unable to verify the mock host');
+    } finally {
+      setIsVerifying(false);
+    }
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setIsSubmitting(true);
+    setMessage('');
+    setStatus('idle');
+
+    try {
+      const response = await fetch('/api/projects', {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ id: project.id, slug, mockHost }),
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        setStatus('error');
+        setMessage(data?.error || 'Unable to save the URL namespace');
+        return;
+      }
+      setStatus('success');
+      setMessage('URL namespace saved');
+      router.refresh();
+    } catch (error) {
+      console.error('Failed to save URL namespace', error);
+      setStatus('error');
+      setMessage('Unable to save the URL namespace');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <form className="form-card" onSubmit={handleSubmit}>
+      <div className="form-grid">
+        <div className="form-section">
+          <h3>URL namespace</h3>
+          <p>
+            Every route in this project is also served under its own prefix, so public routes resolve here without an x-api-key and
+            never collide with other projects.
+          </p>
+          {message ? <p className={status === 'error' ? 'error' : 'success'}>{message}</p> : null}
+          <div className="field">
+            <label htmlFor="project-slug">Slug</label>
+            <input id="project-slug" value={slug} onChange={(event) => setSlug(event.target.value)} placeholder="payments-api" />
+            <p className="helper-text">
+              Routes are available at <code>{`${endpointBaseUrl || ''}/m/${slug || '<slug>'}/<path>`}</code>. Renaming the slug
+              changes these URLs.
+            </p>
+          </div>
+          <div className="field">
+            <label htmlFor="project-mock-host">Mock host (optional)</label>
+            <input
+              id="project-mock-host"
+              value={mockHost}
+              onChange={(event) => setMockHost(event.target.value)}
+              placeholder="payments.mock.example.com"
+            />
+            <p className="helper-text">
+              Requests whose Host header matches are served from this project at the root path. Point the hostname&apos;s DNS at this
+              server first.
+            </p>
+            {verificationRecord && project.mockHostVerifiedAt ? (
+              <p className="helper-text">Verified on {new Date(project.mockHostVerifiedAt).toLocaleString()}.</p>
+            ) : null}
+            {verificationRecord && !project.mockHostVerifiedAt ? (
+              <>
+                <p className="helper-text">
+                  Not serving requests yet. Add a TXT record <code>{verificationRecord.name}</code> with the value{' '}
+                  <code>{verificationRecord.value}</code>, then verify.
+                </p>
+                <button className="btn secondary" type="button" onClick={handleVerify} disabled={isVerifying}>
+                  {isVerifying ? 'Verifying…' : 'Verify mock host'}
+                </button>
+              </>
+            ) : null}
+          </div>
+          <p className="helper-text">Routes that require an API key still need the project or route x-api-key.</p>
+          <button className="btn" type="submit" disabled={isSubmitting}>
+            {isSubmitting ? 'Saving…' : 'Save URL namespace'}
+          </button>
+        </div>
+      </div>
+    </form>
+  );
+}
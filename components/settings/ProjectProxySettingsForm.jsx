@@ -0,0 +1,87 @@
+'use client';
+
+import { useState } from 'react';
+import { useRouter } from 'next/navigation';
+
+const PROXY_MODE_OPTIONS = [
+  { value: 'replay', label: 'Replay only', hint: 'Serve stored mocks only. Unmatched requests return 404.' },
+  { value: 'passthrough', label: 'Passthrough', hint: 'Forward unmatched requests upstream without saving them.' },
+  { value: 'record', label: 'Record', hint: 'Forward unmatched requests upstream and save each response as a new route.' },
+];
+
+export default function ProjectProxySettingsForm({ project }) {
+  const router = useRouter();
+  const [upstreamBaseUrl, setUpstreamBaseUrl] = useState(project?.upstreamBaseUrl || '');
+  const [proxyMode, setProxyMode] = useState(project?.proxyMode || 'replay');
+  const [message, setMessage] = useState('');
+  const [status, setStatus] = useState('idle');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const activeOption = PROXY_MODE_OPTIONS.find((option) => option.value === proxyMode);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setIsSubmitting(true);
+    setMessage('');
+    setStatus('idle');
+
+    try {
+      const response = await fetch('/api/projects', {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ id: project.id, upstreamBaseUrl, proxyMode }),
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        setStatus('error');
+        setMessage(data?.error || 'Unable to save proxy settings');
+        return;
+      }
+      setStatus('success');
+      setMessage('Proxy settings saved');
+      router.refresh();
+    } catch (error) {
+      console.error('Failed to save proxy settings', error);
+      setStatus('error');
+      setMessage('Unable to save proxy settings');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <form className="form-card" onSubmit={handleSubmit}>
+      <div className="form-grid">
+        <div className="form-section">
+          <h3>Record &amp; replay proxy</h3>
+          <p>Forward requests that match no route to a real API, and optionally save each exchange as a mock route.</p>
+          {message ? <p className={status === 'error' ? 'error' : 'success'}>{message}</p> : null}
+          <div className="field">
+            <label htmlFor="project-upstream">Upstream base URL</label>
+            <input
+              id="project-upstream"
+              value={upstreamBaseUrl}
+              onChange={(event) => setUpstreamBaseUrl(event.target.value)}
+              placeholder="https://staging.example.com/api"
+            />
+            <p className="helper-text">Leave blank to disable forwarding.</p>
+          </div>
+          <div className="field">
+            <label htmlFor="project-proxy-mode">Mode</label>
+            <select id="project-proxy-mode" value={proxyMode} onChange={(event) => setProxyMode(event.target.value)}>
+              {PROXY_MODE_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+            {activeOption ? <p className="helper-text">{activeOption.hint}</p> : null}
+          </div>
+          <button className="btn" type="submit" disabled={isSubmitting}>
+            {isSubmitting ? 'Saving…' : 'Save proxy settings'}
+          </button>
+        </div>
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,67 @@
+'use client';
+
+import { useState } from 'react';
+import { useRouter } from 'next/navigation';
+
+import RateLimitFields, { toStoredRateLimit } from '../shared/RateLimitFields.jsx';
+
+export default function ProjectRateLimitForm({ project }) {
+  const router = useRouter();
+  const [rateLimit, setRateLimit] = useState(
+    () => project?.rateLimit || toStoredRateLimit({ enabled: false, limit: 60, windowSeconds: 60, scope: 'apiKey' })
+  );
+  const [message, setMessage] = useState('');
+  const [status, setStatus] = useState('idle');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setIsSubmitting(true);
+    setMessage('');
+    setStatus('idle');
+
+    try {
+      const response = await fetch('/api/projects', {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ id: project.id, rateLimit }),
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        setStatus('error');
+        setMessage(data?.error || 'Unable to save rate limit');
+        return;
+      }
+      setStatus('success');
+      setMessage('Rate limit saved');
+      router.refresh();
+    } catch (error) {
+      console.error('Failed to save rate limit', error);
+      setStatus('error');
+      setMessage('Unable to save rate limit');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <form className="form-card" onSubmit={handleSubmit}>
+      <div className="form-grid">
+        <div className="form-section">
+          <h3>Rate limit</h3>
+          <p>Limits each caller x-api-key across every route in the project. Route limits are checked as well.</p>
+          {message ? <p className={status === 'error' ? 'error' : 'success'}>{message}</p> : null}
+          <RateLimitFields
+            idPrefix="project-rate-limit"
+            initialSettings={project?.rateLimit}
+            showScope={false}
+            onChange={(value) => setRateLimit({ ...value, scope: 'apiKey' })}
+          />
+          <button className="btn" type="submit" disabled={isSubmitting}>
+            {isSubmitting ? 'Saving…' : 'Save rate limit'}
+          </button>
+        </div>
+      </div>
+    </form>
+  );
+}
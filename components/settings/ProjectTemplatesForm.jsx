@@ -0,0 +1,140 @@
+'use client';
+
+import { useState } from 'react';
+import { useRouter } from 'next/navigation';
+
+function toEditorPartials(partials) {
+  return Object.entries(partials || {}).map(([name, template]) => ({ name, template }));
+}
+
+function toStoredPartials(rows) {
+  const partials = {};
+  for (const row of rows) {
+    const name = row.name.trim();
+    if (name) partials[name] = row.template;
+  }
+  return partials;
+}
+
+function toVarsText(vars) {
+  return vars && Object.keys(vars).length ? JSON.stringify(vars, null, 2) : '';
+}
+
+export default function ProjectTemplatesForm({ project }) {
+  const router = useRouter();
+  const [varsText, setVarsText] = useState(() => toVarsText(project?.templateVars));
+  const [partials, setPartials] = useState(() => toEditorPartials(project?.templatePartials));
+  const [message, setMessage] = useState('');
+  const [status, setStatus] = useState('idle');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const updatePartial = (index, changes) => {
+    setPartials((current) => current.map((row, i) => (i === index ? { ...row, ...changes } : row)));
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setIsSubmitting(true);
+    setMessage('');
+    setStatus('idle');
+
+    try {
+      const response = await fetch('/api/projects', {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          id: project.id,
+          templateVars: varsText.trim(),
+          templatePartials: toStoredPartials(partials),
+        }),
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        setStatus('error');
+        setMessage(data?.error || 'Unable to save shared templates');
+        return;
+      }
+      setStatus('success');
+      setMessage('Shared templates saved');
+      router.refresh();
+    } catch (error) {
+      console.error('Failed to save shared templates', error);
+      setStatus('error');
+      setMessage('Unable to save shared templates');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <form className="form-card" onSubmit={handleSubmit}>
+      <div className="form-grid">
+        <div className="form-section">
+          <h3>Shared templates</h3>
+          <p>
+            Variables and partials available to every route template in this project, e.g.{' '}
+            <code>{'{{project.vars.companyName}}'}</code> or <code>{'{{> userCard user}}'}</code>.
+          </p>
+          {message ? <p className={status === 'error' ? 'error' : 'success'}>{message}</p> : null}
+          <div className="field">
+            <label htmlFor="project-template-vars">Project variables (JSON)</label>
+            <textarea
+              id="project-template-vars"
+              rows={6}
+              value={varsText}
+              onChange={(event) => setVarsText(event.target.value)}
+              placeholder={'{\n  "companyName": "Acme Corp",\n  "supportEmail": "help@acme.test"\n}'}
+            />
+            <p className="helper-text">
+              Values can be any JSON. Environment variable overrides with the same key replace them.
+            </p>
+          </div>
+          <div className="field">
+            <label>Partials</label>
+            {partials.length === 0 ? <p className="helper-text">No partials yet.</p> : null}
+            {partials.map((row, index) => (
+              <div key={index} className="field" style={{ borderLeft: '2px solid rgba(124, 93, 255, 0.2)', paddingLeft: '12px' }}>
+                <div style={{ display: 'flex', gap: '8px' }}>
+                  <input
+                    aria-label="Partial name"
+                    value={row.name}
+                    onChange={(event) => updatePartial(index, { name: event.target.value })}
+                    placeholder="userCard"
+                  />
+                  <button
+                    className="btn ghost"
+                    type="button"
+                    onClick={() => setPartials((current) => current.filter((_, i) => i !== index))}
+                  >
+                    Remove
+                  </button>
+                </div>
+                <textarea
+                  aria-label="Template"
+                  rows={4}
+                  value={row.template}
+                  onChange={(event) => updatePartial(index, { template: event.target.value })}
+                  placeholder={'{ "id": {{id}}, "name": "{{name}}", "company": "{{@root.project.vars.companyName}}" }'}
+                />
+              </div>
+            ))}
+            <button
+              className="btn secondary"
+              type="button"
+              onClick={() => setPartials((current) => [...current, { name: '', template: '' }])}
+            >
+              Add partial
+            </button>
+            <p className="helper-text">
+              Use <code>{'{{> name}}'}</code> for the current context or <code>{'{{> name value}}'}</code> to pass one in. Partials
+              see the same helpers as route templates.
+            </p>
+          </div>
+          <button className="btn" type="submit" disabled={isSubmitting}>
+            {isSubmitting ? 'Saving…' : 'Save shared templates'}
+          </button>
+        </div>
+      </div>
+    </form>
+  );
+}
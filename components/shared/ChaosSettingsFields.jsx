@@ -0,0 +1,124 @@
+'use client';
+
+import { useMemo, useState } from 'react';
+
+const LATENCY_MODE_OPTIONS = [
+  { value: 'none', label: 'No jitter' },
+  { value: 'uniform', label: 'Uniform (min – max)' },
+  { value: 'normal', label: 'Normal (mean ± std dev)' },
+];
+
+function toEditorSettings(settings) {
+  const latency = settings?.latency || {};
+  return {
+    enabled: Boolean(settings?.enabled),
+    errorRate: String(settings?.errorRate ?? 0),
+    errorStatus: String(settings?.errorStatus ?? 500),
+    errorBody: settings?.errorBody ?? '{\n  "error": "Injected failure"\n}',
+    dropRate: String(settings?.dropRate ?? 0),
+    truncateRate: String(settings?.truncateRate ?? 0),
+    latencyMode: latency.mode || 'none',
+    minMs: String(latency.minMs ?? 0),
+    maxMs: String(latency.maxMs ?? 0),
+    meanMs: String(latency.meanMs ?? 0),
+    stdDevMs: String(latency.stdDevMs ?? 0),
+  };
+}
+
+export function toStoredChaosSettings(settings) {
+  return {
+    enabled: settings.enabled,
+    errorRate: Number(settings.errorRate || 0),
+    errorStatus: Number(settings.errorStatus || 500),
+    errorBody: settings.errorBody,
+    dropRate: Number(settings.dropRate || 0),
+    truncateRate: Number(settings.truncateRate || 0),
+    latency: {
+      mode: settings.latencyMode,
+      minMs: Number(settings.minMs || 0),
+      maxMs: Number(settings.maxMs || 0),
+      meanMs: Number(settings.meanMs || 0),
+      stdDevMs: Number(settings.stdDevMs || 0),
+    },
+  };
+}
+
+// Shared by the route form (serialized into a hidden input) and project settings (onChange).
+export default function ChaosSettingsFields({ idPrefix = 'chaos', name, initialSettings = null, onChange }) {
+  const [settings, setSettings] = useState(() => toEditorSettings(initialSettings));
+  const serialized = useMemo(() => JSON.stringify(toStoredChaosSettings(settings)), [settings]);
+
+  const update = (changes) => {
+    const next = { ...settings, ...changes };
+    setSettings(next);
+    onChange?.(toStoredChaosSettings(next));
+  };
+
+  const numberField = (key, label, props = {}) => (
+    <div className="field">
+      <label htmlFor={`${idPrefix}-${key}`}>{label}</label>
+      <input
+        id={`${idPrefix}-${key}`}
+        type="number"
+        min="0"
+        value={settings[key]}
+        onChange={(event) => update({ [key]: event.target.value })}
+        {...props}
+      />
+    </div>
+  );
+
+  return (
+    <>
+      {name ? <input type="hidden" name={name} value={serialized} /> : null}
+      <label className="field" style={{ flexDirection: 'row', gap: '8px', alignItems: 'center' }}>
+        <input type="checkbox" checked={settings.enabled} onChange={(event) => update({ enabled: event.target.checked })} /> Enable fault
+        injection
+      </label>
+      {settings.enabled ? (
+        <>
+          {numberField('errorRate', 'Error rate (%)', { max: '100', step: '0.1' })}
+          {numberField('errorStatus', 'Error status code', { min: '100', max: '599' })}
+          <div className="field">
+            <label htmlFor={`${idPrefix}-errorBody`}>Error body</label>
+            <textarea
+              id={`${idPrefix}-errorBody`}
+              rows={3}
+              value={settings.errorBody}
+              onChange={(event) => update({ errorBody: event.target.value })}
+            />
+          </div>
+          {numberField('dropRate', 'Dropped connections (%)', { max: '100', step: '0.1' })}
+          {numberField('truncateRate', 'Truncated bodies (%)', { max: '100', step: '0.1' })}
+          <div className="field">
+            <label htmlFor={`${idPrefix}-latencyMode`}>Latency jitter</label>
+            <select
+              id={`${idPrefix}-latencyMode`}
+              value={settings.latencyMode}
+              onChange={(event) => update({ latencyMode: event.target.value })}
+            >
+              {LATENCY_MODE_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+            <p className="helper-text">Added on top of the configured response delay.</p>
+          </div>
+          {settings.latencyMode === 'uniform' ? (
+            <>
+              {numberField('minMs', 'Minimum extra latency (ms)')}
+              {numberField('maxMs', 'Maximum extra latency (ms)')}
+            </>
+          ) : null}
+          {settings.latencyMode === 'normal' ? (
+            <>
+              {numberField('meanMs', 'Mean extra latency (ms)')}
+              {numberField('stdDevMs', 'Standard deviation (ms)')}
+            </>
+          ) : null}
+        </>
+      ) : null}
+    </>
+  );
+}
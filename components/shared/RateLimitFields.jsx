@@ -0,0 +1,79 @@
+'use client';
+
+import { useMemo, useState } from 'react';
+
+function toEditorSettings(settings) {
+  return {
+    enabled: Boolean(settings?.enabled),
+    limit: String(settings?.limit ?? 60),
+    windowSeconds: String(settings?.windowSeconds ?? 60),
+    scope: settings?.scope || 'route',
+  };
+}
+
+export function toStoredRateLimit(settings) {
+  return {
+    enabled: settings.enabled,
+    limit: Number(settings.limit || 1),
+    windowSeconds: Number(settings.windowSeconds || 1),
+    scope: settings.scope,
+  };
+}
+
+// Used by the route form (hidden input) and project settings (onChange, always per API key).
+export default function RateLimitFields({ idPrefix = 'rate-limit', name, initialSettings = null, showScope = true, onChange }) {
+  const [settings, setSettings] = useState(() => toEditorSettings(initialSettings));
+  const serialized = useMemo(() => JSON.stringify(toStoredRateLimit(settings)), [settings]);
+
+  const update = (changes) => {
+    const next = { ...settings, ...changes };
+    setSettings(next);
+    onChange?.(toStoredRateLimit(next));
+  };
+
+  return (
+    <>
+      {name ? <input type="hidden" name={name} value={serialized} /> : null}
+      <label className="field" style={{ flexDirection: 'row', gap: '8px', alignItems: 'center' }}>
+        <input type="checkbox" checked={settings.enabled} onChange={(event) => update({ enabled: event.target.checked })} /> Enable rate
+        limit
+      </label>
+      {settings.enabled ? (
+        <>
+          <div className="field">
+            <label htmlFor={`${idPrefix}-limit`}>Requests per window</label>
+            <input
+              id={`${idPrefix}-limit`}
+              type="number"
+              min="1"
+              value={settings.limit}
+              onChange={(event) => update({ limit: event.target.value })}
+            />
+          </div>
+          <div className="field">
+            <label htmlFor={`${idPrefix}-window`}>Window (seconds)</label>
+            <input
+              id={`${idPrefix}-window`}
+              type="number"
+              min="1"
+              value={settings.windowSeconds}
+              onChange={(event) => update({ windowSeconds: event.target.value })}
+            />
+          </div>
+          {showScope ? (
+            <div className="field">
+              <label htmlFor={`${idPrefix}-scope`}>Counted</label>
+              <select id={`${idPrefix}-scope`} value={settings.scope} onChange={(event) => update({ scope: event.target.value })}>
+                <option value="route">Across all callers of this route</option>
+                <option value="apiKey">Separately for each x-api-key</option>
+              </select>
+            </div>
+          ) : null}
+          <p className="helper-text">
+            Requests over the limit receive 429 with Retry-After and X-RateLimit-Limit / Remaining / Reset headers.
+          </p>
+        </>
+      ) : null}
+    </>
+  );
+}
@@ -0,0 +1,89 @@
+import { faker as defaultFaker } from '@faker-js/faker';
+
+// Template data may carry a project's datasets (`{ customers: [...] }`) under this key, so
+// they reach helpers through `@root` without showing up as template variables.
+export const TEMPLATE_DATASETS = Symbol.for('mock.templateDatasets');
+
+// Handlebars passes its `options` object as the last argument.
+function splitArgs(args) {
+  return { values: args.slice(0, -1), options: args[args.length - 1] };
+}
+
+function unwrap(value) {
+  return value && typeof value.toHTML === 'function' ? value.toString() : value;
+}
+
+// Helpers take a dataset name or rows returned by another helper, e.g.
+// `{{#each (filterRows (dataset "products") "category" "books")}}`.
+function resolveRows(source, options, helper) {
+  const value = unwrap(source);
+  if (Array.isArray(value)) return value;
+  const datasets = options.data?.root?.[TEMPLATE_DATASETS] || {};
+  const rows = datasets[String(value)];
+  if (!Array.isArray(rows)) {
+    throw new Error(`${helper}: unknown dataset "${value}"`);
+  }
+  return rows;
+}
+
+// CSV cells are strings, so `findRow "customers" "id" 7` matches an id of "7" and vice versa.
+function matchesField(row, field, value) {
+  return row != null && String(row[field] ?? '') === String(unwrap(value) ?? '');
+}
+
+function toCount(value, helper) {
+  const count = Number(unwrap(value));
+  if (!Number.isInteger(count) || count < 0) {
+    throw new Error(`${helper}: "${value}" is not a valid count`);
+  }
+  return count;
+}
+
+export function registerDatasetHelpers(handlebars) {
+  const helpers = {
+    // `{{#each (dataset "customers")}}` iterates every row.
+    dataset(...args) {
+      const { values, options } = splitArgs(args);
+      return resolveRows(values[0], options, 'dataset');
+    },
+
+    // `{{#with (findRow "customers" "id" request.params.id)}}…{{else}}…{{/with}}`; null when nothing matches.
+    findRow(...args) {
+      const { values, options } = splitArgs(args);
+      const [source, field, value] = values;
+      return resolveRows(source, options, 'findRow').find((row) => matchesField(row, field, value)) ?? null;
+    },
+
+    // `{{#each (filterRows "products" "category" query.category limit=10)}}`.
+    filterRows(...args) {
+      const { values, options } = splitArgs(args);
+      const [source, field, value] = values;
+      const rows = resolveRows(source, options, 'filterRows').filter((row) => matchesField(row, field, value));
+      return options.hash?.limit === undefined ? rows : rows.slice(0, toCount(options.hash.limit, 'filterRows'));
+    },
+
+    // Random picks follow `{{#seed}}`, so a seeded block returns the same rows for the same request.
+    randomRow(...args) {
+      const { values, options } = splitArgs(args);
+      const rows = resolveRows(values[0], options, 'randomRow');
+      return rows.length ? (options.data?.faker || defaultFaker).helpers.arrayElement(rows) : null;
+    },
+
+    // `{{#each (randomRows "products" 3)}}` picks distinct rows, at most as many as the dataset has.
+    randomRows(...args) {
+      const { values, options } = splitArgs(args);
+      const rows = resolveRows(values[0], options, 'randomRows');
+      const count = Math.min(toCount(values[1] ?? 1, 'randomRows'), rows.length);
+      return (options.data?.faker || defaultFaker).helpers.arrayElements(rows, count);
+    },
+  };
+
+  for (const [name, helper] of Object.entries(helpers)) {
+    handlebars.registerHelper(name, helper);
+  }
+}
+
+export default {
+  TEMPLATE_DATASETS,
+  registerDatasetHelpers,
+};
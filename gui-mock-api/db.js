@@ -107,6 +107,20 @@ CREATE TABLE IF NOT EXISTS mcp_auth_configs (
   updated_at TEXT DEFAULT (datetime('now')),
   FOREIGN KEY(mcp_server_id) REFERENCES mcp_servers(id) ON DELETE CASCADE
 );
+
+CREATE TABLE IF NOT EXISTS ws_endpoints (
+  id TEXT PRIMARY KEY,
+  name TEXT DEFAULT '',
+  description TEXT DEFAULT '',
+  path TEXT NOT NULL UNIQUE,
+  enabled INTEGER DEFAULT 1,
+  on_connect TEXT DEFAULT '[]',   -- [{ message, delay_ms }]
+  rules TEXT DEFAULT '[]',        -- [{ match, pattern, reply, delay_ms }]
+  pushes TEXT DEFAULT '[]',       -- [{ message, interval_ms }]
+  template_enabled INTEGER DEFAULT 0,
+  created_at TEXT DEFAULT (datetime('now')),
+  updated_at TEXT DEFAULT (datetime('now'))
+);
 `);
 
 function ensureMcpToolsSchema() {
@@ -331,6 +345,15 @@ function normalizeEndpoint(row) {
   };
 }
 
+function normalizeWsEndpoint(row) {
+  if (!row) return null;
+  return {
+    ...row,
+    enabled: Boolean(row.enabled),
+    template_enabled: Boolean(row.template_enabled)
+  };
+}
+
 function normalizeMcpServer(row) {
   if (!row) return null;
   return {
@@ -564,6 +587,59 @@ export function getLog(id) {
   return db.prepare('SELECT * FROM api_logs WHERE id = ?').get(id);
 }
 
+export function allWsEndpoints() {
+  const rows = db.prepare('SELECT * FROM ws_endpoints ORDER BY path ASC').all();
+  return rows.map(normalizeWsEndpoint);
+}
+
+export function getWsEndpoint(id) {
+  const row = db.prepare('SELECT * FROM ws_endpoints WHERE id = ?').get(id);
+  return normalizeWsEndpoint(row);
+}
+
+export function upsertWsEndpoint(endpoint) {
+  const now = new Date().toISOString();
+  const record = {
+    id: endpoint.id,
+    name: endpoint.name || '',
+    description: endpoint.description || '',
+    path: endpoint.path || '/',
+    enabled: endpoint.enabled ? 1 : 0,
+    on_connect: endpoint.on_connect || '[]',
+    rules: endpoint.rules || '[]',
+    pushes: endpoint.pushes || '[]',
+    template_enabled: endpoint.template_enabled ? 1 : 0,
+    created_at: endpoint.created_at || now,
+    updated_at: now
+  };
+
+  db.prepare(`
+    INSERT INTO ws_endpoints (
+      id, name, description, path, enabled, on_connect, rules, pushes,
+      template_enabled, created_at, updated_at
+    ) VALUES (
+      @id, @name, @description, @path, @enabled, @on_connect, @rules, @pushes,
+      @template_enabled, @created_at, @updated_at
+    )
+    ON CONFLICT(id) DO UPDATE SET
+      name = excluded.name,
+      description = excluded.description,
+      path = excluded.path,
+      enabled = excluded.enabled,
+      on_connect = excluded.on_connect,
+      rules = excluded.rules,
+      pushes = excluded.pushes,
+      template_enabled = excluded.template_enabled,
+      updated_at = excluded.updated_at
+  `).run(record);
+
+  return normalizeWsEndpoint(record);
+}
+
+export function deleteWsEndpoint(id) {
+  db.prepare('DELETE FROM ws_endpoints WHERE id = ?').run(id);
+}
+
 export function listMcpServers() {
   const rows = db.prepare('SELECT * FROM mcp_servers ORDER BY created_at DESC').all();
   return rows.map(normalizeMcpServer);
@@ -1061,6 +1137,10 @@ export default {
   insertLog,
   listLogs,
   getLog,
+  allWsEndpoints,
+  getWsEndpoint,
+  upsertWsEndpoint,
+  deleteWsEndpoint,
   listMcpServers,
   getMcpServer,
   findMcpServerBySlug,
@@ -0,0 +1,215 @@
+import { createHash } from 'node:crypto';
+import { base, en, faker as defaultFaker, Faker } from '@faker-js/faker';
+
+export const MAX_REPEAT_COUNT = 1000;
+
+const FAKE_METHOD_REGEX = /^[a-z]+\.[A-Za-z]+$/;
+
+// Faker modules reachable through `{{fake "module.method"}}`. Templates are tenant input, so the
+// lookup never leaves these modules' own methods (no `constructor`, prototypes or `helpers`).
+const FAKE_MODULES = new Set([
+  'airline',
+  'animal',
+  'book',
+  'color',
+  'commerce',
+  'company',
+  'database',
+  'datatype',
+  'date',
+  'finance',
+  'food',
+  'git',
+  'hacker',
+  'image',
+  'internet',
+  'location',
+  'lorem',
+  'music',
+  'number',
+  'person',
+  'phone',
+  'science',
+  'string',
+  'system',
+  'vehicle',
+  'word',
+]);
+const BLOCKED_FAKE_METHODS = new Set(['constructor', 'prototype', '__proto__', 'faker']);
+
+function resolveFakeMethod(faker, method) {
+  if (!FAKE_METHOD_REGEX.test(method)) return null;
+  const [moduleName, methodName] = method.split('.');
+  if (!FAKE_MODULES.has(moduleName) || BLOCKED_FAKE_METHODS.has(methodName)) return null;
+  const module = faker[moduleName];
+  if (!module || !Object.prototype.hasOwnProperty.call(module, methodName)) return null;
+  const generate = module[methodName];
+  return typeof generate === 'function' ? generate.bind(module) : null;
+}
+
+// Helpers read the generator from `@faker` so a `{{#seed}}` block can swap in a seeded one.
+function fakerFrom(options) {
+  return options?.data?.faker || defaultFaker;
+}
+
+// Handlebars passes its `options` object as the last argument; drop it from positional args.
+function positionalArgs(args) {
+  return args.slice(0, -1);
+}
+
+function toInteger(value, fallback) {
+  const number = Number(value);
+  return Number.isFinite(number) ? Math.trunc(number) : fallback;
+}
+
+export function seedFromValue(value) {
+  const digest = createHash('sha256').update(JSON.stringify(value ?? null)).digest();
+  return digest.readUInt32BE(0);
+}
+
+// Without explicit arguments the seed comes from the request, so identical requests get
+// identical data. Legacy admin templates have no `request`, only params/query/body.
+function requestSeedSource(root = {}) {
+  if (root.request) {
+    const { method, path, query, body } = root.request;
+    return { method, path, query, body };
+  }
+  return { params: root.params, query: root.query, body: root.body };
+}
+
+// Seeded dates are relative to the start of the current UTC day instead of the current
+// instant, so they only change once a day.
+function createSeededFaker(seed) {
+  const seeded = new Faker({ locale: [en, base] });
+  seeded.seed(seed);
+  const today = new Date();
+  today.setUTCHours(0, 0, 0, 0);
+  seeded.setDefaultRefDate(today);
+  return seeded;
+}
+
+function fakeDate(faker, kind, hash) {
+  if (hash.from || hash.to) {
+    const from = hash.from || faker.defaultRefDate();
+    const to = hash.to || faker.date.future({ refDate: from });
+    return faker.date.between({ from, to });
+  }
+  const days = toInteger(hash.days, 365);
+  switch (kind) {
+    case 'future':
+      return faker.date.soon({ days });
+    case 'past':
+    case undefined:
+      return faker.date.recent({ days });
+    default:
+      throw new Error(`fakeDate: unknown kind "${kind}", use "past" or "future"`);
+  }
+}
+
+function fakeLorem(faker, hash) {
+  if (hash.paragraphs) return faker.lorem.paragraphs(toInteger(hash.paragraphs, 1), ' ');
+  if (hash.sentences) return faker.lorem.sentences(toInteger(hash.sentences, 1));
+  if (hash.words) return faker.lorem.words(toInteger(hash.words, 1));
+  return faker.lorem.sentence();
+}
+
+export function registerFakeHelpers(handlebars) {
+  // Fake values go straight into JSON bodies, so they must not be HTML-escaped (O'Brien, not O&#x27;Brien).
+  const value = (generate) =>
+    function (...args) {
+      const options = args[args.length - 1];
+      const result = generate(fakerFrom(options), positionalArgs(args), options.hash || {});
+      return typeof result === 'string' ? new handlebars.SafeString(result) : result;
+    };
+
+  const helpers = {
+    fakeName: value((faker) => faker.person.fullName()),
+    fakeFirstName: value((faker) => faker.person.firstName()),
+    fakeLastName: value((faker) => faker.person.lastName()),
+    fakeEmail: value((faker, [firstName, lastName]) =>
+      faker.internet.email({ firstName, lastName }).toLowerCase()
+    ),
+    fakeUsername: value((faker) => faker.internet.username()),
+    fakePhone: value((faker) => faker.phone.number()),
+    fakeCompany: value((faker) => faker.company.name()),
+    fakeStreet: value((faker) => faker.location.streetAddress()),
+    fakeCity: value((faker) => faker.location.city()),
+    fakeState: value((faker) => faker.location.state()),
+    fakeZip: value((faker) => faker.location.zipCode()),
+    fakeCountry: value((faker) => faker.location.country()),
+    fakeAddress: value(
+      (faker) =>
+        `${faker.location.streetAddress()}, ${faker.location.city()}, ${faker.location.state({ abbreviated: true })} ${faker.location.zipCode()}`
+    ),
+    fakeUuid: value((faker) => faker.string.uuid()),
+    fakeDate: value((faker, [kind], hash) => fakeDate(faker, kind, hash).toISOString()),
+    fakeLorem: value((faker, _args, hash) => fakeLorem(faker, hash)),
+    fakeNumber: value((faker, [min = 0, max = 1000], hash) => {
+      if (hash.precision !== undefined) {
+        return faker.number.float({ min: Number(min), max: Number(max), fractionDigits: toInteger(hash.precision, 2) });
+      }
+      return faker.number.int({ min: toInteger(min, 0), max: toInteger(max, 1000) });
+    }),
+    fakeBoolean: value((faker) => faker.datatype.boolean()),
+    fakePick: value((faker, choices) => {
+      if (choices.length === 0) throw new Error('fakePick needs at least one value');
+      return faker.helpers.arrayElement(choices);
+    }),
+    // Escape hatch for anything else Faker offers: `{{fake "commerce.productName"}}`.
+    fake: value((faker, [method, ...rest]) => {
+      const generate = resolveFakeMethod(faker, String(method || ''));
+      if (!generate) {
+        throw new Error(`fake: unknown method "${method}"`);
+      }
+      const result = generate(...rest);
+      if (typeof result === 'function') {
+        throw new Error(`fake: "${method}" does not return a value`);
+      }
+      return result;
+    }),
+  };
+
+  for (const [name, helper] of Object.entries(helpers)) {
+    handlebars.registerHelper(name, helper);
+  }
+
+  // `{{#repeat 3}}…{{/repeat}}` or `{{#repeat min=1 max=5}}…{{/repeat}}` renders the block N times,
+  // joined by `separator` (", " by default) so it can sit inside a JSON array.
+  handlebars.registerHelper('repeat', function (...args) {
+    const options = args[args.length - 1];
+    const [countArg] = positionalArgs(args);
+    const { min, max, separator = ', ' } = options.hash || {};
+    const count =
+      countArg !== undefined
+        ? toInteger(countArg, 0)
+        : fakerFrom(options).number.int({ min: toInteger(min, 1), max: toInteger(max, toInteger(min, 1)) });
+    if (count > MAX_REPEAT_COUNT) {
+      throw new Error(`repeat: at most ${MAX_REPEAT_COUNT} items`);
+    }
+
+    const items = [];
+    for (let index = 0; index < count; index += 1) {
+      const data = handlebars.createFrame(options.data);
+      Object.assign(data, { index, number: index + 1, first: index === 0, last: index === count - 1, total: count });
+      items.push(options.fn(this, { data }));
+    }
+    return items.join(separator);
+  });
+
+  // `{{#seed}}…{{/seed}}` makes the fake data inside deterministic for the request;
+  // `{{#seed params.id}}…{{/seed}}` seeds from the given values instead.
+  handlebars.registerHelper('seed', function (...args) {
+    const options = args[args.length - 1];
+    const values = positionalArgs(args);
+    const source = values.length ? values : requestSeedSource(options.data?.root);
+    const data = handlebars.createFrame(options.data);
+    data.faker = createSeededFaker(seedFromValue(source));
+    return options.fn(this, { data });
+  });
+}
+
+export default {
+  MAX_REPEAT_COUNT,
+  seedFromValue,
+  registerFakeHelpers,
+};
@@ -0,0 +1,21 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { renderTemplate } from './templates.js';
+
+test('fake renders allowlisted faker methods', () => {
+  assert.match(renderTemplate('{{fake "string.uuid"}}'), /^[0-9a-f-]{36}$/);
+});
+
+test('fake cannot reach Function through constructor lookups', () => {
+  const payloads = [
+    '{{#with (fake "constructor.constructor" "return process.version")}}{{this}}{{/with}}',
+    '{{fake "person.constructor" "return process.version"}}',
+    '{{fake "helpers.arrayElement"}}',
+    '{{fake "person.faker"}}',
+    '{{fake "person.hasOwnProperty" "x"}}',
+  ];
+  for (const payload of payloads) {
+    assert.throws(() => renderTemplate(payload), /fake: unknown method/, payload);
+  }
+});
@@ -5,7 +5,7 @@ import { renderTemplate } from './templates.js';
 import { nanoid } from 'nanoid';
 
 // simple path-to-regex converter supporting :params
-function pathToRegex(path) {
+export function pathToRegex(path) {
   const keys = [];
   const rx = path
     .replace(/\//g, '\\/')
@@ -19,6 +19,7 @@ import {
 import { ensureDefaultProjectForUser } from '../lib/user-context.js';
 import { authOptions } from '../lib/auth.js';
 import { buildRuntimeRouter } from './router-runtime.js';
+import { normalizeWsOnConnect, normalizeWsRules, normalizeWsPushes } from './ws-runtime.js';
 import {
   allEndpoints,
   getEndpoint,
@@ -29,6 +30,10 @@ import {
   deleteVar,
   listLogs,
   getLog,
+  allWsEndpoints,
+  getWsEndpoint,
+  upsertWsEndpoint,
+  deleteWsEndpoint,
   listMcpServers,
   getMcpServer,
   getMcpServerWithTools,
@@ -309,6 +314,20 @@ function endpointDefaults() {
   };
 }
 
+function wsEndpointDefaults() {
+  return {
+    id: '',
+    name: '',
+    description: '',
+    path: '/ws',
+    enabled: true,
+    on_connect: '[]',
+    rules: '[]',
+    pushes: '[]',
+    template_enabled: false
+  };
+}
+
 function persistAdminKey(req, res) {
   const key = req.query.key || req.body?.key || res?.locals?.adminKey;
   return key ? `?key=${encodeURIComponent(key)}` : '';
@@ -1052,6 +1071,80 @@ app.get('/admin/logs/:logId', requireAdmin, (req, res) => {
   res.render('admin_log_detail', { log, query: req.query });
 });
 
+// WebSocket endpoints
+app.get('/admin/ws', requireAdmin, (req, res) => {
+  const list = allWsEndpoints();
+  res.render('admin_ws_list', { list, query: req.query });
+});
+
+app.get('/admin/ws/new', requireAdmin, (req, res) => {
+  res.render('admin_ws_edit', {
+    title: 'Create WebSocket Endpoint',
+    endpoint: wsEndpointDefaults(),
+    query: req.query,
+    errorMessage: null
+  });
+});
+
+app.get('/admin/ws/:id/edit', requireAdmin, (req, res) => {
+  const endpoint = getWsEndpoint(req.params.id);
+  if (!endpoint) {
+    return res.status(404).send('Not found');
+  }
+
+  res.render('admin_ws_edit', {
+    title: 'Edit WebSocket Endpoint',
+    endpoint,
+    query: req.query,
+    errorMessage: null
+  });
+});
+
+app.post('/admin/ws/save', requireAdmin, (req, res) => {
+  const body = req.body || {};
+  const payload = {
+    id: body.id || nanoid(12),
+    name: (body.name || '').trim(),
+    description: (body.description || '').trim(),
+    path: (body.path || '').trim(),
+    enabled: ['true', 'on', '1', 'yes'].includes(String(body.enabled).toLowerCase()),
+    on_connect: String(body.on_connect || '[]'),
+    rules: String(body.rules || '[]'),
+    pushes: String(body.pushes || '[]'),
+    template_enabled: ['true', 'on', '1', 'yes'].includes(String(body.template_enabled).toLowerCase())
+  };
+
+  try {
+    if (!payload.path.startsWith('/')) {
+      throw new Error('Path must start with a forward slash.');
+    }
+    upsertWsEndpoint({
+      ...payload,
+      on_connect: JSON.stringify(normalizeWsOnConnect(payload.on_connect)),
+      rules: JSON.stringify(normalizeWsRules(payload.rules)),
+      pushes: JSON.stringify(normalizeWsPushes(payload.pushes))
+    });
+    const keyQuery = persistAdminKey(req, res);
+    return res.redirect(`/admin/ws${keyQuery}`);
+  } catch (err) {
+    const errorMessage = String(err?.message || '').includes('UNIQUE')
+      ? 'Another WebSocket endpoint already uses this path.'
+      : err?.message || 'Failed to save WebSocket endpoint.';
+    return res.status(400).render('admin_ws_edit', {
+      title: body.id ? 'Edit WebSocket Endpoint' : 'Create WebSocket Endpoint',
+      endpoint: { ...payload, id: body.id || '' },
+      query: req.query,
+      errorMessage
+    });
+  }
+});
+
+app.post('/admin/ws/:id/delete', requireAdmin, (req, res) => {
+  deleteWsEndpoint(req.params.id);
+  const keyQuery = persistAdminKey(req, res);
+  res.redirect(`/admin/ws${keyQuery}`);
+});
+
 function buildMcpListFlash(query, servers) {
   const status = query?.status;
   if (!status) {
@@ -0,0 +1,286 @@
+const DATE_UNITS = {
+  years: (date, amount) => date.setUTCFullYear(date.getUTCFullYear() + amount),
+  months: (date, amount) => date.setUTCMonth(date.getUTCMonth() + amount),
+  weeks: (date, amount) => date.setUTCDate(date.getUTCDate() + amount * 7),
+  days: (date, amount) => date.setUTCDate(date.getUTCDate() + amount),
+  hours: (date, amount) => date.setUTCHours(date.getUTCHours() + amount),
+  minutes: (date, amount) => date.setUTCMinutes(date.getUTCMinutes() + amount),
+  seconds: (date, amount) => date.setUTCSeconds(date.getUTCSeconds() + amount),
+};
+
+const DATE_TOKEN_REGEX = /YYYY|MM|DD|HH|mm|ss|SSS/g;
+
+// Handlebars passes its `options` object as the last argument.
+function splitArgs(args) {
+  return { values: args.slice(0, -1), options: args[args.length - 1] };
+}
+
+// Lets comparison helpers work both inline, `{{#if (eq a b)}}`, and as blocks, `{{#eq a b}}…{{else}}…{{/eq}}`.
+function conditional(context, options, result) {
+  if (typeof options?.fn !== 'function') return result;
+  return result ? options.fn(context) : options.inverse(context);
+}
+
+function unwrap(value) {
+  return value && typeof value.toHTML === 'function' ? value.toString() : value;
+}
+
+function toNumber(value, helper) {
+  const number = Number(unwrap(value));
+  if (!Number.isFinite(number)) {
+    throw new Error(`${helper}: "${value}" is not a number`);
+  }
+  return number;
+}
+
+function toDate(value, root, helper) {
+  const source = unwrap(value) ?? root?.now ?? Date.now();
+  const date = typeof source === 'number' ? new Date(source) : new Date(String(source));
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`${helper}: "${source}" is not a valid date`);
+  }
+  return date;
+}
+
+// Tokens: YYYY, MM, DD, HH, mm, ss, SSS (UTC), or the presets "iso", "date", "unix" and "ms".
+export function formatDate(date, format = 'iso') {
+  switch (format) {
+    case 'iso':
+      return date.toISOString();
+    case 'date':
+      return date.toISOString().slice(0, 10);
+    case 'unix':
+      return Math.floor(date.getTime() / 1000);
+    case 'ms':
+      return date.getTime();
+    default: {
+      const pad = (value, length = 2) => String(value).padStart(length, '0');
+      const parts = {
+        YYYY: pad(date.getUTCFullYear(), 4),
+        MM: pad(date.getUTCMonth() + 1),
+        DD: pad(date.getUTCDate()),
+        HH: pad(date.getUTCHours()),
+        mm: pad(date.getUTCMinutes()),
+        ss: pad(date.getUTCSeconds()),
+        SSS: pad(date.getUTCMilliseconds(), 3),
+      };
+      return String(format).replace(DATE_TOKEN_REGEX, (token) => parts[token]);
+    }
+  }
+}
+
+function words(value) {
+  return String(unwrap(value) ?? '')
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean);
+}
+
+const capitalize = (word) => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase();
+
+// Supports `$`, `.key`, `['key']`, `[0]` (negative counts from the end), `*` / `[*]` and `..key`.
+function tokenizeJsonPath(path) {
+  const source = String(path || '').trim();
+  if (!source.startsWith('$')) {
+    throw new Error(`jsonPath: "${source}" must start with $`);
+  }
+  const tokens = [];
+  const tokenRegex = /\.\.([A-Za-z0-9_$-]+|\*)|\.([A-Za-z0-9_$-]+|\*)|\[\s*(?:'([^']*)'|"([^"]*)"|(-?\d+)|(\*))\s*\]/y;
+  tokenRegex.lastIndex = 1;
+  while (tokenRegex.lastIndex < source.length) {
+    const match = tokenRegex.exec(source);
+    if (!match) {
+      throw new Error(`jsonPath: cannot parse "${source}" at position ${tokenRegex.lastIndex}`);
+    }
+    const [, descendant, key, singleQuoted, doubleQuoted, index, wildcard] = match;
+    if (descendant !== undefined) tokens.push({ type: 'descendant', key: descendant });
+    else if (key === '*' || wildcard) tokens.push({ type: 'wildcard' });
+    else if (index !== undefined) tokens.push({ type: 'index', index: Number(index) });
+    else tokens.push({ type: 'key', key: key ?? singleQuoted ?? doubleQuoted });
+  }
+  return tokens;
+}
+
+function childValues(value) {
+  if (Array.isArray(value)) return value;
+  return value && typeof value === 'object' ? Object.values(value) : [];
+}
+
+function descendants(value) {
+  const found = [value];
+  for (const child of childValues(value)) {
+    found.push(...descendants(child));
+  }
+  return found;
+}
+
+function applyJsonPathToken(nodes, token) {
+  const next = [];
+  for (const node of nodes) {
+    if (token.type === 'wildcard') {
+      next.push(...childValues(node));
+    } else if (token.type === 'index') {
+      if (Array.isArray(node)) {
+        const value = node.at(token.index);
+        if (value !== undefined) next.push(value);
+      }
+    } else if (token.type === 'descendant') {
+      for (const candidate of descendants(node)) {
+        if (token.key === '*') next.push(...childValues(candidate));
+        else if (candidate && typeof candidate === 'object' && !Array.isArray(candidate) && Object.hasOwn(candidate, token.key)) {
+          next.push(candidate[token.key]);
+        }
+      }
+    } else if (node && typeof node === 'object' && Object.hasOwn(node, token.key)) {
+      next.push(node[token.key]);
+    }
+  }
+  return next;
+}
+
+// Paths with `*` or `..` return every match as an array; other paths return the single value.
+export function queryJsonPath(value, path) {
+  const tokens = tokenizeJsonPath(path);
+  const matches = tokens.reduce((nodes, token) => applyJsonPathToken(nodes, token), [value]);
+  const multiple = tokens.some((token) => token.type === 'wildcard' || token.type === 'descendant');
+  return multiple ? matches : matches[0];
+}
+
+export function registerTemplateHelpers(handlebars) {
+  const helpers = {
+    // Serializes any value as JSON without HTML escaping; `undefined` becomes `null`.
+    // `{{json value 2}}` pretty-prints.
+    json(...args) {
+      const { values } = splitArgs(args);
+      const [value, indent] = values;
+      const seen = new WeakSet();
+      const serialized = JSON.stringify(
+        unwrap(value) ?? null,
+        (key, item) => {
+          if (typeof item === 'bigint') return item.toString();
+          if (item && typeof item === 'object') {
+            if (seen.has(item)) return '[Circular]';
+            seen.add(item);
+          }
+          return item;
+        },
+        indent === undefined ? undefined : Number(indent)
+      );
+      return new handlebars.SafeString(serialized ?? 'null');
+    },
+
+    eq(...args) {
+      const { values: [a, b], options } = splitArgs(args);
+      return conditional(this, options, unwrap(a) === unwrap(b) || String(unwrap(a)) === String(unwrap(b)));
+    },
+    ne(...args) {
+      const { values: [a, b], options } = splitArgs(args);
+      return conditional(this, options, !(unwrap(a) === unwrap(b) || String(unwrap(a)) === String(unwrap(b))));
+    },
+    gt(...args) {
+      const { values: [a, b], options } = splitArgs(args);
+      return conditional(this, options, toNumber(a, 'gt') > toNumber(b, 'gt'));
+    },
+    gte(...args) {
+      const { values: [a, b], options } = splitArgs(args);
+      return conditional(this, options, toNumber(a, 'gte') >= toNumber(b, 'gte'));
+    },
+    lt(...args) {
+      const { values: [a, b], options } = splitArgs(args);
+      return conditional(this, options, toNumber(a, 'lt') < toNumber(b, 'lt'));
+    },
+    lte(...args) {
+      const { values: [a, b], options } = splitArgs(args);
+      return conditional(this, options, toNumber(a, 'lte') <= toNumber(b, 'lte'));
+    },
+    and(...args) {
+      const { values, options } = splitArgs(args);
+      return conditional(this, options, values.every(Boolean));
+    },
+    or(...args) {
+      const { values, options } = splitArgs(args);
+      return conditional(this, options, values.some(Boolean));
+    },
+    not(value) {
+      return !value;
+    },
+
+    add: (a, b) => toNumber(a, 'add') + toNumber(b, 'add'),
+    subtract: (a, b) => toNumber(a, 'subtract') - toNumber(b, 'subtract'),
+    multiply: (a, b) => toNumber(a, 'multiply') * toNumber(b, 'multiply'),
+    divide(a, b) {
+      const divisor = toNumber(b, 'divide');
+      if (divisor === 0) throw new Error('divide: cannot divide by zero');
+      return toNumber(a, 'divide') / divisor;
+    },
+    mod(a, b) {
+      const divisor = toNumber(b, 'mod');
+      if (divisor === 0) throw new Error('mod: cannot divide by zero');
+      return toNumber(a, 'mod') % divisor;
+    },
+    // `{{round value}}` or `{{round value 2}}` for decimal places.
+    round(...args) {
+      const { values: [value, places = 0] } = splitArgs(args);
+      const factor = 10 ** toNumber(places, 'round');
+      return Math.round(toNumber(value, 'round') * factor) / factor;
+    },
+
+    // `{{formatDate now "YYYY-MM-DD"}}`; the date defaults to `now`.
+    formatDate(...args) {
+      const { values: [value, format], options } = splitArgs(args);
+      return formatDate(toDate(value, options.data?.root, 'formatDate'), format);
+    },
+    // `{{dateAdd now days=7}}`, `{{dateAdd hours=-2 format="unix"}}`; units are
+    // years, months, weeks, days, hours, minutes and seconds.
+    dateAdd(...args) {
+      const { values: [value], options } = splitArgs(args);
+      const { format, ...offsets } = options.hash || {};
+      const date = toDate(value, options.data?.root, 'dateAdd');
+      for (const [unit, amount] of Object.entries(offsets)) {
+        if (!DATE_UNITS[unit]) throw new Error(`dateAdd: unknown unit "${unit}"`);
+        DATE_UNITS[unit](date, toNumber(amount, 'dateAdd'));
+      }
+      return formatDate(date, format);
+    },
+
+    upper: (value) => String(unwrap(value) ?? '').toUpperCase(),
+    lower: (value) => String(unwrap(value) ?? '').toLowerCase(),
+    capitalize: (value) => capitalize(String(unwrap(value) ?? '')),
+    titleCase: (value) => words(value).map(capitalize).join(' '),
+    camelCase: (value) =>
+      words(value)
+        .map((word, index) => (index === 0 ? word.toLowerCase() : capitalize(word)))
+        .join(''),
+    pascalCase: (value) => words(value).map(capitalize).join(''),
+    snakeCase: (value) =>
+      words(value)
+        .map((word) => word.toLowerCase())
+        .join('_'),
+    kebabCase: (value) =>
+      words(value)
+        .map((word) => word.toLowerCase())
+        .join('-'),
+
+    base64Encode: (value) => Buffer.from(String(unwrap(value) ?? ''), 'utf8').toString('base64'),
+    base64Decode: (value) => Buffer.from(String(unwrap(value) ?? ''), 'base64').toString('utf8'),
+
+    // `{{jsonPath "$.items[0].id"}}` reads from `request.json` (the parsed body in the legacy
+    // runtime); `{{jsonPath someObject "$.id"}}` reads from any value. Wrap objects in `json`.
+    jsonPath(...args) {
+      const { values, options } = splitArgs(args);
+      const root = options.data?.root || {};
+      const [source, path] = values.length > 1 ? values : [root.request ? root.request.json : root.body, values[0]];
+      return queryJsonPath(unwrap(source), unwrap(path));
+    },
+  };
+
+  for (const [name, helper] of Object.entries(helpers)) {
+    handlebars.registerHelper(name, helper);
+  }
+}
+
+export default {
+  formatDate,
+  queryJsonPath,
+  registerTemplateHelpers,
+};
@@ -1,26 +1,50 @@
 import Handlebars from 'handlebars';
 
+import { registerDatasetHelpers } from './dataset-helpers.js';
+import { registerFakeHelpers } from './fake-helpers.js';
+import { registerTemplateHelpers } from './template-helpers.js';
+
+registerTemplateHelpers(Handlebars);
+registerFakeHelpers(Handlebars);
+registerDatasetHelpers(Handlebars);
+
 const templateCache = new Map();
 
-function compileTemplate(source) {
+// Template data may carry a project's partials under this key. Symbol keys survive
+// `{ ...context }` copies but are never visible to the template itself.
+export const TEMPLATE_PARTIALS = Symbol.for('mock.templatePartials');
+
+// `noEscape` skips HTML escaping, for output that is not a response body (header values, status codes).
+function compileTemplate(source, { noEscape = false } = {}) {
   const key = String(source ?? '');
   if (!key) {
     return () => '';
   }
 
-  if (!templateCache.has(key)) {
-    templateCache.set(key, Handlebars.compile(key));
+  const cacheKey = `${noEscape ? 'raw' : 'html'}:${key}`;
+  if (!templateCache.has(cacheKey)) {
+    templateCache.set(cacheKey, Handlebars.compile(key, { noEscape }));
   }
 
-  return templateCache.get(key);
+  return templateCache.get(cacheKey);
+}
+
+// Partials are passed per render rather than registered globally, since each project has its own.
+function compilePartials(partials, options) {
+  if (!partials) return undefined;
+  return Object.fromEntries(
+    Object.entries(partials).map(([name, source]) => [name, compileTemplate(source, options)])
+  );
 }
 
-export function renderTemplate(source, data) {
-  const template = compileTemplate(source);
-  return template(data || {});
+export function renderTemplate(source, data, options) {
+  const template = compileTemplate(source, options);
+  const partials = compilePartials(data?.[TEMPLATE_PARTIALS], options);
+  return template(data || {}, partials ? { partials } : undefined);
 }
 
 export default {
+  TEMPLATE_PARTIALS,
   compileTemplate,
   renderTemplate
 };
@@ -0,0 +1,241 @@
+import { WebSocketServer } from 'ws';
+import { nanoid } from 'nanoid';
+import { allWsEndpoints } from './db.js';
+import { renderTemplate } from './templates.js';
+import { pathToRegex } from './router-runtime.js';
+
+export const WS_MATCH_MODES = ['exact', 'contains', 'regex'];
+
+const MIN_PUSH_INTERVAL_MS = 100;
+// Frames above this size close the connection (1009) before they reach a script.
+const MAX_WS_PAYLOAD_BYTES = 64 * 1024;
+// Regex rules come from tenants, so they only run against messages up to this length.
+const MAX_REGEX_INPUT_LENGTH = 4096;
+
+function parseScriptList(value, label) {
+  if (value === undefined || value === null || value === '') return [];
+
+  let parsed = value;
+  if (typeof value === 'string') {
+    try {
+      parsed = JSON.parse(value);
+    } catch {
+      throw new Error(`${label} must contain valid JSON`);
+    }
+  }
+  if (!Array.isArray(parsed)) {
+    throw new Error(`${label} must be an array`);
+  }
+  return parsed.map((item, index) => {
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+      throw new Error(`${label} entry ${index + 1} must be an object`);
+    }
+    return item;
+  });
+}
+
+function coerceDelay(value, label) {
+  const delay = Number(value ?? 0);
+  if (!Number.isFinite(delay) || delay < 0) {
+    throw new Error(`${label}: delay_ms must be zero or greater`);
+  }
+  return delay;
+}
+
+function coerceMessage(value) {
+  if (value === undefined || value === null) return '';
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+// [{ message, delay_ms }] sent once, in order, right after the client connects.
+export function normalizeWsOnConnect(value) {
+  return parseScriptList(value, 'On-connect messages').map((step, index) => ({
+    message: coerceMessage(step.message),
+    delay_ms: coerceDelay(step.delay_ms, `On-connect message ${index + 1}`)
+  }));
+}
+
+// [{ match, pattern, reply, delay_ms }]; the first rule matching an incoming message replies.
+export function normalizeWsRules(value) {
+  return parseScriptList(value, 'Reply rules').map((rule, index) => {
+    const label = `Reply rule ${index + 1}`;
+    const match = rule.match || 'exact';
+    if (!WS_MATCH_MODES.includes(match)) {
+      throw new Error(`${label}: match must be exact, contains or regex`);
+    }
+    const pattern = String(rule.pattern ?? '');
+    if (match === 'regex') {
+      try {
+        new RegExp(pattern);
+      } catch {
+        throw new Error(`${label}: pattern is not a valid regular expression`);
+      }
+    }
+    return {
+      match,
+      pattern,
+      reply: coerceMessage(rule.reply),
+      delay_ms: coerceDelay(rule.delay_ms, label)
+    };
+  });
+}
+
+// [{ message, interval_ms }] pushed repeatedly for as long as the connection stays open.
+export function normalizeWsPushes(value) {
+  return parseScriptList(value, 'Periodic pushes').map((push, index) => {
+    const interval = Number(push.interval_ms);
+    if (!Number.isFinite(interval) || interval < MIN_PUSH_INTERVAL_MS) {
+      throw new Error(`Periodic push ${index + 1}: interval_ms must be at least ${MIN_PUSH_INTERVAL_MS}`);
+    }
+    return { message: coerceMessage(push.message), interval_ms: interval };
+  });
+}
+
+function buildMatcher(rule) {
+  if (rule.match === 'regex') {
+    const regex = new RegExp(rule.pattern);
+    return (text) => (text.length <= MAX_REGEX_INPUT_LENGTH ? text.match(regex) : null);
+  }
+  if (rule.match === 'contains') {
+    return (text) => (text.includes(rule.pattern) ? [rule.pattern] : null);
+  }
+  return (text) => (text === rule.pattern ? [text] : null);
+}
+
+function safeParse(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
+
+export function matchWsEndpoint(pathname) {
+  for (const endpoint of allWsEndpoints()) {
+    if (!endpoint.enabled) continue;
+    const { regex, keys } = pathToRegex(endpoint.path);
+    const m = pathname.match(regex);
+    if (m) {
+      const params = keys.reduce((acc, k, i) => (acc[k] = m[i + 1], acc), {});
+      return { endpoint, params };
+    }
+  }
+  return null;
+}
+
+// Plays an endpoint's script on one connection. Scripts are read (and their regex rules
+// compiled) when the client connects, so edits apply to new connections only.
+function runScript(socket, endpoint, baseContext) {
+  const onConnect = normalizeWsOnConnect(endpoint.on_connect);
+  const rules = normalizeWsRules(endpoint.rules).map((rule) => ({ ...rule, test: buildMatcher(rule) }));
+  const pushes = normalizeWsPushes(endpoint.pushes);
+  const timers = new Set();
+  const intervals = new Set();
+  let received = 0;
+
+  const send = (source, extra = {}) => {
+    if (socket.readyState !== socket.OPEN) return;
+    try {
+      const text = endpoint.template_enabled
+        ? renderTemplate(source, { ...baseContext, ...extra, now: new Date().toISOString() })
+        : source;
+      socket.send(text);
+    } catch (err) {
+      console.error(`[WS] ${endpoint.path} template failed`, err?.message || err);
+      socket.close(1011, 'Template error');
+    }
+  };
+
+  const later = (fn, delay) => {
+    const timer = setTimeout(() => {
+      timers.delete(timer);
+      fn();
+    }, delay || 0);
+    timers.add(timer);
+  };
+
+  onConnect.forEach((step) => later(() => send(step.message), step.delay_ms));
+
+  pushes.forEach((push) => {
+    let count = 0;
+    intervals.add(setInterval(() => {
+      count += 1;
+      send(push.message, { push: { count } });
+    }, push.interval_ms));
+  });
+
+  socket.on('message', (data) => {
+    received += 1;
+    const text = data.toString();
+    for (const rule of rules) {
+      const match = rule.test(text);
+      if (!match) continue;
+      const message = { text, json: safeParse(text), match: [...match], count: received };
+      later(() => send(rule.reply, { message }), rule.delay_ms);
+      break;
+    }
+  });
+
+  socket.on('close', () => {
+    timers.forEach(clearTimeout);
+    intervals.forEach(clearInterval);
+    timers.clear();
+    intervals.clear();
+  });
+}
+
+function rejectUpgrade(socket, status, reason) {
+  socket.write(`HTTP/1.1 ${status} ${reason}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`);
+  socket.destroy();
+}
+
+// Serves the configured WebSocket endpoints on an existing http.Server by handling its
+// `upgrade` requests. Upgrades for unknown paths are answered with 404.
+export function attachWebSocketRuntime(server) {
+  const wss = new WebSocketServer({ noServer: true, maxPayload: MAX_WS_PAYLOAD_BYTES });
+
+  server.on('upgrade', (req, socket, head) => {
+    let match;
+    let url;
+    try {
+      url = new URL(req.url, 'http://localhost');
+      match = matchWsEndpoint(url.pathname);
+    } catch (err) {
+      console.error('[WS] Failed to resolve endpoint', err?.message || err);
+      return rejectUpgrade(socket, 500, 'Internal Server Error');
+    }
+    if (!match) return rejectUpgrade(socket, 404, 'Not Found');
+
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      // A broken connection only ends itself; without a listener the error would bring down the server.
+      ws.on('error', (err) => {
+        console.error(`[WS] ${match.endpoint.path} connection error`, err?.message || err);
+        ws.terminate();
+      });
+      const context = {
+        params: match.params,
+        query: Object.fromEntries(url.searchParams),
+        headers: req.headers || {},
+        connection: { id: nanoid(12) }
+      };
+      try {
+        runScript(ws, match.endpoint, context);
+      } catch (err) {
+        // Stored scripts are validated on save; this only guards against hand-edited rows.
+        console.error(`[WS] ${match.endpoint.path} has an invalid script`, err?.message || err);
+        ws.close(1011, 'Invalid mock script');
+      }
+    });
+  });
+
+  return wss;
+}
+
+export default {
+  WS_MATCH_MODES,
+  normalizeWsOnConnect,
+  normalizeWsRules,
+  normalizeWsPushes,
+  matchWsEndpoint,
+  attachWebSocketRuntime
+};
@@ -0,0 +1,27 @@
+import http from 'http';
+import { fileURLToPath } from 'url';
+import { attachWebSocketRuntime } from './ws-runtime.js';
+
+// Standalone mode: serves only the WebSocket mocks, without the admin UI or HTTP mocks.
+// Endpoints are read from the same database, so they are still managed from /admin/ws.
+const DEFAULT_PORT = process.env.WS_PORT || 3001;
+
+export function startWsServer(options = {}) {
+  const { port = DEFAULT_PORT } = options;
+  const server = http.createServer((req, res) => {
+    res.writeHead(426, { 'Content-Type': 'text/plain', Upgrade: 'websocket' });
+    res.end('This server only accepts WebSocket connections.');
+  });
+  attachWebSocketRuntime(server);
+  server.listen(port, () => {
+    console.log(`[WS] Mock WebSocket server listening on port ${port}`);
+  });
+  return server;
+}
+
+const isDirectExecution = process.argv[1] === fileURLToPath(import.meta.url);
+if (isDirectExecution) {
+  startWsServer();
+}
+
+export default startWsServer;
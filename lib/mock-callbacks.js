@@ -0,0 +1,164 @@
+import { lookup } from 'node:dns/promises';
+import { BlockList } from 'node:net';
+
+import { renderTemplate } from '../gui-mock-api/templates.js';
+
+export const CALLBACK_METHODS = ['POST', 'PUT', 'PATCH', 'GET', 'DELETE'];
+export const MAX_CALLBACK_DELAY_MS = 10 * 60 * 1000;
+
+const CALLBACK_TIMEOUT_MS = 15000;
+
+// Loopback, private, link-local (cloud metadata), shared, multicast and reserved ranges.
+// Callbacks go to the URL a tenant typed, so they may not reach the server's own network
+// unless ALLOW_PRIVATE_CALLBACKS=true (e.g. for local development).
+const BLOCKED_CALLBACK_ADDRESSES = new BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.168.0.0', 16],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4],
+].forEach(([address, prefix]) => BLOCKED_CALLBACK_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8],
+].forEach(([address, prefix]) => BLOCKED_CALLBACK_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function normalizeCallback(callback, index) {
+  if (!isPlainObject(callback)) {
+    throw new Error(`Callback ${index + 1} must be an object`);
+  }
+
+  const url = String(callback.url ?? '').trim();
+  if (!url) {
+    throw new Error(`Callback ${index + 1}: url is required`);
+  }
+  // URLs may contain templates, so only the scheme is checked here.
+  if (!/^https?:\/\//i.test(url)) {
+    throw new Error(`Callback ${index + 1}: url must start with http:// or https://`);
+  }
+
+  const method = String(callback.method || 'POST').trim().toUpperCase();
+  if (!CALLBACK_METHODS.includes(method)) {
+    throw new Error(`Callback ${index + 1}: unsupported method`);
+  }
+
+  const delayMs = Number(callback.delayMs ?? 0);
+  if (Number.isNaN(delayMs) || delayMs < 0 || delayMs > MAX_CALLBACK_DELAY_MS) {
+    throw new Error(`Callback ${index + 1}: delayMs must be between 0 and ${MAX_CALLBACK_DELAY_MS}`);
+  }
+
+  if (callback.headers !== undefined && callback.headers !== null && !isPlainObject(callback.headers)) {
+    throw new Error(`Callback ${index + 1}: headers must be an object`);
+  }
+
+  const name = callback.name === undefined || callback.name === null ? '' : String(callback.name).trim();
+  return {
+    name: name || `Callback ${index + 1}`,
+    method,
+    url,
+    headers: callback.headers || {},
+    body: callback.body === undefined || callback.body === null ? '' : String(callback.body),
+    delayMs,
+  };
+}
+
+// Accepts an array (or its JSON string) of `{ name, method, url, headers, body, delayMs }`.
+export function normalizeCallbacks(value) {
+  if (value === undefined || value === null || value === '') {
+    return [];
+  }
+
+  let parsed = value;
+  if (typeof value === 'string') {
+    try {
+      parsed = JSON.parse(value);
+    } catch {
+      throw new Error('Callbacks must contain valid JSON');
+    }
+  }
+  if (!Array.isArray(parsed)) {
+    throw new Error('Callbacks must be an array');
+  }
+  return parsed.map(normalizeCallback);
+}
+
+// Resolves the callback host and refuses it when any of its addresses is blocked.
+async function assertPublicCallbackUrl(url) {
+  if (process.env.ALLOW_PRIVATE_CALLBACKS === 'true') return;
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  const addresses = await lookup(hostname, { all: true });
+  const blocked = addresses.find(({ address, family }) =>
+    BLOCKED_CALLBACK_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4')
+  );
+  if (blocked) {
+    throw new Error(`${hostname} resolves to ${blocked.address}, which callbacks may not reach`);
+  }
+}
+
+async function fireCallback(callback, context) {
+  // URLs and header values are not HTML, so they render without escaping.
+  const url = new URL(renderTemplate(callback.url, context, { noEscape: true }).trim());
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new Error(`${url.protocol} callbacks are not supported`);
+  }
+  await assertPublicCallbackUrl(url);
+
+  const headers = {};
+  for (const [key, value] of Object.entries(callback.headers || {})) {
+    headers[key] = renderTemplate(String(value), context, { noEscape: true });
+  }
+  const body = callback.method === 'GET' ? undefined : renderTemplate(callback.body, context);
+  if (body && !Object.keys(headers).some((key) => key.toLowerCase() === 'content-type')) {
+    headers['content-type'] = 'application/json';
+  }
+
+  const response = await fetch(url, {
+    method: callback.method,
+    headers,
+    body: body || undefined,
+    signal: AbortSignal.timeout(CALLBACK_TIMEOUT_MS),
+    // A redirect could point at an address the check above refuses.
+    redirect: 'manual',
+  });
+  if (response.status >= 300 && response.status < 400) {
+    throw new Error(`${callback.method} ${url} redirected to ${response.headers.get('location') || 'an unknown location'}, which is not followed`);
+  }
+  if (!response.ok) {
+    throw new Error(`${callback.method} ${url} responded with ${response.status}`);
+  }
+}
+
+// Fires the route's callbacks in the background once their delay elapses. Templates render
+// with the request context plus `response` (the status and body that were served).
+export function scheduleCallbacks(route, context) {
+  const callbacks = Array.isArray(route?.callbacks) ? route.callbacks : [];
+  callbacks.forEach((callback) => {
+    const timer = setTimeout(() => {
+      fireCallback(callback, context).catch((err) => {
+        console.error(`Mock route ${route.id} callback "${callback.name}" failed`, err?.message || err);
+      });
+    }, callback.delayMs || 0);
+    // Pending callbacks must not keep the process alive on shutdown.
+    timer.unref?.();
+  });
+  return callbacks.length;
+}
+
+export default {
+  CALLBACK_METHODS,
+  MAX_CALLBACK_DELAY_MS,
+  normalizeCallbacks,
+  scheduleCallbacks,
+};
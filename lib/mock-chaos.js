@@ -0,0 +1,151 @@
+export const LATENCY_MODES = ['none', 'uniform', 'normal'];
+
+const DEFAULT_ERROR_BODY = '{\n  "error": "Injected failure"\n}';
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function toPercent(value, label) {
+  const numeric = Number(value ?? 0);
+  if (Number.isNaN(numeric) || numeric < 0 || numeric > 100) {
+    throw new Error(`${label} must be a percentage between 0 and 100`);
+  }
+  return numeric;
+}
+
+function toMilliseconds(value, label) {
+  const numeric = Number(value ?? 0);
+  if (Number.isNaN(numeric) || numeric < 0) {
+    throw new Error(`${label} must be zero or greater`);
+  }
+  return Math.round(numeric);
+}
+
+// Rates are percentages (0–100). Returns null when chaos is not configured.
+export function normalizeChaosSettings(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  let parsed = value;
+  if (typeof value === 'string') {
+    try {
+      parsed = JSON.parse(value);
+    } catch {
+      throw new Error('Chaos settings must contain valid JSON');
+    }
+  }
+  if (!isPlainObject(parsed)) {
+    throw new Error('Chaos settings must be an object');
+  }
+
+  const errorStatus = Number(parsed.errorStatus ?? 500);
+  if (!Number.isInteger(errorStatus) || errorStatus < 100 || errorStatus > 599) {
+    throw new Error('Chaos error status must be a valid HTTP status code');
+  }
+
+  const latency = isPlainObject(parsed.latency) ? parsed.latency : {};
+  const latencyMode = latency.mode || 'none';
+  if (!LATENCY_MODES.includes(latencyMode)) {
+    throw new Error('Chaos latency mode must be none, uniform or normal');
+  }
+  const minMs = toMilliseconds(latency.minMs, 'Minimum latency');
+  const maxMs = toMilliseconds(latency.maxMs, 'Maximum latency');
+  if (latencyMode === 'uniform' && maxMs < minMs) {
+    throw new Error('Maximum latency must be greater than or equal to the minimum');
+  }
+
+  return {
+    enabled: parsed.enabled === true || parsed.enabled === 'true',
+    errorRate: toPercent(parsed.errorRate, 'Error rate'),
+    errorStatus,
+    errorBody: parsed.errorBody === undefined || parsed.errorBody === null ? DEFAULT_ERROR_BODY : String(parsed.errorBody),
+    dropRate: toPercent(parsed.dropRate, 'Dropped connection rate'),
+    truncateRate: toPercent(parsed.truncateRate, 'Truncated body rate'),
+    latency: {
+      mode: latencyMode,
+      minMs,
+      maxMs,
+      meanMs: toMilliseconds(latency.meanMs, 'Mean latency'),
+      stdDevMs: toMilliseconds(latency.stdDevMs, 'Latency standard deviation'),
+    },
+  };
+}
+
+// Enabled route settings replace the project's; otherwise the project's apply.
+export function resolveChaosSettings(route, project) {
+  if (route?.chaos?.enabled) return route.chaos;
+  if (project?.chaos?.enabled) return project.chaos;
+  return null;
+}
+
+function roll(percent, random) {
+  return percent > 0 && random() * 100 < percent;
+}
+
+function sampleNormal(mean, stdDev, random) {
+  // Box–Muller transform
+  const u = 1 - random();
+  const v = random();
+  return mean + stdDev * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+function sampleLatency(latency, random) {
+  switch (latency?.mode) {
+    case 'uniform':
+      return Math.round(latency.minMs + random() * (latency.maxMs - latency.minMs));
+    case 'normal':
+      return Math.max(0, Math.round(sampleNormal(latency.meanMs, latency.stdDevMs, random)));
+    default:
+      return 0;
+  }
+}
+
+// Decides, for one request, which faults to inject.
+export function rollChaos(settings, random = Math.random) {
+  if (!settings?.enabled) {
+    return { delayMs: 0, drop: false, error: null, truncate: false };
+  }
+  const drop = roll(settings.dropRate, random);
+  const error = !drop && roll(settings.errorRate, random)
+    ? { status: settings.errorStatus, body: settings.errorBody }
+    : null;
+  return {
+    delayMs: sampleLatency(settings.latency, random),
+    drop,
+    error,
+    truncate: !drop && !error && roll(settings.truncateRate, random),
+  };
+}
+
+// A body stream that fails before sending anything, so the client sees the connection die.
+export function createDroppedStream() {
+  return new ReadableStream({
+    start(controller) {
+      controller.error(new Error('Connection dropped by chaos settings'));
+    },
+  });
+}
+
+// Sends roughly half of the body and then aborts the stream mid-response.
+export function createTruncatedStream(bytes) {
+  const cutoff = Math.max(0, Math.floor(bytes.length / 2));
+  return new ReadableStream({
+    start(controller) {
+      if (cutoff > 0) {
+        controller.enqueue(bytes.subarray(0, cutoff));
+      }
+      controller.error(new Error('Body truncated by chaos settings'));
+    },
+  });
+}
+
+export default {
+  LATENCY_MODES,
+  normalizeChaosSettings,
+  resolveChaosSettings,
+  rollChaos,
+  createDroppedStream,
+  createTruncatedStream,
+};
@@ -0,0 +1,174 @@
+export const CORS_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS', 'HEAD'];
+export const DEFAULT_CORS_MAX_AGE_SECONDS = 600;
+
+const HEADER_NAME_REGEX = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function parseSettings(value, label) {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    throw new Error(`${label} must contain valid JSON`);
+  }
+}
+
+// Accepts an array or a comma/newline separated string.
+function toList(value) {
+  if (value === undefined || value === null) return [];
+  const items = Array.isArray(value) ? value : String(value).split(/[,\n]/);
+  return items.map((item) => String(item).trim()).filter(Boolean);
+}
+
+function normalizeOrigin(origin) {
+  if (origin === '*') return origin;
+  let url;
+  try {
+    url = new URL(origin);
+  } catch {
+    throw new Error(`Allowed origin "${origin}" must be * or a full origin such as https://app.example.com`);
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new Error(`Allowed origin "${origin}" must use http or https`);
+  }
+  return url.origin;
+}
+
+function normalizeHeaderNames(value, label) {
+  return toList(value).map((name) => {
+    if (!HEADER_NAME_REGEX.test(name)) {
+      throw new Error(`${label}: "${name}" is not a valid header name`);
+    }
+    return name.toLowerCase();
+  });
+}
+
+// `{ enabled, allowedOrigins, allowedMethods, allowedHeaders, exposedHeaders, allowCredentials, maxAgeSeconds }`
+// An empty allowedHeaders list echoes whatever the preflight asks for.
+export function normalizeCorsSettings(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const parsed = parseSettings(value, 'CORS settings');
+  if (!isPlainObject(parsed)) {
+    throw new Error('CORS settings must be an object');
+  }
+
+  const enabled = parsed.enabled === true || parsed.enabled === 'true';
+  const allowedOrigins = [...new Set(toList(parsed.allowedOrigins).map(normalizeOrigin))];
+  if (enabled && allowedOrigins.length === 0) {
+    throw new Error('Add at least one allowed origin (or *) to enable CORS');
+  }
+
+  const allowedMethods = toList(parsed.allowedMethods).map((method) => method.toUpperCase());
+  const unknownMethod = allowedMethods.find((method) => !CORS_METHODS.includes(method));
+  if (unknownMethod) {
+    throw new Error(`Unsupported CORS method ${unknownMethod}`);
+  }
+
+  const maxAgeSeconds = Number(parsed.maxAgeSeconds ?? DEFAULT_CORS_MAX_AGE_SECONDS);
+  if (!Number.isInteger(maxAgeSeconds) || maxAgeSeconds < 0) {
+    throw new Error('CORS max age must be a whole number of seconds');
+  }
+
+  return {
+    enabled,
+    allowedOrigins,
+    allowedMethods: allowedMethods.length ? [...new Set(allowedMethods)] : CORS_METHODS,
+    allowedHeaders: normalizeHeaderNames(parsed.allowedHeaders, 'Allowed headers'),
+    exposedHeaders: normalizeHeaderNames(parsed.exposedHeaders, 'Exposed headers'),
+    allowCredentials: parsed.allowCredentials === true || parsed.allowCredentials === 'true',
+    maxAgeSeconds,
+  };
+}
+
+// `{ 'Header-Name': 'value' }` added to every mock response of the project.
+export function normalizeDefaultHeaders(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const parsed = parseSettings(value, 'Default headers');
+  if (!isPlainObject(parsed)) {
+    throw new Error('Default headers must be an object');
+  }
+
+  const headers = {};
+  for (const [name, headerValue] of Object.entries(parsed)) {
+    const trimmed = name.trim();
+    if (!HEADER_NAME_REGEX.test(trimmed)) {
+      throw new Error(`Default headers: "${name}" is not a valid header name`);
+    }
+    if (/[\r\n]/.test(String(headerValue ?? ''))) {
+      throw new Error(`Default headers: the value of ${trimmed} cannot contain line breaks`);
+    }
+    headers[trimmed] = String(headerValue ?? '');
+  }
+  return Object.keys(headers).length ? headers : null;
+}
+
+export function isPreflightRequest(request) {
+  return (
+    request.method === 'OPTIONS' &&
+    request.headers.has('origin') &&
+    request.headers.has('access-control-request-method')
+  );
+}
+
+// The value for Access-Control-Allow-Origin, or null when the origin is not allowed.
+// Credentialed requests cannot use `*`, so the caller's origin is echoed instead.
+function resolveAllowedOrigin(cors, origin) {
+  if (!cors?.enabled || !origin) return null;
+  if (cors.allowedOrigins.includes('*')) {
+    return cors.allowCredentials ? origin : '*';
+  }
+  return cors.allowedOrigins.includes(origin) ? origin : null;
+}
+
+// Headers answering a browser preflight for the project. Disallowed origins only get `vary`,
+// so the browser blocks the actual request.
+export function buildPreflightHeaders(cors, request) {
+  const headers = new Headers({ vary: 'Origin, Access-Control-Request-Method, Access-Control-Request-Headers' });
+  const allowedOrigin = resolveAllowedOrigin(cors, request.headers.get('origin'));
+  if (allowedOrigin) {
+    headers.set('access-control-allow-origin', allowedOrigin);
+    headers.set('access-control-allow-methods', cors.allowedMethods.join(', '));
+    const requestedHeaders = request.headers.get('access-control-request-headers');
+    const allowedHeaders = cors.allowedHeaders.length ? cors.allowedHeaders.join(', ') : requestedHeaders;
+    if (allowedHeaders) headers.set('access-control-allow-headers', allowedHeaders);
+    if (cors.allowCredentials) headers.set('access-control-allow-credentials', 'true');
+    headers.set('access-control-max-age', String(cors.maxAgeSeconds));
+  }
+  return headers;
+}
+
+// Merges the project's default headers (route headers win) and CORS headers into a mock response.
+export function applyProjectHeaders(response, project, request) {
+  for (const [name, value] of Object.entries(project?.defaultHeaders || {})) {
+    if (!response.headers.has(name)) response.headers.set(name, value);
+  }
+
+  const cors = project?.cors;
+  const allowedOrigin = resolveAllowedOrigin(cors, request.headers.get('origin'));
+  if (!allowedOrigin) return response;
+
+  response.headers.set('access-control-allow-origin', allowedOrigin);
+  response.headers.append('vary', 'Origin');
+  if (cors.allowCredentials) response.headers.set('access-control-allow-credentials', 'true');
+  if (cors.exposedHeaders.length) response.headers.set('access-control-expose-headers', cors.exposedHeaders.join(', '));
+  return response;
+}
+
+export default {
+  CORS_METHODS,
+  DEFAULT_CORS_MAX_AGE_SECONDS,
+  normalizeCorsSettings,
+  normalizeDefaultHeaders,
+  isPreflightRequest,
+  buildPreflightHeaders,
+  applyProjectHeaders,
+};
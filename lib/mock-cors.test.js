@@ -0,0 +1,86 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import {
+  CORS_METHODS,
+  applyProjectHeaders,
+  buildPreflightHeaders,
+  isPreflightRequest,
+  normalizeCorsSettings,
+  normalizeDefaultHeaders,
+} from './mock-cors.js';
+
+function preflight(origin, headers = {}) {
+  return new Request('http://localhost/users', {
+    method: 'OPTIONS',
+    headers: { origin, 'access-control-request-method': 'POST', ...headers },
+  });
+}
+
+test('normalizeCorsSettings reads lists and reduces origins to their origin', () => {
+  const cors = normalizeCorsSettings({
+    enabled: true,
+    allowedOrigins: 'https://app.example.com/path, http://localhost:5173',
+    allowedHeaders: ['X-Trace-Id'],
+  });
+  assert.deepEqual(cors.allowedOrigins, ['https://app.example.com', 'http://localhost:5173']);
+  assert.deepEqual(cors.allowedMethods, CORS_METHODS);
+  assert.deepEqual(cors.allowedHeaders, ['x-trace-id']);
+  assert.equal(cors.maxAgeSeconds, 600);
+});
+
+test('normalizeCorsSettings rejects unusable settings', () => {
+  assert.throws(() => normalizeCorsSettings({ enabled: true }), /at least one allowed origin/);
+  assert.throws(() => normalizeCorsSettings({ allowedOrigins: 'ftp://files.example.com' }), /http or https/);
+  assert.throws(() => normalizeCorsSettings({ allowedMethods: 'TRACE' }), /Unsupported CORS method TRACE/);
+  assert.throws(() => normalizeCorsSettings({ allowedHeaders: 'bad header' }), /not a valid header name/);
+  assert.throws(() => normalizeCorsSettings('{'), /valid JSON/);
+});
+
+test('normalizeDefaultHeaders refuses header injection', () => {
+  assert.deepEqual(normalizeDefaultHeaders({ ' X-Env ': 'demo' }), { 'X-Env': 'demo' });
+  assert.equal(normalizeDefaultHeaders({}), null);
+  assert.throws(() => normalizeDefaultHeaders({ 'X-Env': 'a\r\nSet-Cookie: x' }), /line breaks/);
+});
+
+test('preflights are OPTIONS requests with an origin and a requested method', () => {
+  assert.equal(isPreflightRequest(preflight('https://app.example.com')), true);
+  assert.equal(isPreflightRequest(new Request('http://localhost/users', { method: 'OPTIONS' })), false);
+});
+
+test('allowed origins get the full preflight answer', () => {
+  const cors = normalizeCorsSettings({ enabled: true, allowedOrigins: 'https://app.example.com', allowedMethods: 'GET,POST' });
+  const headers = buildPreflightHeaders(cors, preflight('https://app.example.com', { 'access-control-request-headers': 'x-a' }));
+  assert.equal(headers.get('access-control-allow-origin'), 'https://app.example.com');
+  assert.equal(headers.get('access-control-allow-methods'), 'GET, POST');
+  assert.equal(headers.get('access-control-allow-headers'), 'x-a');
+  assert.equal(headers.get('access-control-max-age'), '600');
+});
+
+test('disallowed origins only get vary', () => {
+  const cors = normalizeCorsSettings({ enabled: true, allowedOrigins: 'https://app.example.com' });
+  const headers = buildPreflightHeaders(cors, preflight('https://evil.example.com'));
+  assert.equal(headers.get('access-control-allow-origin'), null);
+  assert.match(headers.get('vary'), /Origin/);
+});
+
+test('credentialed wildcards echo the caller origin', () => {
+  const cors = normalizeCorsSettings({ enabled: true, allowedOrigins: '*', allowCredentials: true });
+  const headers = buildPreflightHeaders(cors, preflight('https://app.example.com'));
+  assert.equal(headers.get('access-control-allow-origin'), 'https://app.example.com');
+  assert.equal(headers.get('access-control-allow-credentials'), 'true');
+});
+
+test('applyProjectHeaders adds default headers without overriding the route', () => {
+  const project = {
+    defaultHeaders: { 'x-env': 'demo', 'cache-control': 'no-store' },
+    cors: normalizeCorsSettings({ enabled: true, allowedOrigins: '*', exposedHeaders: 'x-total-count' }),
+  };
+  const response = new Response('{}', { headers: { 'cache-control': 'max-age=60' } });
+  const request = new Request('http://localhost/users', { headers: { origin: 'https://app.example.com' } });
+  applyProjectHeaders(response, project, request);
+  assert.equal(response.headers.get('x-env'), 'demo');
+  assert.equal(response.headers.get('cache-control'), 'max-age=60');
+  assert.equal(response.headers.get('access-control-allow-origin'), '*');
+  assert.equal(response.headers.get('access-control-expose-headers'), 'x-total-count');
+});
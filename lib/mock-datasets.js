@@ -0,0 +1,192 @@
+import prisma from './prisma.js';
+
+export const DATASET_FORMATS = ['json', 'csv'];
+export const MAX_DATASET_ROWS = 10000;
+
+const DATASET_NAME_REGEX = /^[A-Za-z][A-Za-z0-9_-]{0,63}$/;
+// A dataset helper called with a literal name, e.g. `findRow "customers"`; the quotes may be
+// JSON-escaped when the template sits inside a stored JSON column.
+const DATASET_REFERENCE_REGEX = /\b(?:dataset|findRow|filterRows|randomRow|randomRows)\s+\\?["']([A-Za-z][A-Za-z0-9_-]{0,63})\\?["']/g;
+
+// Listings never read the rows themselves.
+export const DATASET_SUMMARY_SELECT = {
+  id: true,
+  projectId: true,
+  name: true,
+  description: true,
+  rowCount: true,
+  columns: true,
+  createdAt: true,
+  updatedAt: true,
+};
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+export function normalizeDatasetName(value) {
+  const name = String(value ?? '').trim();
+  if (!DATASET_NAME_REGEX.test(name)) {
+    throw new Error('Dataset name must start with a letter and use only letters, numbers, dashes or underscores');
+  }
+  return name;
+}
+
+// RFC 4180 style: comma separated, double-quoted cells may contain commas, quotes ("") and newlines.
+function parseCsvRecords(text) {
+  const records = [];
+  let record = [];
+  let cell = '';
+  let quoted = false;
+  for (let index = 0; index < text.length; index += 1) {
+    const char = text[index];
+    if (quoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        cell += '"';
+        index += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') index += 1;
+      record.push(cell);
+      records.push(record);
+      record = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (quoted) {
+    throw new Error('CSV has an unterminated quoted cell');
+  }
+  if (cell !== '' || record.length) {
+    record.push(cell);
+    records.push(record);
+  }
+  return records.filter((row) => row.some((value) => value !== ''));
+}
+
+// The first row names the columns; every cell stays a string.
+export function parseCsvDataset(text) {
+  const [header, ...records] = parseCsvRecords(String(text ?? '').replace(/^\uFEFF/, ''));
+  if (!header) {
+    throw new Error('CSV must start with a header row');
+  }
+  const columns = header.map((column) => column.trim());
+  if (columns.some((column) => !column)) {
+    throw new Error('CSV header cells must not be empty');
+  }
+  return records.map((record, index) => {
+    if (record.length > columns.length) {
+      throw new Error(`CSV row ${index + 2} has more cells than the header`);
+    }
+    return Object.fromEntries(columns.map((column, columnIndex) => [column, record[columnIndex] ?? '']));
+  });
+}
+
+export function parseJsonDataset(value) {
+  let parsed = value;
+  if (typeof value === 'string') {
+    try {
+      parsed = JSON.parse(value);
+    } catch {
+      throw new Error('Dataset must contain valid JSON');
+    }
+  }
+  if (!Array.isArray(parsed) || parsed.some((row) => !isPlainObject(row))) {
+    throw new Error('A JSON dataset must be an array of objects');
+  }
+  return parsed;
+}
+
+// `{ name, format: 'json' | 'csv', content }`; JSON content may also be sent as an array.
+// Only the fields present in `body` are returned, so the result works for both create and update.
+export function normalizeDatasetInput(body, { partial = false } = {}) {
+  const data = {};
+  const has = (key) => Object.prototype.hasOwnProperty.call(body || {}, key);
+  if (!partial || has('name')) data.name = normalizeDatasetName(body?.name);
+  if (has('description')) data.description = String(body.description ?? '').trim() || null;
+  if (!partial || has('content')) {
+    const format = String(body?.format || 'json').toLowerCase();
+    if (!DATASET_FORMATS.includes(format)) {
+      throw new Error(`Dataset format must be one of ${DATASET_FORMATS.join(', ')}`);
+    }
+    const rows = format === 'csv' ? parseCsvDataset(body?.content) : parseJsonDataset(body?.content);
+    if (rows.length > MAX_DATASET_ROWS) {
+      throw new Error(`Datasets are limited to ${MAX_DATASET_ROWS} rows`);
+    }
+    data.rows = rows;
+    data.rowCount = rows.length;
+    data.columns = listColumns(rows);
+  }
+  return data;
+}
+
+// Columns are taken from the first rows, which is enough to describe uploaded fixtures.
+function listColumns(rows) {
+  const columns = new Set();
+  for (const row of rows.slice(0, 50)) {
+    Object.keys(row || {}).forEach((column) => columns.add(column));
+  }
+  return [...columns];
+}
+
+// A dataset without its rows, for listings.
+export function summarizeDataset(dataset) {
+  return {
+    id: dataset.id,
+    projectId: dataset.projectId,
+    name: dataset.name,
+    description: dataset.description,
+    rowCount: dataset.rowCount ?? 0,
+    columns: Array.isArray(dataset.columns) ? dataset.columns : [],
+    createdAt: dataset.createdAt,
+    updatedAt: dataset.updatedAt,
+  };
+}
+
+// Dataset names the given templates (strings or JSON values holding them) pass to a helper.
+export function collectDatasetNames(...sources) {
+  const names = new Set();
+  for (const source of sources) {
+    if (source === undefined || source === null) continue;
+    const text = typeof source === 'string' ? source : JSON.stringify(source);
+    for (const match of text.matchAll(DATASET_REFERENCE_REGEX)) {
+      names.add(match[1]);
+    }
+  }
+  return [...names];
+}
+
+// `{ customers: [...] }` with only the datasets the templates name, read once per request.
+// Returns null when the templates use no dataset.
+export async function loadTemplateDatasets(projectId, ...sources) {
+  const names = collectDatasetNames(...sources);
+  if (!projectId || names.length === 0) return null;
+  const datasets = await prisma.projectDataset.findMany({
+    where: { projectId, name: { in: names } },
+    select: { name: true, rows: true },
+  });
+  return Object.fromEntries(datasets.map((dataset) => [dataset.name, Array.isArray(dataset.rows) ? dataset.rows : []]));
+}
+
+export default {
+  DATASET_FORMATS,
+  MAX_DATASET_ROWS,
+  DATASET_SUMMARY_SELECT,
+  normalizeDatasetName,
+  parseCsvDataset,
+  parseJsonDataset,
+  normalizeDatasetInput,
+  summarizeDataset,
+  collectDatasetNames,
+  loadTemplateDatasets,
+};
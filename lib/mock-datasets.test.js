@@ -0,0 +1,74 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import {
+  MAX_DATASET_ROWS,
+  collectDatasetNames,
+  normalizeDatasetInput,
+  normalizeDatasetName,
+  parseCsvDataset,
+  parseJsonDataset,
+  summarizeDataset,
+} from './mock-datasets.js';
+
+test('CSV rows are keyed by the header and keep every cell a string', () => {
+  assert.deepEqual(parseCsvDataset('\uFEFFid, name ,active\r\n1,Ada,true\r\n2,Grace,\r\n'), [
+    { id: '1', name: 'Ada', active: 'true' },
+    { id: '2', name: 'Grace', active: '' },
+  ]);
+});
+
+test('quoted CSV cells may hold commas, quotes and newlines', () => {
+  assert.deepEqual(parseCsvDataset('id,note\n1,"a, ""quoted""\nnote"\n'), [{ id: '1', note: 'a, "quoted"\nnote' }]);
+});
+
+test('short CSV rows are padded and blank lines skipped', () => {
+  assert.deepEqual(parseCsvDataset('id,name\n\n1\n'), [{ id: '1', name: '' }]);
+});
+
+test('malformed CSV is rejected', () => {
+  assert.throws(() => parseCsvDataset(''), /header row/);
+  assert.throws(() => parseCsvDataset('id,\n1,2'), /header cells must not be empty/);
+  assert.throws(() => parseCsvDataset('id\n1,2'), /row 2 has more cells/);
+  assert.throws(() => parseCsvDataset('id\n"1'), /unterminated quoted cell/);
+});
+
+test('JSON datasets must be arrays of objects', () => {
+  assert.deepEqual(parseJsonDataset('[{"id":1}]'), [{ id: 1 }]);
+  assert.deepEqual(parseJsonDataset([{ id: 2 }]), [{ id: 2 }]);
+  assert.throws(() => parseJsonDataset('{"id":1}'), /array of objects/);
+  assert.throws(() => parseJsonDataset('[1]'), /array of objects/);
+  assert.throws(() => parseJsonDataset('['), /valid JSON/);
+});
+
+test('dataset names start with a letter', () => {
+  assert.equal(normalizeDatasetName(' customers_v2 '), 'customers_v2');
+  assert.throws(() => normalizeDatasetName('2024-sales'), /start with a letter/);
+});
+
+test('normalizeDatasetInput parses content and records its size and columns', () => {
+  assert.deepEqual(normalizeDatasetInput({ name: 'customers', format: 'CSV', content: 'id,name\n1,Ada' }), {
+    name: 'customers',
+    rows: [{ id: '1', name: 'Ada' }],
+    rowCount: 1,
+    columns: ['id', 'name'],
+  });
+  assert.deepEqual(normalizeDatasetInput({ description: ' Fixtures ' }, { partial: true }), { description: 'Fixtures' });
+  assert.throws(() => normalizeDatasetInput({ name: 'x', format: 'xml', content: '' }), /one of json, csv/);
+
+  const tooMany = Array.from({ length: MAX_DATASET_ROWS + 1 }, (_, index) => ({ id: index }));
+  assert.throws(() => normalizeDatasetInput({ name: 'big', content: tooMany }), /limited to/);
+});
+
+test('summaries leave the rows out', () => {
+  const summary = summarizeDataset({ id: 1, projectId: 2, name: 'customers', rows: [{}], rowCount: 1, columns: ['id'] });
+  assert.equal(summary.rows, undefined);
+  assert.equal(summary.rowCount, 1);
+  assert.deepEqual(summary.columns, ['id']);
+});
+
+test('collectDatasetNames finds literal names passed to dataset helpers', () => {
+  const body = '{{#each (filterRows (dataset "products") "category" "books")}}{{/each}} {{findRow \'customers\' "id" 1}}';
+  const stored = { ok: '{{randomRow "orders"}}' };
+  assert.deepEqual(collectDatasetNames(body, stored, null, '{{dataset name}}'), ['products', 'customers', 'orders']);
+});
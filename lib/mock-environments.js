@@ -0,0 +1,128 @@
+import prisma from './prisma.js';
+import { normalizeUpstreamBaseUrl } from './mock-proxy.js';
+
+// Clients pick an environment with this header or a leading `@<name>` path segment,
+// e.g. `/m/payments/@demo/users` or `/@demo/users`.
+export const ENVIRONMENT_HEADER = 'x-mock-env';
+
+const ENVIRONMENT_NAME_REGEX = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+const ENVIRONMENT_SEGMENT_REGEX = /^\/@([^/]+)(\/.*)?$/;
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+export function normalizeEnvironmentName(value) {
+  const name = String(value ?? '').trim().toLowerCase();
+  if (!ENVIRONMENT_NAME_REGEX.test(name)) {
+    throw new Error('Environment name must be 1–32 lowercase letters, numbers, dashes or underscores');
+  }
+  return name;
+}
+
+// `{ key: value }` overrides for route variables; values are stored as strings like MockRouteVar.
+export function normalizeEnvironmentVariables(value) {
+  if (value === undefined || value === null || value === '') {
+    return {};
+  }
+
+  let parsed = value;
+  if (typeof value === 'string') {
+    try {
+      parsed = JSON.parse(value);
+    } catch {
+      throw new Error('Environment variables must contain valid JSON');
+    }
+  }
+  if (!isPlainObject(parsed)) {
+    throw new Error('Environment variables must be an object of key/value pairs');
+  }
+
+  const variables = {};
+  for (const [key, variableValue] of Object.entries(parsed)) {
+    const trimmed = key.trim();
+    if (!trimmed) continue;
+    variables[trimmed] =
+      typeof variableValue === 'string' ? variableValue : JSON.stringify(variableValue ?? null);
+  }
+  return variables;
+}
+
+function normalizeDelayOverride(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const delay = Number(value);
+  if (!Number.isInteger(delay) || delay < 0) {
+    throw new Error('Environment response delay must be a whole number of milliseconds');
+  }
+  return delay;
+}
+
+// Only the fields present in `body` are returned, so the result works for both create and update.
+export function normalizeEnvironmentInput(body, { partial = false } = {}) {
+  const data = {};
+  const has = (key) => Object.prototype.hasOwnProperty.call(body || {}, key);
+  if (!partial || has('name')) data.name = normalizeEnvironmentName(body?.name);
+  if (has('description')) data.description = String(body.description ?? '').trim() || null;
+  if (has('variables')) data.variables = normalizeEnvironmentVariables(body.variables);
+  if (has('upstreamBaseUrl')) data.upstreamBaseUrl = normalizeUpstreamBaseUrl(body.upstreamBaseUrl);
+  if (has('responseDelayMs')) data.responseDelayMs = normalizeDelayOverride(body.responseDelayMs);
+  return data;
+}
+
+// The environment a request asks for, and the path with any `@<name>` segment removed.
+// The path segment wins over the header, but only names an environment the project defines;
+// any other leading `@` segment (`/@me`) stays part of the route path.
+export async function readRequestedEnvironment(request, path, projectId, client = prisma) {
+  const match = ENVIRONMENT_SEGMENT_REGEX.exec(path || '');
+  if (match && projectId) {
+    const name = match[1].toLowerCase();
+    const environment = await client.projectEnvironment.findUnique({
+      where: { projectId_name: { projectId, name } },
+      select: { id: true },
+    });
+    if (environment) {
+      return { name, path: match[2] || '/' };
+    }
+  }
+  const header = request.headers.get(ENVIRONMENT_HEADER)?.trim().toLowerCase();
+  return { name: header || null, path };
+}
+
+export async function findProjectEnvironment(projectId, name) {
+  if (!projectId || !name) return null;
+  const environment = await prisma.projectEnvironment.findUnique({
+    where: { projectId_name: { projectId, name } },
+  });
+  if (!environment) {
+    throw Object.assign(new Error(`Unknown environment "${name}"`), { status: 404 });
+  }
+  return environment;
+}
+
+// Route variables with the environment's overrides applied.
+export function applyEnvironmentVariables(vars, environment) {
+  if (!isPlainObject(environment?.variables)) return vars;
+  return { ...vars, ...environment.variables };
+}
+
+// The project as seen from an environment: its upstream base URL may be overridden.
+export function applyEnvironmentToProject(project, environment) {
+  if (!project || !environment?.upstreamBaseUrl) return project;
+  return { ...project, upstreamBaseUrl: environment.upstreamBaseUrl };
+}
+
+export function resolveEnvironmentDelay(delayMs, environment) {
+  return environment?.responseDelayMs ?? delayMs;
+}
+
+export default {
+  ENVIRONMENT_HEADER,
+  normalizeEnvironmentName,
+  normalizeEnvironmentVariables,
+  normalizeEnvironmentInput,
+  readRequestedEnvironment,
+  findProjectEnvironment,
+  applyEnvironmentVariables,
+  applyEnvironmentToProject,
+  resolveEnvironmentDelay,
+};
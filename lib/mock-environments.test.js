@@ -0,0 +1,88 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import {
+  applyEnvironmentToProject,
+  applyEnvironmentVariables,
+  normalizeEnvironmentInput,
+  normalizeEnvironmentName,
+  normalizeEnvironmentVariables,
+  readRequestedEnvironment,
+  resolveEnvironmentDelay,
+} from './mock-environments.js';
+
+// Answers environment lookups for project 1, which defines `demo` and `staging`.
+const environmentClient = {
+  projectEnvironment: {
+    async findUnique({ where }) {
+      const { projectId, name } = where.projectId_name;
+      return projectId === 1 && ['demo', 'staging'].includes(name) ? { id: name.length } : null;
+    },
+  },
+};
+
+function request(headers = {}) {
+  return new Request('http://localhost/users', { headers });
+}
+
+test('environment names are lowercase slugs', () => {
+  assert.equal(normalizeEnvironmentName(' Demo '), 'demo');
+  assert.throws(() => normalizeEnvironmentName('-demo'), /lowercase letters/);
+  assert.throws(() => normalizeEnvironmentName('a'.repeat(33)), /1–32/);
+});
+
+test('environment variables are stored as strings', () => {
+  assert.deepEqual(normalizeEnvironmentVariables('{"plan":"pro","seats":5,"flags":{"beta":true}," ":1}'), {
+    plan: 'pro',
+    seats: '5',
+    flags: '{"beta":true}',
+  });
+  assert.deepEqual(normalizeEnvironmentVariables(''), {});
+  assert.throws(() => normalizeEnvironmentVariables('[1]'), /object of key\/value pairs/);
+});
+
+test('partial input only carries the fields that were sent', () => {
+  assert.deepEqual(normalizeEnvironmentInput({ responseDelayMs: '250' }, { partial: true }), { responseDelayMs: 250 });
+  assert.deepEqual(normalizeEnvironmentInput({ name: 'Demo', responseDelayMs: '' }), { name: 'demo', responseDelayMs: null });
+  assert.throws(() => normalizeEnvironmentInput({ name: 'demo', responseDelayMs: 1.5 }), /whole number/);
+});
+
+test('an @ segment naming a project environment is stripped from the path', async () => {
+  assert.deepEqual(await readRequestedEnvironment(request(), '/@Demo/users', 1, environmentClient), {
+    name: 'demo',
+    path: '/users',
+  });
+  assert.deepEqual(await readRequestedEnvironment(request(), '/@staging', 1, environmentClient), {
+    name: 'staging',
+    path: '/',
+  });
+});
+
+test('other @ segments stay part of the path', async () => {
+  assert.deepEqual(await readRequestedEnvironment(request(), '/@me', 1, environmentClient), { name: null, path: '/@me' });
+  assert.deepEqual(await readRequestedEnvironment(request(), '/@demo/users', null, environmentClient), {
+    name: null,
+    path: '/@demo/users',
+  });
+});
+
+test('the header names the environment unless the path does', async () => {
+  const withHeader = request({ 'x-mock-env': ' Staging ' });
+  assert.deepEqual(await readRequestedEnvironment(withHeader, '/users', 1, environmentClient), {
+    name: 'staging',
+    path: '/users',
+  });
+  assert.deepEqual(await readRequestedEnvironment(withHeader, '/@demo/users', 1, environmentClient), {
+    name: 'demo',
+    path: '/users',
+  });
+});
+
+test('environment overrides replace project values', () => {
+  const environment = { variables: { plan: 'pro' }, upstreamBaseUrl: 'https://staging.example.com', responseDelayMs: 0 };
+  assert.deepEqual(applyEnvironmentVariables({ plan: 'free', region: 'eu' }, environment), { plan: 'pro', region: 'eu' });
+  assert.deepEqual(applyEnvironmentVariables({ plan: 'free' }, null), { plan: 'free' });
+  assert.equal(applyEnvironmentToProject({ id: 1, upstreamBaseUrl: null }, environment).upstreamBaseUrl, 'https://staging.example.com');
+  assert.equal(resolveEnvironmentDelay(500, environment), 0);
+  assert.equal(resolveEnvironmentDelay(500, { responseDelayMs: null }), 500);
+});
@@ -0,0 +1,288 @@
+import {
+  GraphQLError,
+  Kind,
+  buildSchema,
+  execute,
+  getOperationAST,
+  isAbstractType,
+  isEnumType,
+  isListType,
+  isNonNullType,
+  isObjectType,
+  parse,
+  specifiedRules,
+  validate,
+} from 'graphql';
+
+import { renderTemplate } from '../gui-mock-api/templates.js';
+
+export const DEFAULT_GRAPHQL_PATH = '/graphql';
+export const MOCK_LIST_LENGTH = 2;
+// Every mocked list doubles the work below it, so operations are limited in nesting and size
+// (fragments counted where they are spread). Both leave room for the introspection query.
+export const MAX_QUERY_DEPTH = 15;
+export const MAX_QUERY_FIELDS = 500;
+
+const RESOLVER_KEY_REGEX = /^([A-Za-z_][A-Za-z0-9_]*)\.([A-Za-z_][A-Za-z0-9_]*)$/;
+
+const schemaCache = new Map();
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function loadSchema(sdl) {
+  if (!schemaCache.has(sdl)) {
+    schemaCache.set(sdl, buildSchema(sdl));
+  }
+  return schemaCache.get(sdl);
+}
+
+function normalizeGraphqlPath(value) {
+  const path = String(value || DEFAULT_GRAPHQL_PATH).trim().replace(/\/+$/, '');
+  if (!path.startsWith('/')) {
+    throw new Error('GraphQL path must start with /');
+  }
+  return path || DEFAULT_GRAPHQL_PATH;
+}
+
+function normalizeResolvers(value, schema) {
+  if (value === undefined || value === null) return {};
+  if (!isPlainObject(value)) {
+    throw new Error('GraphQL resolvers must be an object of "Type.field" templates');
+  }
+
+  const resolvers = {};
+  for (const [key, template] of Object.entries(value)) {
+    const match = RESOLVER_KEY_REGEX.exec(key.trim());
+    if (!match) {
+      throw new Error(`Resolver "${key}" must be written as Type.field`);
+    }
+    const type = schema.getType(match[1]);
+    if (!isObjectType(type) || !type.getFields()[match[2]]) {
+      throw new Error(`Resolver "${key}" does not match a field in the schema`);
+    }
+    resolvers[key.trim()] = template === undefined || template === null ? '' : String(template);
+  }
+  return resolvers;
+}
+
+// `{ enabled, path, sdl, resolvers: { 'Type.field': '<template>' } }`
+export function normalizeGraphqlSettings(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  let parsed = value;
+  if (typeof value === 'string') {
+    try {
+      parsed = JSON.parse(value);
+    } catch {
+      throw new Error('GraphQL settings must contain valid JSON');
+    }
+  }
+  if (!isPlainObject(parsed)) {
+    throw new Error('GraphQL settings must be an object');
+  }
+
+  const enabled = parsed.enabled === true || parsed.enabled === 'true';
+  const sdl = String(parsed.sdl ?? '').trim();
+  if (!sdl) {
+    if (enabled) {
+      throw new Error('Upload a GraphQL schema (SDL) to enable the GraphQL endpoint');
+    }
+    return { enabled: false, path: normalizeGraphqlPath(parsed.path), sdl: '', resolvers: {} };
+  }
+
+  let schema;
+  try {
+    schema = loadSchema(sdl);
+  } catch (err) {
+    throw new Error(`Invalid GraphQL schema: ${err.message}`);
+  }
+  if (!schema.getQueryType()) {
+    throw new Error('GraphQL schema must define a Query type');
+  }
+
+  return {
+    enabled,
+    path: normalizeGraphqlPath(parsed.path),
+    sdl,
+    resolvers: normalizeResolvers(parsed.resolvers, schema),
+  };
+}
+
+export function isGraphqlRequest(settings, { method, path }) {
+  if (!settings?.enabled || !settings.sdl) return false;
+  if (method !== 'GET' && method !== 'POST') return false;
+  return path.replace(/\/+$/, '') === settings.path;
+}
+
+// Reads `{ query, variables, operationName }` from a POST JSON body or from GET query parameters.
+export function readGraphqlRequest({ method, query, jsonBody }) {
+  const source = method === 'GET' ? query || {} : jsonBody;
+  if (!isPlainObject(source) || typeof source.query !== 'string' || !source.query.trim()) {
+    throw Object.assign(new Error('Request must include a GraphQL query'), { status: 400 });
+  }
+
+  let variables = source.variables ?? null;
+  if (typeof variables === 'string') {
+    try {
+      variables = variables ? JSON.parse(variables) : null;
+    } catch {
+      throw Object.assign(new Error('GraphQL variables must be valid JSON'), { status: 400 });
+    }
+  }
+  if (variables !== null && !isPlainObject(variables)) {
+    throw Object.assign(new Error('GraphQL variables must be an object'), { status: 400 });
+  }
+
+  return { query: source.query, variables, operationName: source.operationName || null };
+}
+
+// One-based position of the closest list item above this field, so list entries get distinct values.
+function listPosition(path) {
+  for (let current = path; current; current = current.prev) {
+    if (typeof current.key === 'number') return current.key + 1;
+  }
+  return 1;
+}
+
+function mockValue(type, info, position) {
+  if (isNonNullType(type)) return mockValue(type.ofType, info, position);
+  if (isListType(type)) {
+    return Array.from({ length: MOCK_LIST_LENGTH }, (_, index) => mockValue(type.ofType, info, index + 1));
+  }
+  if (isEnumType(type)) return type.getValues()[0]?.value ?? null;
+  // Child fields of objects are mocked by their own resolvers.
+  if (isObjectType(type) || isAbstractType(type)) return {};
+
+  switch (type.name) {
+    case 'ID':
+      return `${info.parentType.name.toLowerCase()}-${position}`;
+    case 'Int':
+      return position;
+    case 'Float':
+      return position + 0.5;
+    case 'Boolean':
+      return position % 2 === 1;
+    default:
+      return `${info.fieldName} ${position}`;
+  }
+}
+
+function renderResolver(template, context) {
+  // The field value is JSON, not HTML, so quotes and ampersands are left as they are.
+  const rendered = renderTemplate(template, context, { noEscape: true });
+  try {
+    return JSON.parse(rendered);
+  } catch {
+    return rendered;
+  }
+}
+
+// `{ depth, fields }` of a selection set; a fragment is measured once, however often it is spread.
+function measureSelections(selectionSet, fragments, measured, visiting) {
+  const size = { depth: 0, fields: 0 };
+  for (const selection of selectionSet?.selections || []) {
+    let child;
+    if (selection.kind === Kind.FIELD) {
+      const nested = measureSelections(selection.selectionSet, fragments, measured, visiting);
+      child = { depth: nested.depth + 1, fields: nested.fields + 1 };
+    } else if (selection.kind === Kind.INLINE_FRAGMENT) {
+      child = measureSelections(selection.selectionSet, fragments, measured, visiting);
+    } else {
+      child = measureFragment(selection.name.value, fragments, measured, visiting);
+    }
+    size.depth = Math.max(size.depth, child.depth);
+    size.fields += child.fields;
+  }
+  return size;
+}
+
+function measureFragment(name, fragments, measured, visiting) {
+  // Unknown and cyclic fragments are reported by the standard rules.
+  if (!fragments.has(name) || visiting.has(name)) return { depth: 0, fields: 0 };
+  if (!measured.has(name)) {
+    visiting.add(name);
+    measured.set(name, measureSelections(fragments.get(name).selectionSet, fragments, measured, visiting));
+    visiting.delete(name);
+  }
+  return measured.get(name);
+}
+
+function queryLimitsRule(context) {
+  const fragments = new Map(
+    context
+      .getDocument()
+      .definitions.filter((definition) => definition.kind === Kind.FRAGMENT_DEFINITION)
+      .map((definition) => [definition.name.value, definition])
+  );
+  const measured = new Map();
+  return {
+    OperationDefinition(node) {
+      const { depth, fields } = measureSelections(node.selectionSet, fragments, measured, new Set());
+      if (depth > MAX_QUERY_DEPTH) {
+        context.reportError(new GraphQLError(`Operation is nested ${depth} levels deep; the limit is ${MAX_QUERY_DEPTH}`, { nodes: [node] }));
+      } else if (fields > MAX_QUERY_FIELDS) {
+        context.reportError(new GraphQLError(`Operation selects ${fields} fields; the limit is ${MAX_QUERY_FIELDS}`, { nodes: [node] }));
+      }
+    },
+  };
+}
+
+// Runs a GraphQL operation against the project's schema. Fields with a resolver template render it
+// (JSON output becomes the field value); other fields read the parent value or get a generated one.
+// Introspection is answered by graphql-js itself.
+export async function executeGraphqlMock(settings, { query, variables, operationName, method, context }) {
+  const schema = loadSchema(settings.sdl);
+
+  let document;
+  try {
+    document = parse(query);
+  } catch (err) {
+    return { status: 400, body: { errors: [err instanceof GraphQLError ? err.toJSON() : { message: err.message }] } };
+  }
+  const validationErrors = validate(schema, document, [...specifiedRules, queryLimitsRule]);
+  if (validationErrors.length) {
+    return { status: 400, body: { errors: validationErrors.map((error) => error.toJSON()) } };
+  }
+
+  const operation = getOperationAST(document, operationName);
+  if (method === 'GET' && operation?.operation !== 'query') {
+    return { status: 405, body: { errors: [{ message: 'Only queries can be sent with GET' }] } };
+  }
+
+  const resolvers = settings.resolvers || {};
+  const result = await execute({
+    schema,
+    document,
+    variableValues: variables,
+    operationName,
+    fieldResolver: (source, args, _context, info) => {
+      const template = resolvers[`${info.parentType.name}.${info.fieldName}`];
+      if (template !== undefined) {
+        return renderResolver(template, { ...context, args, parent: source });
+      }
+      if (isPlainObject(source) && Object.prototype.hasOwnProperty.call(source, info.fieldName)) {
+        return source[info.fieldName];
+      }
+      return mockValue(info.returnType, info, listPosition(info.path));
+    },
+    typeResolver: (value, _context, info, abstractType) =>
+      value?.__typename || info.schema.getPossibleTypes(abstractType)[0]?.name,
+  });
+
+  return { status: 200, body: result };
+}
+
+export default {
+  DEFAULT_GRAPHQL_PATH,
+  MOCK_LIST_LENGTH,
+  MAX_QUERY_DEPTH,
+  MAX_QUERY_FIELDS,
+  normalizeGraphqlSettings,
+  isGraphqlRequest,
+  readGraphqlRequest,
+  executeGraphqlMock,
+};
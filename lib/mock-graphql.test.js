@@ -0,0 +1,114 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import {
+  MAX_QUERY_DEPTH,
+  executeGraphqlMock,
+  isGraphqlRequest,
+  normalizeGraphqlSettings,
+  readGraphqlRequest,
+} from './mock-graphql.js';
+
+const SDL = `
+  type Query {
+    user(id: ID!): User
+    users: [User!]!
+  }
+
+  type Mutation {
+    rename(name: String!): User
+  }
+
+  type User {
+    id: ID!
+    name: String
+    active: Boolean
+    friends: [User]
+  }
+`;
+
+function settings(resolvers = {}) {
+  return normalizeGraphqlSettings({ enabled: true, path: '/graphql/', sdl: SDL, resolvers });
+}
+
+// The body as a client receives it, serialized to JSON.
+async function run(query, { resolvers, variables = null, method = 'POST', context = {} } = {}) {
+  const { status, body } = await executeGraphqlMock(settings(resolvers), { query, variables, operationName: null, method, context });
+  return { status, body: JSON.parse(JSON.stringify(body)) };
+}
+
+test('normalizeGraphqlSettings validates the schema and resolver keys', () => {
+  assert.equal(settings().path, '/graphql');
+  assert.equal(normalizeGraphqlSettings({ enabled: false }).enabled, false);
+  assert.throws(() => normalizeGraphqlSettings({ enabled: true }), /Upload a GraphQL schema/);
+  assert.throws(() => normalizeGraphqlSettings({ sdl: 'type Query {' }), /Invalid GraphQL schema/);
+  assert.throws(() => normalizeGraphqlSettings({ sdl: 'type User { id: ID }' }), /Query type/);
+  assert.throws(() => settings({ user: '{}' }), /Type.field/);
+  assert.throws(() => settings({ 'Query.missing': '{}' }), /does not match a field/);
+});
+
+test('only GET and POST to the configured path are GraphQL requests', () => {
+  assert.equal(isGraphqlRequest(settings(), { method: 'POST', path: '/graphql' }), true);
+  assert.equal(isGraphqlRequest(settings(), { method: 'GET', path: '/graphql/' }), true);
+  assert.equal(isGraphqlRequest(settings(), { method: 'PUT', path: '/graphql' }), false);
+  assert.equal(isGraphqlRequest({ ...settings(), enabled: false }, { method: 'POST', path: '/graphql' }), false);
+});
+
+test('readGraphqlRequest reads GET query parameters and rejects bad variables', () => {
+  assert.deepEqual(readGraphqlRequest({ method: 'GET', query: { query: '{ users { id } }', variables: '{"a":1}' } }), {
+    query: '{ users { id } }',
+    variables: { a: 1 },
+    operationName: null,
+  });
+  assert.throws(() => readGraphqlRequest({ method: 'POST', jsonBody: {} }), (err) => err.status === 400);
+  assert.throws(
+    () => readGraphqlRequest({ method: 'POST', jsonBody: { query: '{ users { id } }', variables: '[1]' } }),
+    /must be an object/
+  );
+});
+
+test('fields without resolvers get generated values', async () => {
+  const { status, body } = await run('{ users { id name active } }');
+  assert.equal(status, 200);
+  assert.deepEqual(body.data.users, [
+    { id: 'user-1', name: 'name 1', active: true },
+    { id: 'user-2', name: 'name 2', active: false },
+  ]);
+});
+
+test('resolver templates render JSON with args and are not HTML escaped', async () => {
+  const { body } = await run('{ user(id: "7") { id name friends { id } } }', {
+    resolvers: { 'Query.user': '{ "id": "{{args.id}}", "name": "Tom & \\"Jerry\\"" }' },
+  });
+  assert.deepEqual(body.data.user, { id: '7', name: 'Tom & "Jerry"', friends: [{ id: 'user-1' }, { id: 'user-2' }] });
+});
+
+test('invalid queries are answered with 400', async () => {
+  assert.equal((await run('{ users { id')).status, 400);
+  const { status, body } = await run('{ users { missing } }');
+  assert.equal(status, 400);
+  assert.match(body.errors[0].message, /Cannot query field "missing"/);
+});
+
+test('mutations cannot be sent with GET', async () => {
+  const { status } = await run('mutation { rename(name: "x") { id } }', { method: 'GET' });
+  assert.equal(status, 405);
+});
+
+test('deeply nested operations are refused before execution', async () => {
+  let selection = 'id';
+  for (let level = 0; level < MAX_QUERY_DEPTH; level += 1) {
+    selection = `friends { ${selection} }`;
+  }
+  const { status, body } = await run(`{ users { ${selection} } }`);
+  assert.equal(status, 400);
+  assert.match(body.errors[0].message, /levels deep/);
+});
+
+test('fragments count toward the field limit wherever they are spread', async () => {
+  const fields = Array.from({ length: 40 }, (_, index) => `f${index}: id`).join(' ');
+  const spreads = Array.from({ length: 20 }, (_, index) => `u${index}: users { ...Fields }`).join(' ');
+  const { status, body } = await run(`fragment Fields on User { ${fields} } { ${spreads} }`);
+  assert.equal(status, 400);
+  assert.match(body.errors[0].message, /fields; the limit is/);
+});
@@ -0,0 +1,145 @@
+import { randomBytes } from 'node:crypto';
+import { resolveTxt } from 'node:dns/promises';
+
+import prisma from './prisma.js';
+import { getMockBaseUrl } from './url-utils.js';
+
+// Every project's routes are also served under `/m/<slug>/...`.
+export const NAMESPACE_PREFIX = '/m';
+
+const SLUG_REGEX = /^[a-z0-9](?:[a-z0-9-]{0,46}[a-z0-9])?$/;
+const HOSTNAME_REGEX = /^(?=.{1,253}$)[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?(?:\.[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?)*$/;
+const NAMESPACED_PATH_REGEX = /^\/m\/([^/]+)(\/.*)?$/;
+// A mock host serves requests only once its DNS has `<label>.<host> TXT "<value prefix><token>"`.
+const MOCK_HOST_TXT_LABEL = '_mock-verify';
+const MOCK_HOST_TXT_PREFIX = 'mock-verify=';
+
+export function slugify(value) {
+  return String(value || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 40)
+    .replace(/-+$/, '');
+}
+
+// A random suffix keeps generated slugs unique without a lookup; users can rename them later.
+export function generateProjectSlug(name) {
+  return `${slugify(name) || 'project'}-${randomBytes(3).toString('hex')}`;
+}
+
+export function normalizeProjectSlug(value) {
+  const slug = String(value ?? '').trim().toLowerCase();
+  if (!SLUG_REGEX.test(slug)) {
+    throw new Error('Slug must be 1–48 lowercase letters, numbers or dashes, and cannot start or end with a dash');
+  }
+  return slug;
+}
+
+function hostnameOf(value) {
+  return String(value || '')
+    .split(',')[0]
+    .trim()
+    .toLowerCase()
+    .replace(/:\d+$/, '')
+    .replace(/\.$/, '');
+}
+
+// A hostname (no scheme or port) that serves the project's routes at the root path.
+// The dashboard's own host is refused, since it would capture every mock request.
+export function normalizeMockHost(value) {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return null;
+  }
+  const host = hostnameOf(value);
+  if (!HOSTNAME_REGEX.test(host)) {
+    throw new Error('Mock host must be a hostname such as payments.mock.example.com');
+  }
+  if (host === new URL(getMockBaseUrl()).hostname) {
+    throw new Error('Mock host cannot be the dashboard host; use a dedicated subdomain');
+  }
+  return host;
+}
+
+// Route paths under `/m/` would be hidden by a project namespace with the same slug.
+export function isNamespacedPath(path) {
+  return path === NAMESPACE_PREFIX || String(path || '').startsWith(`${NAMESPACE_PREFIX}/`);
+}
+
+export function generateMockHostToken() {
+  return randomBytes(16).toString('hex');
+}
+
+// The TXT record that proves the project owner controls the mock host.
+export function mockHostVerificationRecord(project) {
+  if (!project?.mockHost || !project.mockHostToken) return null;
+  return {
+    name: `${MOCK_HOST_TXT_LABEL}.${project.mockHost}`,
+    value: `${MOCK_HOST_TXT_PREFIX}${project.mockHostToken}`,
+  };
+}
+
+// Looks up the project's verification TXT record; lookup failures count as unverified.
+export async function verifyMockHost(project) {
+  const record = mockHostVerificationRecord(project);
+  if (!record) return false;
+  try {
+    const entries = await resolveTxt(record.name);
+    return entries.some((chunks) => chunks.join('') === record.value);
+  } catch {
+    return false;
+  }
+}
+
+export function parseNamespacedPath(path) {
+  const match = NAMESPACED_PATH_REGEX.exec(path || '');
+  if (!match) return null;
+  return { slug: match[1].toLowerCase(), path: match[2] || '/' };
+}
+
+export function buildNamespacedPath(project, path = '/') {
+  const suffix = path.startsWith('/') ? path : `/${path}`;
+  return `${NAMESPACE_PREFIX}/${project.slug}${suffix === '/' ? '' : suffix}`;
+}
+
+// X-Forwarded-Host can be set by any client, so it is only read when TRUST_PROXY=true says
+// a reverse proxy in front of the app overwrites it.
+function requestHostname(request) {
+  const forwardedHost = process.env.TRUST_PROXY === 'true' ? request.headers.get('x-forwarded-host') : null;
+  return hostnameOf(forwardedHost || request.headers.get('host'));
+}
+
+// The project a request is addressed to by its (verified) Host header or `/m/<slug>` prefix,
+// and the path inside that project. Returns null for requests outside any namespace.
+export async function resolveProjectNamespace(request, path) {
+  const hostname = requestHostname(request);
+  if (hostname) {
+    const project = await prisma.project.findUnique({ where: { mockHost: hostname } });
+    if (project?.mockHostVerifiedAt) {
+      return { project, path, via: 'host' };
+    }
+  }
+
+  const namespaced = parseNamespacedPath(path);
+  if (!namespaced) return null;
+  // Unknown slugs fall through, so existing routes under `/m/...` keep working.
+  const project = await prisma.project.findUnique({ where: { slug: namespaced.slug } });
+  return project ? { project, path: namespaced.path, via: 'slug' } : null;
+}
+
+export default {
+  NAMESPACE_PREFIX,
+  slugify,
+  generateProjectSlug,
+  normalizeProjectSlug,
+  normalizeMockHost,
+  isNamespacedPath,
+  generateMockHostToken,
+  mockHostVerificationRecord,
+  verifyMockHost,
+  parseNamespacedPath,
+  buildNamespacedPath,
+  resolveProjectNamespace,
+};
@@ -0,0 +1,257 @@
+export const PAGINATION_STYLES = ['page', 'offset', 'cursor'];
+export const PAGINATION_SOURCES = ['body', 'var'];
+
+const QUERY_PARAM_REGEX = /^[A-Za-z0-9_.[\]-]+$/;
+
+const DEFAULT_PARAMS = {
+  pageParam: 'page',
+  pageSizeParam: 'pageSize',
+  offsetParam: 'offset',
+  limitParam: 'limit',
+  cursorParam: 'cursor',
+};
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function toPositiveInteger(value, label) {
+  const numeric = Number(value);
+  if (!Number.isInteger(numeric) || numeric < 1) {
+    throw new Error(`${label} must be a whole number greater than zero`);
+  }
+  return numeric;
+}
+
+function normalizeParamName(value, fallback, label) {
+  const name = String(value ?? '').trim() || fallback;
+  if (!QUERY_PARAM_REGEX.test(name)) {
+    throw new Error(`${label} must be a plain query parameter name`);
+  }
+  return name;
+}
+
+function badRequest(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+// `{ enabled, style, source, variable, defaultPageSize, maxPageSize, envelope, dataKey, ...param names }`
+// `source` is `body` (the rendered response body) or `var` (a route variable); either must hold a JSON array.
+export function normalizePagination(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  let parsed = value;
+  if (typeof value === 'string') {
+    try {
+      parsed = JSON.parse(value);
+    } catch {
+      throw new Error('Pagination settings must contain valid JSON');
+    }
+  }
+  if (!isPlainObject(parsed)) {
+    throw new Error('Pagination settings must be an object');
+  }
+
+  const enabled = parsed.enabled === true || parsed.enabled === 'true';
+  const style = parsed.style || 'page';
+  if (!PAGINATION_STYLES.includes(style)) {
+    throw new Error('Pagination style must be page, offset or cursor');
+  }
+  const source = parsed.source || 'body';
+  if (!PAGINATION_SOURCES.includes(source)) {
+    throw new Error('Pagination source must be body or var');
+  }
+  const variable = String(parsed.variable ?? '').trim();
+  if (enabled && source === 'var' && !variable) {
+    throw new Error('Choose the route variable that holds the items to paginate');
+  }
+
+  const defaultPageSize = toPositiveInteger(parsed.defaultPageSize ?? 20, 'Default page size');
+  const maxPageSize = toPositiveInteger(parsed.maxPageSize ?? 100, 'Maximum page size');
+  if (maxPageSize < defaultPageSize) {
+    throw new Error('Maximum page size must be at least the default page size');
+  }
+
+  const params = {};
+  for (const [key, fallback] of Object.entries(DEFAULT_PARAMS)) {
+    params[key] = normalizeParamName(parsed[key], fallback, `Pagination ${key}`);
+  }
+
+  const envelope = parsed.envelope === undefined ? true : parsed.envelope === true || parsed.envelope === 'true';
+  return {
+    enabled,
+    style,
+    source,
+    variable: variable || null,
+    defaultPageSize,
+    maxPageSize,
+    envelope,
+    dataKey: String(parsed.dataKey ?? '').trim() || 'data',
+    ...params,
+  };
+}
+
+export function isPaginationActive(route) {
+  return Boolean(route?.pagination?.enabled);
+}
+
+// The items to paginate: the route variable or the rendered body, which must be a JSON array.
+export function resolvePaginationItems(settings, { renderedBody, vars = {} }) {
+  const raw = settings.source === 'var' ? vars[settings.variable] : renderedBody;
+  if (raw === undefined) {
+    throw Object.assign(new Error(`Route variable "${settings.variable}" is not defined`), { status: 500 });
+  }
+  let items;
+  try {
+    items = JSON.parse(raw);
+  } catch {
+    items = null;
+  }
+  if (!Array.isArray(items)) {
+    const label = settings.source === 'var' ? `Route variable "${settings.variable}"` : 'The response body';
+    throw Object.assign(new Error(`${label} must be a JSON array to paginate`), { status: 500 });
+  }
+  return items;
+}
+
+// Cursors are opaque to clients but just encode the offset of the next item.
+export function encodeCursor(offset) {
+  return Buffer.from(JSON.stringify({ offset }), 'utf8').toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const { offset } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (Number.isInteger(offset) && offset >= 0) return offset;
+  } catch {
+    // Falls through to the error below.
+  }
+  throw badRequest('Invalid pagination cursor');
+}
+
+function readInteger(query, name, { min, fallback }) {
+  const raw = query[name];
+  if (raw === undefined || raw === '') return fallback;
+  const numeric = Number(raw);
+  if (!Number.isInteger(numeric) || numeric < min) {
+    throw badRequest(`Query parameter ${name} must be a whole number of at least ${min}`);
+  }
+  return numeric;
+}
+
+// Requested sizes above the maximum are clamped, as most real APIs do.
+function readPageSize(settings, query, name) {
+  const size = readInteger(query, name, { min: 1, fallback: settings.defaultPageSize });
+  return Math.min(size, settings.maxPageSize);
+}
+
+// Each link keeps the request's other query parameters; a `null` value drops one.
+function buildLinkHeader(requestUrl, links) {
+  const entries = [];
+  for (const [rel, values] of Object.entries(links)) {
+    if (!values) continue;
+    const url = new URL(requestUrl);
+    for (const [key, value] of Object.entries(values)) {
+      if (value === null) url.searchParams.delete(key);
+      else url.searchParams.set(key, String(value));
+    }
+    entries.push(`<${url.toString()}>; rel="${rel}"`);
+  }
+  return entries.join(', ');
+}
+
+function paginateByPage(settings, items, query) {
+  const pageSize = readPageSize(settings, query, settings.pageSizeParam);
+  const page = readInteger(query, settings.pageParam, { min: 1, fallback: 1 });
+  const totalPages = Math.max(1, Math.ceil(items.length / pageSize));
+  const start = (page - 1) * pageSize;
+  const at = (target) => ({ [settings.pageParam]: target, [settings.pageSizeParam]: pageSize });
+  return {
+    data: items.slice(start, start + pageSize),
+    meta: {
+      page,
+      pageSize,
+      totalItems: items.length,
+      totalPages,
+      hasPrevious: page > 1,
+      hasNext: page < totalPages,
+    },
+    links: {
+      first: at(1),
+      prev: page > 1 ? at(Math.min(page - 1, totalPages)) : null,
+      next: page < totalPages ? at(page + 1) : null,
+      last: at(totalPages),
+    },
+  };
+}
+
+function paginateByOffset(settings, items, query) {
+  const limit = readPageSize(settings, query, settings.limitParam);
+  const offset = readInteger(query, settings.offsetParam, { min: 0, fallback: 0 });
+  const nextOffset = offset + limit;
+  const lastOffset = Math.max(0, Math.floor((items.length - 1) / limit) * limit);
+  const at = (target) => ({ [settings.offsetParam]: target, [settings.limitParam]: limit });
+  return {
+    data: items.slice(offset, nextOffset),
+    meta: {
+      offset,
+      limit,
+      totalItems: items.length,
+      hasPrevious: offset > 0,
+      hasNext: nextOffset < items.length,
+    },
+    links: {
+      first: at(0),
+      prev: offset > 0 ? at(Math.max(0, Math.min(offset - limit, lastOffset))) : null,
+      next: nextOffset < items.length ? at(nextOffset) : null,
+      last: at(lastOffset),
+    },
+  };
+}
+
+function paginateByCursor(settings, items, query) {
+  const limit = readPageSize(settings, query, settings.limitParam);
+  const cursor = query[settings.cursorParam] || null;
+  const offset = cursor ? decodeCursor(cursor) : 0;
+  const nextOffset = offset + limit;
+  const nextCursor = nextOffset < items.length ? encodeCursor(nextOffset) : null;
+  return {
+    data: items.slice(offset, nextOffset),
+    meta: {
+      cursor,
+      nextCursor,
+      limit,
+      totalItems: items.length,
+      hasNext: Boolean(nextCursor),
+    },
+    links: {
+      first: { [settings.cursorParam]: null, [settings.limitParam]: limit },
+      next: nextCursor ? { [settings.cursorParam]: nextCursor, [settings.limitParam]: limit } : null,
+    },
+  };
+}
+
+const PAGINATORS = { page: paginateByPage, offset: paginateByOffset, cursor: paginateByCursor };
+
+// Slices `items` for the request. Returns the JSON body (wrapped in `{ [dataKey], pagination }`
+// unless the envelope is off) plus `Link` and `X-Total-Count` headers.
+export function paginateItems(settings, items, { query = {}, requestUrl }) {
+  const { data, meta, links } = PAGINATORS[settings.style](settings, items, query);
+  const headers = { 'x-total-count': String(items.length) };
+  const link = buildLinkHeader(requestUrl, links);
+  if (link) headers.link = link;
+  const body = settings.envelope ? { [settings.dataKey]: data, pagination: meta } : data;
+  return { body, headers };
+}
+
+export default {
+  PAGINATION_STYLES,
+  PAGINATION_SOURCES,
+  normalizePagination,
+  isPaginationActive,
+  resolvePaginationItems,
+  encodeCursor,
+  paginateItems,
+};
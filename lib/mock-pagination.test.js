@@ -0,0 +1,99 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { encodeCursor, normalizePagination, paginateItems, resolvePaginationItems } from './mock-pagination.js';
+
+const items = Array.from({ length: 25 }, (_, index) => ({ id: index + 1 }));
+const requestUrl = 'http://localhost/users?sort=name';
+
+function settings(overrides = {}) {
+  return normalizePagination({ enabled: true, defaultPageSize: 10, maxPageSize: 20, ...overrides });
+}
+
+test('normalizePagination fills defaults and rejects bad settings', () => {
+  const normalized = normalizePagination({ enabled: true });
+  assert.equal(normalized.style, 'page');
+  assert.equal(normalized.defaultPageSize, 20);
+  assert.equal(normalized.pageParam, 'page');
+  assert.equal(normalized.envelope, true);
+  assert.equal(normalizePagination(''), null);
+  assert.throws(() => normalizePagination({ style: 'keyset' }), /style/);
+  assert.throws(() => normalizePagination({ defaultPageSize: 50, maxPageSize: 10 }), /at least the default/);
+  assert.throws(() => normalizePagination({ enabled: true, source: 'var' }), /route variable/);
+  assert.throws(() => normalizePagination({ pageParam: 'page&x' }), /plain query parameter/);
+});
+
+test('page style slices items and links neighbouring pages', () => {
+  const { body, headers } = paginateItems(settings(), items, { query: { page: '2' }, requestUrl });
+  assert.deepEqual(body.data.map((item) => item.id), [11, 12, 13, 14, 15, 16, 17, 18, 19, 20]);
+  assert.deepEqual(body.pagination, {
+    page: 2,
+    pageSize: 10,
+    totalItems: 25,
+    totalPages: 3,
+    hasPrevious: true,
+    hasNext: true,
+  });
+  assert.equal(headers['x-total-count'], '25');
+  assert.match(headers.link, /<http:\/\/localhost\/users\?sort=name&page=3&pageSize=10>; rel="next"/);
+  assert.match(headers.link, /rel="prev"/);
+});
+
+test('requested page sizes are clamped to the maximum', () => {
+  const { body } = paginateItems(settings(), items, { query: { pageSize: '500' }, requestUrl });
+  assert.equal(body.pagination.pageSize, 20);
+  assert.equal(body.data.length, 20);
+});
+
+test('invalid query values are answered with 400', () => {
+  assert.throws(
+    () => paginateItems(settings(), items, { query: { page: '0' }, requestUrl }),
+    (err) => err.status === 400 && /page must be a whole number/.test(err.message)
+  );
+});
+
+test('offset style reports the last offset and no next link at the end', () => {
+  const { body, headers } = paginateItems(settings({ style: 'offset' }), items, {
+    query: { offset: '20', limit: '10' },
+    requestUrl,
+  });
+  assert.deepEqual(body.data.map((item) => item.id), [21, 22, 23, 24, 25]);
+  assert.equal(body.pagination.hasNext, false);
+  assert.doesNotMatch(headers.link, /rel="next"/);
+  assert.match(headers.link, /offset=20&limit=10>; rel="last"/);
+});
+
+test('cursor style follows the encoded offset and rejects tampered cursors', () => {
+  const first = paginateItems(settings({ style: 'cursor' }), items, { query: {}, requestUrl });
+  assert.equal(first.body.pagination.nextCursor, encodeCursor(10));
+
+  const second = paginateItems(settings({ style: 'cursor' }), items, {
+    query: { cursor: first.body.pagination.nextCursor },
+    requestUrl,
+  });
+  assert.equal(second.body.data[0].id, 11);
+
+  assert.throws(
+    () => paginateItems(settings({ style: 'cursor' }), items, { query: { cursor: 'not-a-cursor' }, requestUrl }),
+    (err) => err.status === 400
+  );
+});
+
+test('the envelope can be turned off', () => {
+  const { body } = paginateItems(settings({ envelope: false }), items, { query: {}, requestUrl });
+  assert.ok(Array.isArray(body));
+  assert.equal(body.length, 10);
+});
+
+test('items come from the body or a route variable and must be a JSON array', () => {
+  assert.deepEqual(resolvePaginationItems(settings(), { renderedBody: '[1,2]' }), [1, 2]);
+  assert.deepEqual(
+    resolvePaginationItems(settings({ source: 'var', variable: 'users' }), { vars: { users: '[3]' } }),
+    [3]
+  );
+  assert.throws(() => resolvePaginationItems(settings(), { renderedBody: '{}' }), (err) => err.status === 500);
+  assert.throws(
+    () => resolvePaginationItems(settings({ source: 'var', variable: 'missing' }), { vars: {} }),
+    /is not defined/
+  );
+});
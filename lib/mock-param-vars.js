@@ -0,0 +1,56 @@
+import { compilePathPattern } from './mock-route-matcher.js';
+
+// Mirrors the param-based vars in gui-mock-api/router-runtime.js: for a route param such as
+// `:userid`, vars keyed `userid.101.name` become `{{userid.name}}` when the request's
+// userid is 101. Field names keep any further dots, as in the legacy runtime.
+export function buildParamKeyedVars(vars, params) {
+  const derived = {};
+  if (!vars || !params) return derived;
+
+  for (const [paramName, paramValue] of Object.entries(params)) {
+    const prefix = `${paramName}.${paramValue}.`;
+    for (const [key, value] of Object.entries(vars)) {
+      if (!key.startsWith(prefix)) continue;
+      const field = key.slice(prefix.length);
+      if (!field) continue;
+      if (!derived[paramName]) derived[paramName] = {};
+      derived[paramName][field] = value;
+    }
+  }
+  return derived;
+}
+
+export function buildParamVarKey({ param, value, field }) {
+  return `${param}.${value}.${field}`;
+}
+
+// Named params of a route path that can key vars; wildcard captures (`0`, `1`, ...) cannot.
+export function listPathParamNames(path) {
+  try {
+    const { keys } = compilePathPattern(path);
+    return keys.filter((key) => !/^\d+$/.test(key));
+  } catch {
+    return [];
+  }
+}
+
+// Splits `userid.101.name` into its parts when `userid` is one of the route's params,
+// otherwise returns null for a plain var.
+export function parseParamVarKey(key, paramNames = []) {
+  const text = String(key || '');
+  for (const param of paramNames) {
+    if (!text.startsWith(`${param}.`)) continue;
+    const rest = text.slice(param.length + 1);
+    const dot = rest.indexOf('.');
+    if (dot <= 0 || dot === rest.length - 1) continue;
+    return { param, value: rest.slice(0, dot), field: rest.slice(dot + 1) };
+  }
+  return null;
+}
+
+export default {
+  buildParamKeyedVars,
+  buildParamVarKey,
+  listPathParamNames,
+  parseParamVarKey,
+};
@@ -0,0 +1,86 @@
+import { applyEnvironmentVariables } from './mock-environments.js';
+import { TEMPLATE_PARTIALS } from '../gui-mock-api/templates.js';
+import { TEMPLATE_DATASETS } from '../gui-mock-api/dataset-helpers.js';
+
+const PARTIAL_NAME_REGEX = /^[A-Za-z_][A-Za-z0-9_-]*$/;
+const VARIABLE_KEY_REGEX = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function parseSettings(value, label) {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    throw new Error(`${label} must contain valid JSON`);
+  }
+}
+
+// `{ companyName: 'Acme', address: { ... } }`; values can be any JSON, read as `{{project.vars.key}}`.
+export function normalizeProjectVars(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const parsed = parseSettings(value, 'Project variables');
+  if (!isPlainObject(parsed)) {
+    throw new Error('Project variables must be a JSON object');
+  }
+  for (const key of Object.keys(parsed)) {
+    if (!VARIABLE_KEY_REGEX.test(key)) {
+      throw new Error(`Project variable "${key}" must start with a letter or underscore and use only letters, numbers and underscores`);
+    }
+  }
+  return Object.keys(parsed).length ? parsed : null;
+}
+
+// `{ userCard: '{ "id": {{id}} }' }`, used as `{{> userCard}}` in any template of the project.
+export function normalizeTemplatePartials(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const parsed = parseSettings(value, 'Template partials');
+  if (!isPlainObject(parsed)) {
+    throw new Error('Template partials must be an object of name/template pairs');
+  }
+  const partials = {};
+  for (const [name, template] of Object.entries(parsed)) {
+    const trimmed = name.trim();
+    if (!PARTIAL_NAME_REGEX.test(trimmed)) {
+      throw new Error(`Partial name "${name}" must start with a letter and use only letters, numbers, dashes and underscores`);
+    }
+    if (typeof template !== 'string') {
+      throw new Error(`Partial ${trimmed} must be a template string`);
+    }
+    partials[trimmed] = template;
+  }
+  return Object.keys(partials).length ? partials : null;
+}
+
+// Template data shared by every route in the project: `project.name`, `project.slug` and
+// `project.vars` (with the environment's overrides), plus the project's partials and datasets.
+export function buildProjectTemplateData(project, environment = null, datasets = null) {
+  const data = {
+    project: {
+      name: project?.name ?? null,
+      slug: project?.slug ?? null,
+      vars: applyEnvironmentVariables(isPlainObject(project?.templateVars) ? project.templateVars : {}, environment),
+    },
+  };
+  if (isPlainObject(project?.templatePartials)) {
+    data[TEMPLATE_PARTIALS] = project.templatePartials;
+  }
+  if (datasets) {
+    data[TEMPLATE_DATASETS] = datasets;
+  }
+  return data;
+}
+
+export default {
+  normalizeProjectVars,
+  normalizeTemplatePartials,
+  buildProjectTemplateData,
+};
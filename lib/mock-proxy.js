@@ -0,0 +1,138 @@
+import prisma from './prisma.js';
+
+export const PROXY_MODES = ['replay', 'passthrough', 'record'];
+
+const UPSTREAM_TIMEOUT_MS = 15000;
+
+// Never forwarded upstream: hop-by-hop headers plus our own credentials.
+const SKIPPED_REQUEST_HEADERS = new Set([
+  'host',
+  'connection',
+  'content-length',
+  'transfer-encoding',
+  'keep-alive',
+  'upgrade',
+  'x-api-key',
+  'cookie',
+]);
+
+// fetch() already decoded the body, so these no longer describe what we return.
+const SKIPPED_RESPONSE_HEADERS = new Set([
+  'connection',
+  'content-encoding',
+  'content-length',
+  'transfer-encoding',
+  'keep-alive',
+  'date',
+  'set-cookie',
+]);
+
+const TEXT_CONTENT_TYPE_REGEX = /^(text\/|application\/(json|xml|javascript|x-www-form-urlencoded)|[^;]*\+(json|xml))/i;
+
+export function normalizeProxyMode(value) {
+  if (!value) return 'replay';
+  const normalized = String(value).trim().toLowerCase();
+  if (!PROXY_MODES.includes(normalized)) {
+    throw new Error('Proxy mode must be replay, passthrough or record');
+  }
+  return normalized;
+}
+
+export function normalizeUpstreamBaseUrl(value) {
+  if (value === undefined || value === null) return null;
+  const trimmed = String(value).trim();
+  if (!trimmed) return null;
+  let url;
+  try {
+    url = new URL(trimmed);
+  } catch {
+    throw new Error('Upstream base URL must be an absolute URL');
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new Error('Upstream base URL must use http or https');
+  }
+  return `${url.origin}${url.pathname.replace(/\/+$/, '')}`;
+}
+
+export function shouldProxy(project) {
+  return Boolean(project?.upstreamBaseUrl) && project.proxyMode !== 'replay';
+}
+
+function filterHeaders(entries, skipped) {
+  const headers = {};
+  for (const [key, value] of entries) {
+    if (skipped.has(key.toLowerCase())) continue;
+    headers[key] = value;
+  }
+  return headers;
+}
+
+export async function forwardToUpstream({ project, method, path, search = '', headers = {}, body }) {
+  const target = `${project.upstreamBaseUrl}${path}${search}`;
+  const response = await fetch(target, {
+    method,
+    headers: filterHeaders(Object.entries(headers), SKIPPED_REQUEST_HEADERS),
+    body: method === 'GET' || method === 'HEAD' || !body ? undefined : body,
+    redirect: 'manual',
+    signal: AbortSignal.timeout(UPSTREAM_TIMEOUT_MS),
+  });
+
+  const buffer = Buffer.from(await response.arrayBuffer());
+  return {
+    url: target,
+    status: response.status,
+    headers: filterHeaders(response.headers.entries(), SKIPPED_RESPONSE_HEADERS),
+    contentType: response.headers.get('content-type') || '',
+    buffer,
+  };
+}
+
+function isJsonBody(contentType, text) {
+  if (!/json/i.test(contentType)) return false;
+  try {
+    JSON.parse(text);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Saves the upstream exchange as a regular mock route. Binary bodies are not
+// recorded; returns null when nothing was stored.
+export async function recordProxiedRoute({ project, method, path, upstream }, client = prisma) {
+  if (upstream.contentType && !TEXT_CONTENT_TYPE_REGEX.test(upstream.contentType)) {
+    return null;
+  }
+
+  const text = upstream.buffer.toString('utf8');
+  try {
+    return await client.mockRoute.create({
+      data: {
+        userId: project.userId,
+        projectId: project.id,
+        name: `Recorded ${method} ${path}`,
+        description: `Recorded from ${upstream.url}`,
+        method,
+        path,
+        enabled: true,
+        responseStatus: upstream.status,
+        responseHeaders: upstream.headers,
+        responseBody: text,
+        responseIsJson: isJsonBody(upstream.contentType, text),
+      },
+    });
+  } catch (err) {
+    // Another request recorded the same method + path first.
+    if (err?.code === 'P2002') return null;
+    throw err;
+  }
+}
+
+export default {
+  PROXY_MODES,
+  normalizeProxyMode,
+  normalizeUpstreamBaseUrl,
+  shouldProxy,
+  forwardToUpstream,
+  recordProxiedRoute,
+};
@@ -0,0 +1,141 @@
+import { createHash } from 'node:crypto';
+
+import prisma from './prisma.js';
+
+export const RATE_LIMIT_SCOPES = ['route', 'apiKey'];
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function toPositiveInteger(value, label) {
+  const numeric = Number(value);
+  if (!Number.isInteger(numeric) || numeric < 1) {
+    throw new Error(`${label} must be a whole number greater than zero`);
+  }
+  return numeric;
+}
+
+// `{ enabled, limit, windowSeconds, scope }`; scope `apiKey` gives every caller key its own budget.
+export function normalizeRateLimit(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  let parsed = value;
+  if (typeof value === 'string') {
+    try {
+      parsed = JSON.parse(value);
+    } catch {
+      throw new Error('Rate limit must contain valid JSON');
+    }
+  }
+  if (!isPlainObject(parsed)) {
+    throw new Error('Rate limit must be an object');
+  }
+
+  const scope = parsed.scope || 'route';
+  if (!RATE_LIMIT_SCOPES.includes(scope)) {
+    throw new Error('Rate limit scope must be route or apiKey');
+  }
+
+  return {
+    enabled: parsed.enabled === true || parsed.enabled === 'true',
+    limit: toPositiveInteger(parsed.limit ?? 60, 'Rate limit'),
+    windowSeconds: toPositiveInteger(parsed.windowSeconds ?? 60, 'Rate limit window'),
+    scope,
+  };
+}
+
+function hashKey(apiKey) {
+  if (!apiKey) return 'anonymous';
+  return createHash('sha256').update(apiKey).digest('hex').slice(0, 16);
+}
+
+// Project limits always count per caller key; route limits follow their configured scope.
+export function buildRateLimitChecks({ route, project, apiKey }) {
+  const checks = [];
+  if (project?.rateLimit?.enabled) {
+    checks.push({ bucket: `project:${project.id}:key:${hashKey(apiKey)}`, settings: project.rateLimit });
+  }
+  if (route?.rateLimit?.enabled) {
+    const bucket = route.rateLimit.scope === 'apiKey'
+      ? `route:${route.id}:key:${hashKey(apiKey)}`
+      : `route:${route.id}`;
+    checks.push({ bucket, settings: route.rateLimit });
+  }
+  return checks;
+}
+
+async function incrementWindow(bucket, windowStart, client) {
+  const where = { bucket_windowStart: { bucket, windowStart } };
+  const upsert = () =>
+    client.mockRateLimitCounter.upsert({
+      where,
+      update: { count: { increment: 1 } },
+      create: { bucket, windowStart, count: 1 },
+    });
+
+  let counter;
+  try {
+    counter = await upsert();
+  } catch (err) {
+    // Two requests opened the same window at once; the row exists now.
+    if (err?.code !== 'P2002') throw err;
+    counter = await upsert();
+  }
+
+  if (counter.count === 1) {
+    await client.mockRateLimitCounter.deleteMany({ where: { bucket, windowStart: { lt: windowStart } } });
+  }
+  return counter.count;
+}
+
+function toHeaders({ limit, remaining, resetAt }) {
+  return {
+    'x-ratelimit-limit': String(limit),
+    'x-ratelimit-remaining': String(Math.max(0, remaining)),
+    'x-ratelimit-reset': String(Math.ceil(resetAt / 1000)),
+  };
+}
+
+// Counts the request against every applicable fixed window. Returns the headers describing
+// the tightest limit and, when one is exceeded, `retryAfterSeconds`.
+export async function consumeRateLimit(checks, client = prisma, now = Date.now()) {
+  let tightest = null;
+  let exceeded = null;
+
+  for (const { bucket, settings } of checks) {
+    const windowMs = settings.windowSeconds * 1000;
+    const windowStart = new Date(Math.floor(now / windowMs) * windowMs);
+    const count = await incrementWindow(bucket, windowStart, client);
+    const state = {
+      limit: settings.limit,
+      remaining: settings.limit - count,
+      resetAt: windowStart.getTime() + windowMs,
+    };
+    if (!tightest || state.remaining < tightest.remaining) {
+      tightest = state;
+    }
+    if (state.remaining < 0 && (!exceeded || state.resetAt > exceeded.resetAt)) {
+      exceeded = state;
+    }
+  }
+
+  if (!tightest) {
+    return { limited: false, headers: {} };
+  }
+  const reported = exceeded || tightest;
+  return {
+    limited: Boolean(exceeded),
+    headers: toHeaders(reported),
+    retryAfterSeconds: exceeded ? Math.max(1, Math.ceil((exceeded.resetAt - now) / 1000)) : 0,
+  };
+}
+
+export default {
+  RATE_LIMIT_SCOPES,
+  normalizeRateLimit,
+  buildRateLimitChecks,
+  consumeRateLimit,
+};
@@ -0,0 +1,93 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { buildRateLimitChecks, consumeRateLimit, normalizeRateLimit } from './mock-rate-limit.js';
+
+// Keeps counters in memory with the subset of the Prisma API consumeRateLimit uses.
+function createCounterClient() {
+  const rows = new Map();
+  const keyOf = (bucket, windowStart) => `${bucket}@${windowStart.getTime()}`;
+  return {
+    rows,
+    mockRateLimitCounter: {
+      async upsert({ where, update, create }) {
+        const { bucket, windowStart } = where.bucket_windowStart;
+        const key = keyOf(bucket, windowStart);
+        const row = rows.get(key);
+        if (row) {
+          row.count += update.count.increment;
+          return { ...row };
+        }
+        rows.set(key, { ...create });
+        return { ...create };
+      },
+      async deleteMany({ where }) {
+        for (const [key, row] of rows) {
+          if (row.bucket === where.bucket && row.windowStart < where.windowStart.lt) rows.delete(key);
+        }
+      },
+    },
+  };
+}
+
+const WINDOW_START = Date.UTC(2026, 0, 1, 12, 0, 0);
+
+test('normalizeRateLimit applies defaults and validates values', () => {
+  assert.deepEqual(normalizeRateLimit({ enabled: 'true' }), { enabled: true, limit: 60, windowSeconds: 60, scope: 'route' });
+  assert.equal(normalizeRateLimit(''), null);
+  assert.throws(() => normalizeRateLimit({ limit: 0 }), /greater than zero/);
+  assert.throws(() => normalizeRateLimit({ scope: 'ip' }), /route or apiKey/);
+});
+
+test('buildRateLimitChecks keys buckets by route and hashed caller key', () => {
+  const settings = normalizeRateLimit({ enabled: true, limit: 2 });
+  const checks = buildRateLimitChecks({
+    route: { id: 7, rateLimit: { ...settings, scope: 'apiKey' } },
+    project: { id: 3, rateLimit: settings },
+    apiKey: 'secret-key',
+  });
+  assert.equal(checks.length, 2);
+  assert.match(checks[0].bucket, /^project:3:key:[0-9a-f]{16}$/);
+  assert.match(checks[1].bucket, /^route:7:key:[0-9a-f]{16}$/);
+  assert.ok(checks.every((check) => !check.bucket.includes('secret-key')));
+
+  assert.deepEqual(
+    buildRateLimitChecks({ route: { id: 7, rateLimit: settings }, project: null, apiKey: null }).map((check) => check.bucket),
+    ['route:7']
+  );
+  assert.deepEqual(buildRateLimitChecks({ route: { id: 7, rateLimit: { ...settings, enabled: false } } }), []);
+});
+
+test('requests over the limit are refused until the window resets', async () => {
+  const client = createCounterClient();
+  const checks = [{ bucket: 'route:1', settings: normalizeRateLimit({ enabled: true, limit: 2, windowSeconds: 60 }) }];
+
+  const first = await consumeRateLimit(checks, client, WINDOW_START + 1000);
+  assert.equal(first.limited, false);
+  assert.equal(first.headers['x-ratelimit-remaining'], '1');
+
+  await consumeRateLimit(checks, client, WINDOW_START + 2000);
+  const third = await consumeRateLimit(checks, client, WINDOW_START + 30000);
+  assert.equal(third.limited, true);
+  assert.equal(third.headers['x-ratelimit-remaining'], '0');
+  assert.equal(third.retryAfterSeconds, 30);
+
+  const nextWindow = await consumeRateLimit(checks, client, WINDOW_START + 61000);
+  assert.equal(nextWindow.limited, false);
+  assert.equal(client.rows.size, 1);
+});
+
+test('the tightest limit is reported', async () => {
+  const client = createCounterClient();
+  const checks = [
+    { bucket: 'project:1', settings: normalizeRateLimit({ enabled: true, limit: 100 }) },
+    { bucket: 'route:1', settings: normalizeRateLimit({ enabled: true, limit: 5 }) },
+  ];
+  const result = await consumeRateLimit(checks, client, WINDOW_START);
+  assert.equal(result.headers['x-ratelimit-limit'], '5');
+  assert.equal(result.headers['x-ratelimit-remaining'], '4');
+});
+
+test('no checks means no headers', async () => {
+  assert.deepEqual(await consumeRateLimit([], createCounterClient(), WINDOW_START), { limited: false, headers: {} });
+});
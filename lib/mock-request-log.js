@@ -0,0 +1,97 @@
+import prisma from './prisma.js';
+
+export const DEFAULT_LOG_PAGE_SIZE = 20;
+// Request bodies are kept up to this many characters.
+export const MAX_LOGGED_BODY_LENGTH = 16 * 1024;
+// Each project keeps its most recent entries; older ones are pruned as new requests arrive.
+export const MAX_LOGS_PER_PROJECT = 1000;
+
+// Credentials never reach the log: API keys, session cookies (next-auth) and auth tokens.
+// Recorded upstream responses already drop `set-cookie`; it is listed for any header map logged here.
+const REDACTED_HEADERS = new Set(['x-api-key', 'authorization', 'proxy-authorization', 'cookie', 'set-cookie']);
+
+function redactHeaders(headers = {}) {
+  const redacted = {};
+  for (const [key, value] of Object.entries(headers)) {
+    redacted[key] = REDACTED_HEADERS.has(key.toLowerCase()) ? '[redacted]' : value;
+  }
+  return redacted;
+}
+
+function truncateBody(body) {
+  if (!body) return null;
+  const text = String(body);
+  if (text.length <= MAX_LOGGED_BODY_LENGTH) return text;
+  return `${text.slice(0, MAX_LOGGED_BODY_LENGTH)}… [${text.length - MAX_LOGGED_BODY_LENGTH} more characters not logged]`;
+}
+
+// Deletes the project's entries older than its MAX_LOGS_PER_PROJECT newest.
+async function pruneProjectLogs(projectId, client) {
+  const oldestKept = await client.mockRequestLog.findFirst({
+    where: { projectId },
+    orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+    skip: MAX_LOGS_PER_PROJECT - 1,
+    select: { id: true, createdAt: true },
+  });
+  if (!oldestKept) return;
+  await client.mockRequestLog.deleteMany({
+    where: {
+      projectId,
+      OR: [{ createdAt: { lt: oldestKept.createdAt } }, { createdAt: oldestKept.createdAt, id: { lt: oldestKept.id } }],
+    },
+  });
+}
+
+// Logging must never break the mock response, so failures are only reported.
+export async function recordMockRequest(entry, client = prisma) {
+  if (!entry?.projectId) return null;
+  try {
+    const log = await client.mockRequestLog.create({
+      data: {
+        projectId: entry.projectId,
+        routeId: entry.routeId ?? null,
+        method: entry.method,
+        path: entry.path,
+        matchedParams: entry.params || {},
+        query: entry.query || {},
+        headers: redactHeaders(entry.headers),
+        body: truncateBody(entry.body),
+        status: entry.status,
+        latencyMs: Math.max(0, Math.round(entry.latencyMs || 0)),
+      },
+    });
+    await pruneProjectLogs(entry.projectId, client);
+    return log;
+  } catch (err) {
+    console.error('Failed to record mock request log', err);
+    return null;
+  }
+}
+
+export async function listMockRequestLogs({ routeId, page = 1, pageSize = DEFAULT_LOG_PAGE_SIZE }, client = prisma) {
+  const currentPage = Math.max(1, Number(page) || 1);
+  const where = { routeId };
+  const [total, logs] = await Promise.all([
+    client.mockRequestLog.count({ where }),
+    client.mockRequestLog.findMany({
+      where,
+      orderBy: { createdAt: 'desc' },
+      skip: (currentPage - 1) * pageSize,
+      take: pageSize,
+    }),
+  ]);
+  return {
+    logs,
+    total,
+    page: currentPage,
+    pageCount: Math.max(1, Math.ceil(total / pageSize)),
+  };
+}
+
+export default {
+  DEFAULT_LOG_PAGE_SIZE,
+  MAX_LOGGED_BODY_LENGTH,
+  MAX_LOGS_PER_PROJECT,
+  recordMockRequest,
+  listMockRequestLogs,
+};
@@ -0,0 +1,147 @@
+import Ajv from 'ajv';
+import addFormats from 'ajv-formats';
+
+export const SCHEMA_TARGETS = ['body', 'query', 'headers'];
+export const VALIDATION_STATUSES = [400, 422];
+
+// Compiled validators are reused across requests; the oldest are dropped past this many.
+const MAX_COMPILED_SCHEMAS = 500;
+
+const compiledSchemas = new Map();
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Each schema gets its own Ajv instance: Ajv registers every `$id` it compiles, so a shared
+// instance would reject an edited schema, or another route's schema, that reuses an `$id`.
+// Query strings and headers always arrive as strings, so they are coerced to the schema's types.
+function createValidator(target) {
+  const options = target === 'body' ? {} : { coerceTypes: 'array' };
+  return addFormats(new Ajv({ allErrors: true, strict: false, ...options }));
+}
+
+function compileSchema(target, schema) {
+  const cacheKey = `${target}:${JSON.stringify(schema)}`;
+  if (!compiledSchemas.has(cacheKey)) {
+    const validate = createValidator(target).compile(schema);
+    if (compiledSchemas.size >= MAX_COMPILED_SCHEMAS) {
+      compiledSchemas.delete(compiledSchemas.keys().next().value);
+    }
+    compiledSchemas.set(cacheKey, validate);
+  }
+  return compiledSchemas.get(cacheKey);
+}
+
+// Schemas are checked when saved, but one stored before a fix (or edited in the database)
+// can still fail to compile; that is the route's fault, not the request's.
+function compileStoredSchema(target, schema) {
+  try {
+    return compileSchema(target, schema);
+  } catch (err) {
+    throw Object.assign(new Error(`Request ${target} schema is invalid: ${err.message}`), { status: 500 });
+  }
+}
+
+function parseSchema(target, value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  let parsed = value;
+  if (typeof value === 'string') {
+    try {
+      parsed = JSON.parse(value);
+    } catch {
+      throw new Error(`Request ${target} schema must contain valid JSON`);
+    }
+  }
+  if (!isPlainObject(parsed) && typeof parsed !== 'boolean') {
+    throw new Error(`Request ${target} schema must be a JSON Schema object`);
+  }
+
+  try {
+    compileSchema(target, parsed);
+  } catch (err) {
+    throw new Error(`Request ${target} schema is invalid: ${err.message}`);
+  }
+  return parsed;
+}
+
+// Accepts `{ body, query, headers }` (each a schema or its JSON string). Returns null when empty.
+export function normalizeRequestSchema(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  let parsed = value;
+  if (typeof value === 'string') {
+    try {
+      parsed = JSON.parse(value);
+    } catch {
+      throw new Error('Request schema must contain valid JSON');
+    }
+  }
+  if (!isPlainObject(parsed)) {
+    throw new Error('Request schema must be an object with body, query or headers');
+  }
+
+  const schema = {};
+  for (const target of SCHEMA_TARGETS) {
+    const targetSchema = parseSchema(target, parsed[target]);
+    if (targetSchema !== null) {
+      schema[target] = targetSchema;
+    }
+  }
+  return Object.keys(schema).length ? schema : null;
+}
+
+export function normalizeValidationStatus(value) {
+  const status = Number(value ?? 400);
+  if (!VALIDATION_STATUSES.includes(status)) {
+    throw new Error('Validation status must be 400 or 422');
+  }
+  return status;
+}
+
+function toValidationErrors(target, errors) {
+  return (errors || []).map((error) => ({
+    location: target,
+    path: error.instancePath || '/',
+    message: error.message || 'is invalid',
+    params: error.params,
+  }));
+}
+
+// Returns a list of `{ location, path, message }` failures; empty when the request conforms.
+// Throws an error with a `status` when the route's own schema cannot be compiled.
+export function validateMockRequest(route, { rawBody, jsonBody, query, headers }) {
+  const schema = isPlainObject(route?.requestSchema) ? route.requestSchema : null;
+  if (!schema) return [];
+
+  const errors = [];
+  if (schema.body !== undefined) {
+    if (rawBody && jsonBody === null) {
+      errors.push({ location: 'body', path: '/', message: 'must be valid JSON' });
+    } else {
+      const validate = compileStoredSchema('body', schema.body);
+      if (!validate(jsonBody ?? undefined)) {
+        errors.push(...toValidationErrors('body', validate.errors));
+      }
+    }
+  }
+
+  for (const [target, data] of [['query', query], ['headers', headers]]) {
+    if (schema[target] === undefined) continue;
+    const validate = compileStoredSchema(target, schema[target]);
+    // Coercion mutates the input, so validate a copy.
+    if (!validate({ ...(data || {}) })) {
+      errors.push(...toValidationErrors(target, validate.errors));
+    }
+  }
+  return errors;
+}
+
+export default {
+  SCHEMA_TARGETS,
+  VALIDATION_STATUSES,
+  normalizeRequestSchema,
+  normalizeValidationStatus,
+  validateMockRequest,
+};
@@ -0,0 +1,191 @@
+import { randomUUID } from 'node:crypto';
+
+import prisma from './prisma.js';
+import { isRegexPath, RESOURCE_ID_PARAM } from './mock-route-matcher.js';
+
+export const ROUTE_TYPES = ['static', 'resource', 'stream'];
+export const RESOURCE_METHOD = 'ANY';
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function resourceError(message, status) {
+  return Object.assign(new Error(message), { status });
+}
+
+export function normalizeRouteType(value) {
+  if (!value) return 'static';
+  const normalized = String(value).trim().toLowerCase();
+  if (!ROUTE_TYPES.includes(normalized)) {
+    throw new Error('Unsupported route type');
+  }
+  return normalized;
+}
+
+export function normalizeResourceIdField(value) {
+  const trimmed = String(value ?? '').trim();
+  return trimmed || 'id';
+}
+
+export function normalizeResourceSeed(value) {
+  if (value === undefined || value === null || value === '') {
+    return [];
+  }
+
+  let parsed = value;
+  if (typeof value === 'string') {
+    try {
+      parsed = JSON.parse(value);
+    } catch {
+      throw new Error('Resource seed must contain valid JSON');
+    }
+  }
+
+  if (!Array.isArray(parsed) || !parsed.every(isPlainObject)) {
+    throw new Error('Resource seed must be a JSON array of objects');
+  }
+  return parsed;
+}
+
+function nextRecordId(records) {
+  const ids = records.map((record) => record.recordId);
+  if (ids.every((id) => /^\d+$/.test(id))) {
+    const max = ids.reduce((current, id) => Math.max(current, Number(id)), 0);
+    return String(max + 1);
+  }
+  return randomUUID();
+}
+
+function toTypedId(recordId) {
+  return /^\d+$/.test(recordId) ? Number(recordId) : recordId;
+}
+
+function toRecordRows(route, items) {
+  const idField = route.resourceIdField || 'id';
+  const rows = [];
+  items.forEach((item) => {
+    const recordId = item[idField] === undefined || item[idField] === null
+      ? nextRecordId(rows)
+      : String(item[idField]);
+    rows.push({ routeId: route.id, recordId, data: { ...item, [idField]: item[idField] ?? toTypedId(recordId) } });
+  });
+  return rows;
+}
+
+// Replaces the collection with the route's seed data.
+export async function resetResource(route, client = prisma) {
+  const seed = normalizeResourceSeed(route.resourceSeed);
+  const rows = toRecordRows(route, seed);
+  await client.$transaction([
+    client.mockResourceRecord.deleteMany({ where: { routeId: route.id } }),
+    client.mockResourceRecord.createMany({ data: rows, skipDuplicates: true }),
+    client.mockRoute.update({ where: { id: route.id }, data: { resourceSeededAt: new Date() } }),
+  ]);
+  return rows.length;
+}
+
+export async function ensureResourceSeeded(route, client = prisma) {
+  if (route.resourceSeededAt) return;
+  await resetResource(route, client);
+}
+
+function matchesQuery(data, query) {
+  return Object.entries(query || {}).every(([key, expected]) => {
+    if (!Object.prototype.hasOwnProperty.call(data, key)) return true;
+    return String(data[key]) === String(expected);
+  });
+}
+
+// Serves list/get/create/update/delete for a resource route. Returns `{ status, payload }`;
+// a null payload means the response has no body.
+export async function handleResourceRequest({ route, method, recordId, body, query }, client = prisma) {
+  await ensureResourceSeeded(route, client);
+
+  const idField = route.resourceIdField || 'id';
+  const where = recordId ? { routeId_recordId: { routeId: route.id, recordId } } : null;
+
+  if (!recordId) {
+    if (method === 'GET') {
+      const records = await client.mockResourceRecord.findMany({
+        where: { routeId: route.id },
+        orderBy: { id: 'asc' },
+      });
+      return { status: 200, payload: records.map((record) => record.data).filter((data) => matchesQuery(data, query)) };
+    }
+
+    if (method === 'POST') {
+      if (!isPlainObject(body)) {
+        throw resourceError('Request body must be a JSON object', 400);
+      }
+      const existing = await client.mockResourceRecord.findMany({
+        where: { routeId: route.id },
+        select: { recordId: true },
+      });
+      const newId = body[idField] === undefined || body[idField] === null
+        ? nextRecordId(existing)
+        : String(body[idField]);
+      if (existing.some((record) => record.recordId === newId)) {
+        throw resourceError(`A record with ${idField} "${newId}" already exists`, 409);
+      }
+      const data = { ...body, [idField]: body[idField] ?? toTypedId(newId) };
+      await client.mockResourceRecord.create({ data: { routeId: route.id, recordId: newId, data } });
+      return { status: 201, payload: data };
+    }
+
+    throw resourceError('Method not allowed on the collection', 405);
+  }
+
+  const record = await client.mockResourceRecord.findUnique({ where });
+  if (!record) {
+    throw resourceError('Record not found', 404);
+  }
+
+  switch (method) {
+    case 'GET':
+      return { status: 200, payload: record.data };
+    case 'PUT':
+    case 'PATCH': {
+      if (!isPlainObject(body)) {
+        throw resourceError('Request body must be a JSON object', 400);
+      }
+      const base = method === 'PATCH' ? record.data : {};
+      const data = { ...base, ...body, [idField]: record.data[idField] ?? toTypedId(recordId) };
+      await client.mockResourceRecord.update({ where, data: { data } });
+      return { status: 200, payload: data };
+    }
+    case 'DELETE':
+      await client.mockResourceRecord.delete({ where });
+      return { status: 204, payload: null };
+    default:
+      throw resourceError('Method not allowed on a record', 405);
+  }
+}
+
+// The CRUD operations a resource route answers, one per method and path, e.g. for MCP tools.
+// Regex paths have no path template to call, so they expose none.
+export function listResourceOperations(route) {
+  if (isRegexPath(route.path)) return [];
+  const base = String(route.path || '/').replace(/\/+$/, '');
+  const collection = base || '/';
+  const item = `${base}/{${RESOURCE_ID_PARAM}}`;
+  return [
+    { action: 'list', method: 'GET', path: collection, summary: 'List records' },
+    { action: 'get', method: 'GET', path: item, summary: 'Get a record by id' },
+    { action: 'create', method: 'POST', path: collection, summary: 'Create a record' },
+    { action: 'update', method: 'PATCH', path: item, summary: 'Update fields of a record' },
+    { action: 'delete', method: 'DELETE', path: item, summary: 'Delete a record' },
+  ];
+}
+
+export default {
+  ROUTE_TYPES,
+  RESOURCE_METHOD,
+  normalizeRouteType,
+  normalizeResourceIdField,
+  normalizeResourceSeed,
+  resetResource,
+  ensureResourceSeeded,
+  handleResourceRequest,
+  listResourceOperations,
+};
@@ -0,0 +1,54 @@
+import prisma from './prisma.js';
+
+export const MAX_RESPONSE_FILE_BYTES = 5 * 1024 * 1024;
+export const DEFAULT_FILE_CONTENT_TYPE = 'application/octet-stream';
+
+// Metadata only; the file contents are loaded separately when the route is served.
+export const RESPONSE_FILE_SELECT = {
+  select: { id: true, fileName: true, contentType: true, size: true, updatedAt: true },
+};
+
+function fileError(message, status) {
+  return Object.assign(new Error(message), { status });
+}
+
+// Stores (or replaces) the uploaded response body of a route. `file` is a web File/Blob.
+export async function saveResponseFile(routeId, file, client = prisma) {
+  if (!file || typeof file.arrayBuffer !== 'function') {
+    throw fileError('A file is required', 400);
+  }
+  if (file.size > MAX_RESPONSE_FILE_BYTES) {
+    throw fileError('Response files must be 5 MB or smaller', 413);
+  }
+
+  const data = Buffer.from(await file.arrayBuffer());
+  const values = {
+    fileName: String(file.name || 'response.bin'),
+    contentType: file.type || DEFAULT_FILE_CONTENT_TYPE,
+    size: data.length,
+    data,
+  };
+  return client.mockRouteFile.upsert({
+    where: { routeId },
+    update: values,
+    create: { routeId, ...values },
+    ...RESPONSE_FILE_SELECT,
+  });
+}
+
+export async function loadResponseFile(routeId, client = prisma) {
+  return client.mockRouteFile.findUnique({ where: { routeId } });
+}
+
+export async function deleteResponseFile(routeId, client = prisma) {
+  await client.mockRouteFile.deleteMany({ where: { routeId } });
+}
+
+export default {
+  MAX_RESPONSE_FILE_BYTES,
+  DEFAULT_FILE_CONTENT_TYPE,
+  RESPONSE_FILE_SELECT,
+  saveResponseFile,
+  loadResponseFile,
+  deleteResponseFile,
+};
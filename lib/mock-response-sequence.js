@@ -0,0 +1,141 @@
+import { createHash } from 'node:crypto';
+
+import prisma from './prisma.js';
+
+export const SEQUENCE_KEY_MODES = ['route', 'apiKey', 'header'];
+export const SEQUENCE_END_MODES = ['repeatLast', 'loop'];
+
+const SHARED_CLIENT_KEY = '*';
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function normalizeStep(step, index) {
+  if (!isPlainObject(step)) {
+    throw new Error(`Step ${index + 1} must be an object`);
+  }
+  const status = Number(step.status ?? 200);
+  if (!Number.isInteger(status) || status < 100 || status > 599) {
+    throw new Error(`Step ${index + 1}: status must be a valid HTTP status code`);
+  }
+  const delayMs = Number(step.delayMs ?? 0);
+  if (Number.isNaN(delayMs) || delayMs < 0) {
+    throw new Error(`Step ${index + 1}: delayMs must be zero or greater`);
+  }
+  if (step.headers !== undefined && step.headers !== null && !isPlainObject(step.headers)) {
+    throw new Error(`Step ${index + 1}: headers must be an object`);
+  }
+  const name = step.name === undefined || step.name === null ? '' : String(step.name).trim();
+  return {
+    name: name || `Step ${index + 1}`,
+    status,
+    headers: step.headers || {},
+    body: step.body === undefined || step.body === null ? '' : String(step.body),
+    delayMs,
+  };
+}
+
+// `{ enabled, keyBy, keyHeader, onEnd, steps: [{ name, status, headers, body, delayMs }] }`
+export function normalizeResponseSequence(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  let parsed = value;
+  if (typeof value === 'string') {
+    try {
+      parsed = JSON.parse(value);
+    } catch {
+      throw new Error('Response sequence must contain valid JSON');
+    }
+  }
+  if (!isPlainObject(parsed)) {
+    throw new Error('Response sequence must be an object');
+  }
+
+  const keyBy = parsed.keyBy || 'route';
+  if (!SEQUENCE_KEY_MODES.includes(keyBy)) {
+    throw new Error('Sequence counters must be kept per route, apiKey or header');
+  }
+  const enabled = parsed.enabled === true || parsed.enabled === 'true';
+  const keyHeader = String(parsed.keyHeader ?? '').trim().toLowerCase();
+  if (enabled && keyBy === 'header' && !keyHeader) {
+    throw new Error('A header name is required to keep sequence counters per header value');
+  }
+  const onEnd = parsed.onEnd || 'repeatLast';
+  if (!SEQUENCE_END_MODES.includes(onEnd)) {
+    throw new Error('Sequence end behavior must be repeatLast or loop');
+  }
+  if (parsed.steps !== undefined && !Array.isArray(parsed.steps)) {
+    throw new Error('Sequence steps must be an array');
+  }
+
+  return {
+    enabled,
+    keyBy,
+    keyHeader: keyBy === 'header' ? keyHeader : '',
+    onEnd,
+    steps: (parsed.steps || []).map(normalizeStep),
+  };
+}
+
+export function isSequenceActive(route) {
+  return Boolean(route?.responseSequence?.enabled && route.responseSequence.steps?.length);
+}
+
+// Which counter a request advances. API keys are hashed so they are not stored in clear text.
+export function resolveSequenceClientKey(sequence, { apiKey, headers }) {
+  switch (sequence?.keyBy) {
+    case 'apiKey':
+      return apiKey ? createHash('sha256').update(apiKey).digest('hex').slice(0, 16) : 'anonymous';
+    case 'header': {
+      const value = headers?.[sequence.keyHeader];
+      return value ? String(value) : 'anonymous';
+    }
+    default:
+      return SHARED_CLIENT_KEY;
+  }
+}
+
+// Advances the caller's counter and returns the step (with its zero-based `index`) to serve.
+export async function advanceSequence(route, clientKey, client = prisma) {
+  const { steps, onEnd } = route.responseSequence;
+  const where = { routeId_clientKey: { routeId: route.id, clientKey } };
+  const upsert = () =>
+    client.mockSequenceCounter.upsert({
+      where,
+      update: { calls: { increment: 1 } },
+      create: { routeId: route.id, clientKey, calls: 1 },
+    });
+
+  let counter;
+  try {
+    counter = await upsert();
+  } catch (err) {
+    if (err?.code !== 'P2002') throw err;
+    counter = await upsert();
+  }
+
+  const position = counter.calls - 1;
+  const index = onEnd === 'loop' ? position % steps.length : Math.min(position, steps.length - 1);
+  return { ...steps[index], index };
+}
+
+// Resets every counter of the route, or only the one for `clientKey`. Returns how many were cleared.
+export async function resetSequence(route, clientKey = null, client = prisma) {
+  const where = { routeId: route.id };
+  if (clientKey) where.clientKey = clientKey;
+  const { count } = await client.mockSequenceCounter.deleteMany({ where });
+  return count;
+}
+
+export default {
+  SEQUENCE_KEY_MODES,
+  SEQUENCE_END_MODES,
+  normalizeResponseSequence,
+  isSequenceActive,
+  resolveSequenceClientKey,
+  advanceSequence,
+  resetSequence,
+};
@@ -0,0 +1,106 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import {
+  advanceSequence,
+  isSequenceActive,
+  normalizeResponseSequence,
+  resetSequence,
+  resolveSequenceClientKey,
+} from './mock-response-sequence.js';
+
+// Keeps counters in memory with the subset of the Prisma API the sequence helpers use.
+function createCounterClient() {
+  const rows = new Map();
+  return {
+    rows,
+    mockSequenceCounter: {
+      async upsert({ where, update, create }) {
+        const { routeId, clientKey } = where.routeId_clientKey;
+        const key = `${routeId}:${clientKey}`;
+        const row = rows.get(key);
+        if (row) {
+          row.calls += update.calls.increment;
+          return { ...row };
+        }
+        rows.set(key, { ...create });
+        return { ...create };
+      },
+      async deleteMany({ where }) {
+        let count = 0;
+        for (const [key, row] of rows) {
+          if (row.routeId === where.routeId && (!where.clientKey || row.clientKey === where.clientKey)) {
+            rows.delete(key);
+            count += 1;
+          }
+        }
+        return { count };
+      },
+    },
+  };
+}
+
+function sequenceRoute(onEnd = 'repeatLast') {
+  return {
+    id: 5,
+    responseSequence: normalizeResponseSequence({
+      enabled: true,
+      onEnd,
+      steps: [{ name: 'pending', status: 202 }, { name: 'done' }],
+    }),
+  };
+}
+
+test('normalizeResponseSequence names steps and validates them', () => {
+  const sequence = normalizeResponseSequence({ enabled: true, steps: [{ status: '201', body: '{"ok":true}' }] });
+  assert.deepEqual(sequence.steps[0], { name: 'Step 1', status: 201, headers: {}, body: '{"ok":true}', delayMs: 0 });
+  assert.equal(sequence.keyBy, 'route');
+  assert.equal(sequence.onEnd, 'repeatLast');
+  assert.throws(() => normalizeResponseSequence({ steps: [{ status: 700 }] }), /valid HTTP status/);
+  assert.throws(() => normalizeResponseSequence({ enabled: true, keyBy: 'header' }), /header name is required/);
+  assert.throws(() => normalizeResponseSequence({ onEnd: 'stop' }), /repeatLast or loop/);
+});
+
+test('a sequence is active only when enabled with steps', () => {
+  assert.equal(isSequenceActive(sequenceRoute()), true);
+  assert.equal(isSequenceActive({ responseSequence: normalizeResponseSequence({ enabled: true }) }), false);
+});
+
+test('client keys follow keyBy and never store API keys in clear text', () => {
+  assert.equal(resolveSequenceClientKey({ keyBy: 'route' }, {}), '*');
+  assert.match(resolveSequenceClientKey({ keyBy: 'apiKey' }, { apiKey: 'secret' }), /^[0-9a-f]{16}$/);
+  assert.equal(resolveSequenceClientKey({ keyBy: 'apiKey' }, {}), 'anonymous');
+  assert.equal(resolveSequenceClientKey({ keyBy: 'header', keyHeader: 'x-user' }, { headers: { 'x-user': 'ada' } }), 'ada');
+});
+
+test('repeatLast keeps serving the final step', async () => {
+  const client = createCounterClient();
+  const route = sequenceRoute();
+  const names = [];
+  for (let call = 0; call < 3; call += 1) {
+    names.push((await advanceSequence(route, '*', client)).name);
+  }
+  assert.deepEqual(names, ['pending', 'done', 'done']);
+});
+
+test('loop starts over after the final step', async () => {
+  const client = createCounterClient();
+  const route = sequenceRoute('loop');
+  const indexes = [];
+  for (let call = 0; call < 3; call += 1) {
+    indexes.push((await advanceSequence(route, '*', client)).index);
+  }
+  assert.deepEqual(indexes, [0, 1, 0]);
+});
+
+test('counters are kept per client and can be reset', async () => {
+  const client = createCounterClient();
+  const route = sequenceRoute();
+  await advanceSequence(route, 'ada', client);
+  assert.equal((await advanceSequence(route, 'grace', client)).index, 0);
+
+  assert.equal(await resetSequence(route, 'ada', client), 1);
+  assert.equal((await advanceSequence(route, 'ada', client)).index, 0);
+  assert.equal((await advanceSequence(route, 'grace', client)).index, 1);
+  assert.equal(await resetSequence(route, null, client), 2);
+});
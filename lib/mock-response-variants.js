@@ -0,0 +1,171 @@
+const MATCH_SOURCES = ['query', 'headers', 'body', 'params'];
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function normalizeMatchSource(source, value, index) {
+  if (value === undefined || value === null) return {};
+  if (!isPlainObject(value)) {
+    throw new Error(`Variant ${index + 1}: match.${source} must be an object`);
+  }
+  const rules = {};
+  for (const [key, expected] of Object.entries(value)) {
+    const trimmedKey = String(key).trim();
+    if (!trimmedKey) continue;
+    const normalizedKey = source === 'headers' ? trimmedKey.toLowerCase() : trimmedKey;
+    rules[normalizedKey] = expected === null || typeof expected !== 'object' ? expected : JSON.stringify(expected);
+  }
+  return rules;
+}
+
+function normalizeHeaders(value, index) {
+  if (value === undefined || value === null || value === '') return {};
+  if (!isPlainObject(value)) {
+    throw new Error(`Variant ${index + 1}: headers must be an object`);
+  }
+  return value;
+}
+
+function normalizeVariant(variant, index) {
+  if (!isPlainObject(variant)) {
+    throw new Error(`Variant ${index + 1} must be an object`);
+  }
+
+  const match = {};
+  const rawMatch = variant.match ?? {};
+  if (!isPlainObject(rawMatch)) {
+    throw new Error(`Variant ${index + 1}: match must be an object`);
+  }
+  for (const source of MATCH_SOURCES) {
+    const rules = normalizeMatchSource(source, rawMatch[source], index);
+    if (Object.keys(rules).length) {
+      match[source] = rules;
+    }
+  }
+
+  const status = Number(variant.status ?? 200);
+  if (!Number.isInteger(status) || status < 100 || status > 599) {
+    throw new Error(`Variant ${index + 1}: status must be a valid HTTP status code`);
+  }
+
+  const delayMs = Number(variant.delayMs ?? 0);
+  if (Number.isNaN(delayMs) || delayMs < 0) {
+    throw new Error(`Variant ${index + 1}: delayMs must be zero or greater`);
+  }
+
+  const name = variant.name === undefined || variant.name === null ? '' : String(variant.name).trim();
+
+  return {
+    name: name || `Variant ${index + 1}`,
+    match,
+    status,
+    headers: normalizeHeaders(variant.headers, index),
+    body: variant.body === undefined || variant.body === null ? '' : String(variant.body),
+    delayMs,
+  };
+}
+
+// Accepts an array (or its JSON string) from the API and returns the stored shape.
+export function normalizeResponseVariants(value) {
+  if (value === undefined || value === null || value === '') {
+    return [];
+  }
+
+  let parsed = value;
+  if (typeof value === 'string') {
+    try {
+      parsed = JSON.parse(value);
+    } catch {
+      throw new Error('Response variants must contain valid JSON');
+    }
+  }
+
+  if (!Array.isArray(parsed)) {
+    throw new Error('Response variants must be an array');
+  }
+
+  return parsed.map(normalizeVariant);
+}
+
+export function readJsonPath(source, path) {
+  if (!path) return source;
+  return String(path)
+    .split('.')
+    .filter(Boolean)
+    .reduce((current, segment) => {
+      if (current === undefined || current === null) return undefined;
+      return current[segment];
+    }, source);
+}
+
+function matchesExpected(actual, expected) {
+  if (actual === undefined || actual === null) {
+    return false;
+  }
+  if (expected === '*') {
+    return true;
+  }
+  const actualValue = typeof actual === 'object' ? JSON.stringify(actual) : String(actual);
+  return actualValue === String(expected);
+}
+
+function readMatchValue(source, key, request) {
+  switch (source) {
+    case 'query':
+      return request.query?.[key];
+    case 'headers':
+      return request.headers?.[key];
+    case 'params':
+      return request.params?.[key];
+    case 'body':
+      return readJsonPath(request.json, key);
+    default:
+      return undefined;
+  }
+}
+
+export function variantMatches(variant, request) {
+  const match = variant?.match || {};
+  return MATCH_SOURCES.every((source) =>
+    Object.entries(match[source] || {}).every(([key, expected]) =>
+      matchesExpected(readMatchValue(source, key, request), expected)
+    )
+  );
+}
+
+export function selectResponseVariant(route, request) {
+  const variants = Array.isArray(route?.responseVariants) ? route.responseVariants : [];
+  return variants.find((variant) => variantMatches(variant, request)) || null;
+}
+
+// The route's own status/headers/body act as the fallback when no variant matches.
+export function resolveResponseDefinition(route, request) {
+  const variant = selectResponseVariant(route, request);
+  const routeHeaders = isPlainObject(route?.responseHeaders) ? route.responseHeaders : {};
+  if (!variant) {
+    return {
+      variant: null,
+      status: route?.responseStatus || 200,
+      headers: routeHeaders,
+      body: route?.responseBody || '',
+      delayMs: Number(route?.responseDelayMs || 0),
+    };
+  }
+
+  return {
+    variant,
+    status: variant.status || 200,
+    headers: { ...routeHeaders, ...(variant.headers || {}) },
+    body: variant.body || '',
+    delayMs: Number(variant.delayMs || 0),
+  };
+}
+
+export default {
+  normalizeResponseVariants,
+  readJsonPath,
+  variantMatches,
+  selectResponseVariant,
+  resolveResponseDefinition,
+};
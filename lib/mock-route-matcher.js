@@ -0,0 +1,176 @@
+// `{name}` / `:name` params, `{a,b}` alternatives, and `**` / `*` wildcards.
+const PATH_TOKEN_REGEX = /\{([A-Za-z0-9_]+)\}|:([A-Za-z0-9_]+)|\{([^{}/]*,[^{}/]*)\}|(\*\*)|(\*)/g;
+const PARAM_SEGMENT_REGEX = /\{[^{}]*\}|:[A-Za-z0-9_]+|\*/;
+const NAMED_GROUP_REGEX = /\(\?<([A-Za-z_][A-Za-z0-9_]*)>/g;
+// A quantified group whose body is itself quantified, e.g. `(a+)+` or `(\w*x?)*`.
+const NESTED_QUANTIFIER_REGEX = /\((?:[^()\\]|\\.)*(?:[+*?]|\{\d+,?\d*\})(?:[^()\\]|\\.)*\)(?:[+*]|\{\d+,\d*\})/;
+// `(?:`, `(?<name>` and lookaround openers, whose `?` is not a quantifier.
+const GROUP_PREFIX_REGEX = /\(\?(?:[:=!]|<[=!]|<[A-Za-z_][A-Za-z0-9_]*>)/g;
+const MAX_CACHED_PATTERNS = 1000;
+
+export const RESOURCE_ID_PARAM = 'resourceId';
+
+// Match kinds, most specific first.
+const KIND_RANK = { exact: 3, params: 2, wildcard: 1, regex: 0 };
+
+const patternCache = new Map();
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Paths starting with `^` are regular expressions tested against the request path; named
+// groups become params. Add `$` to require a full match.
+export function isRegexPath(pattern) {
+  return String(pattern || '').startsWith('^');
+}
+
+// Nested quantifiers backtrack exponentially on near-miss paths, so such regex paths are
+// rejected when a route is saved.
+export function hasNestedQuantifier(source) {
+  return NESTED_QUANTIFIER_REGEX.test(String(source || '').replace(GROUP_PREFIX_REGEX, '('));
+}
+
+// Least recently used patterns are dropped first; a hit moves the pattern to the end.
+function cachePattern(source, compiled) {
+  patternCache.delete(source);
+  if (patternCache.size >= MAX_CACHED_PATTERNS) {
+    patternCache.delete(patternCache.keys().next().value);
+  }
+  patternCache.set(source, compiled);
+  return compiled;
+}
+
+function compileRegexPath(source) {
+  const regex = new RegExp(source);
+  const keys = [...source.matchAll(NAMED_GROUP_REGEX)].map((match) => match[1]);
+  return { regex, keys, kind: 'regex', named: true };
+}
+
+// Mirrors pathToRegex in gui-mock-api/router-runtime.js, with `{param}`, `{a,b}` and
+// wildcard support added. `*` matches one or more characters within a segment (never an
+// empty segment, like `:param`) and `**` across segments (a trailing `/**` also matches the
+// bare prefix); wildcard captures are keyed 0, 1, ...
+export function compilePathPattern(pattern) {
+  const source = String(pattern || '/');
+  if (patternCache.has(source)) {
+    return cachePattern(source, patternCache.get(source));
+  }
+  if (isRegexPath(source)) {
+    return cachePattern(source, compileRegexPath(source));
+  }
+
+  const keys = [];
+  let kind = 'exact';
+  let wildcardIndex = 0;
+  let regexSource = '';
+  let lastIndex = 0;
+  for (const match of source.matchAll(PATH_TOKEN_REGEX)) {
+    regexSource += escapeRegex(source.slice(lastIndex, match.index));
+    lastIndex = match.index + match[0].length;
+    const [, braceParam, colonParam, alternatives, globstar] = match;
+
+    if (braceParam || colonParam) {
+      keys.push(braceParam || colonParam);
+      regexSource += '([^/]+)';
+      if (kind === 'exact') kind = 'params';
+    } else if (alternatives !== undefined) {
+      regexSource += `(?:${alternatives.split(',').map(escapeRegex).join('|')})`;
+      if (kind === 'exact') kind = 'params';
+    } else {
+      keys.push(String(wildcardIndex++));
+      if (globstar && regexSource.endsWith('/')) {
+        regexSource = `${regexSource.slice(0, -1)}(?:/(.*))?`;
+      } else {
+        regexSource += globstar ? '(.*)' : '([^/]+)';
+      }
+      kind = 'wildcard';
+    }
+  }
+  regexSource += escapeRegex(source.slice(lastIndex));
+
+  return cachePattern(source, { regex: new RegExp(`^${regexSource}$`), keys, kind, named: false });
+}
+
+export function hasPathParams(pattern) {
+  return compilePathPattern(pattern).kind !== 'exact';
+}
+
+export function matchPath(pattern, path) {
+  const { regex, keys, named } = compilePathPattern(pattern);
+  const match = regex.exec(path);
+  if (!match) return null;
+  if (named) {
+    return { ...(match.groups || {}) };
+  }
+  return keys.reduce((params, key, index) => {
+    params[key] = match[index + 1] ?? '';
+    return params;
+  }, {});
+}
+
+// Resource routes serve both the collection path and `<path>/{resourceId}`.
+function routePatterns(route) {
+  if (route.routeType !== 'resource' || isRegexPath(route.path)) {
+    return [route.path];
+  }
+  const base = String(route.path || '/').replace(/\/+$/, '');
+  return [base || '/', `${base}/{${RESOURCE_ID_PARAM}}`];
+}
+
+function specificity(pattern) {
+  const { keys, kind } = compilePathPattern(pattern);
+  const staticSegments =
+    kind === 'regex'
+      ? 0
+      : String(pattern || '')
+          .split('/')
+          .filter((segment) => segment && !PARAM_SEGMENT_REGEX.test(segment)).length;
+  return { kind: KIND_RANK[kind], params: keys.length, staticSegments };
+}
+
+// Higher `priority` always wins. Among equal priorities exact paths come first
+// (plain routes before resource collections), then parameterized patterns with
+// the most literal segments (then the fewest params), then wildcards, then regexes.
+export function findMatchingRoute(routes = [], path) {
+  const matches = [];
+  for (const route of routes) {
+    for (const pattern of routePatterns(route)) {
+      const params = matchPath(pattern, path);
+      if (params) {
+        matches.push({ route, params, rank: specificity(pattern) });
+      }
+    }
+  }
+
+  matches.sort(
+    (a, b) =>
+      (b.route.priority || 0) - (a.route.priority || 0) ||
+      b.rank.kind - a.rank.kind ||
+      b.rank.staticSegments - a.rank.staticSegments ||
+      a.rank.params - b.rank.params ||
+      Number(a.route.routeType === 'resource') - Number(b.route.routeType === 'resource')
+  );
+
+  const [best] = matches;
+  return best ? { route: best.route, params: best.params } : null;
+}
+
+export function matchRoute(route, path) {
+  for (const pattern of routePatterns(route)) {
+    const params = matchPath(pattern, path);
+    if (params) return params;
+  }
+  return null;
+}
+
+export default {
+  RESOURCE_ID_PARAM,
+  isRegexPath,
+  hasNestedQuantifier,
+  compilePathPattern,
+  hasPathParams,
+  matchPath,
+  findMatchingRoute,
+  matchRoute,
+};
@@ -0,0 +1,94 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { compilePathPattern, findMatchingRoute, hasNestedQuantifier, matchPath, matchRoute } from './mock-route-matcher.js';
+
+let nextId = 1;
+function route(path, fields = {}) {
+  return { id: nextId++, method: 'GET', path, routeType: 'static', priority: 0, ...fields };
+}
+
+test('named params accept :name and {name}', () => {
+  assert.deepEqual(matchPath('/users/:id', '/users/42'), { id: '42' });
+  assert.deepEqual(matchPath('/orgs/{org}/users/{id}', '/orgs/acme/users/7'), { org: 'acme', id: '7' });
+  assert.equal(matchPath('/users/:id', '/users/42/posts'), null);
+});
+
+test('alternatives match any listed value without capturing it', () => {
+  assert.deepEqual(matchPath('/{v1,v2}/users', '/v2/users'), {});
+  assert.equal(matchPath('/{v1,v2}/users', '/v3/users'), null);
+});
+
+test('* matches one non-empty segment', () => {
+  assert.deepEqual(matchPath('/files/*', '/files/report.pdf'), { 0: 'report.pdf' });
+  assert.deepEqual(matchPath('/files/*.json', '/files/data.json'), { 0: 'data' });
+  assert.equal(matchPath('/files/*', '/files/'), null);
+  assert.equal(matchPath('/files/*', '/files/a/b'), null);
+});
+
+test('** matches across segments and a trailing /** also matches the prefix', () => {
+  assert.deepEqual(matchPath('/assets/**', '/assets/img/logo.png'), { 0: 'img/logo.png' });
+  assert.deepEqual(matchPath('/assets/**', '/assets'), { 0: '' });
+  assert.equal(matchPath('/assets/**', '/asset'), null);
+});
+
+test('regex paths match with named groups as params', () => {
+  assert.deepEqual(matchPath('^/users/(?<id>\\d+)$', '/users/12'), { id: '12' });
+  assert.equal(matchPath('^/users/(?<id>\\d+)$', '/users/ab'), null);
+  assert.equal(compilePathPattern('^/users').kind, 'regex');
+});
+
+test('nested quantifiers are detected, group prefixes are not quantifiers', () => {
+  assert.equal(hasNestedQuantifier('^/(a+)+$'), true);
+  assert.equal(hasNestedQuantifier('^/(?<x>\\w*)*'), true);
+  assert.equal(hasNestedQuantifier('^/(?:ab)+$'), false);
+  assert.equal(hasNestedQuantifier('^/users/(?<id>\\d+)$'), false);
+});
+
+test('exact paths win over params, params over wildcards, wildcards over regexes', () => {
+  const regex = route('^/users/.*$');
+  const wildcard = route('/users/*');
+  const param = route('/users/:id');
+  const exact = route('/users/me');
+  const routes = [regex, wildcard, param, exact];
+
+  assert.equal(findMatchingRoute(routes, '/users/me').route, exact);
+  assert.equal(findMatchingRoute(routes, '/users/7').route, param);
+  assert.equal(findMatchingRoute([regex, wildcard], '/users/7').route, wildcard);
+  assert.equal(findMatchingRoute([regex], '/users/7').route, regex);
+});
+
+test('more literal segments win, then fewer params', () => {
+  const broad = route('/:a/:b/:c');
+  const narrow = route('/orgs/:org/users');
+  assert.equal(findMatchingRoute([broad, narrow], '/orgs/acme/users').route, narrow);
+
+  const twoParams = route('/files/:name.:ext');
+  const oneParam = route('/files/:file');
+  assert.equal(findMatchingRoute([twoParams, oneParam], '/files/report.pdf').route, oneParam);
+});
+
+test('a higher priority wins over a more specific path', () => {
+  const exact = route('/users/me');
+  const fallback = route('/users/*', { priority: 5 });
+  assert.equal(findMatchingRoute([exact, fallback], '/users/me').route, fallback);
+});
+
+test('plain routes win over resource routes on the same path', () => {
+  const resource = route('/users', { routeType: 'resource', method: 'RESOURCE' });
+  const plain = route('/users');
+  assert.equal(findMatchingRoute([resource, plain], '/users').route, plain);
+});
+
+test('resource routes also answer <path>/{resourceId}', () => {
+  const resource = route('/users', { routeType: 'resource', method: 'RESOURCE' });
+  assert.deepEqual(matchRoute(resource, '/users'), {});
+  assert.deepEqual(matchRoute(resource, '/users/3'), { resourceId: '3' });
+  assert.equal(matchRoute(resource, '/users/3/posts'), null);
+});
+
+test('ties keep the order routes were given in', () => {
+  const first = route('/users/:id');
+  const second = route('/users/:userId');
+  assert.equal(findMatchingRoute([first, second], '/users/1').route, first);
+});
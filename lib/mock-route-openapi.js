@@ -11,23 +11,107 @@ function parseJson(value) {
   }
 }
 
-function buildResponseContent(route) {
+function configuredContentType(route) {
+  const headers = route.responseHeaders && typeof route.responseHeaders === 'object' ? route.responseHeaders : {};
+  const entry = Object.entries(headers).find(([key]) => key.toLowerCase() === 'content-type');
+  return entry ? String(entry[1]).split(';')[0].trim() : null;
+}
+
+function buildResponseContent(route, variant = null) {
+  const body = variant ? variant.body : route.responseBody;
+  const contentType = configuredContentType(route);
+  if (route.routeType === 'stream') {
+    const events = route.stream?.events || [];
+    return {
+      'text/event-stream': {
+        schema: { type: 'string' },
+        example: events.map((event) => `${event.event ? `event: ${event.event}\n` : ''}data: ${event.data}`).join('\n\n'),
+      },
+    };
+  }
+  if (route.responseFile && !variant) {
+    return {
+      [contentType || route.responseFile.contentType]: {
+        schema: { type: 'string', format: 'binary' },
+      },
+    };
+  }
+
   if (route.responseIsJson) {
-    const parsed = parseJson(route.responseBody);
+    const parsed = parseJson(body);
     return {
       'application/json': {
-        example: parsed ?? (route.responseBody || {}),
+        example: parsed ?? (body || {}),
       },
     };
   }
 
   return {
-    'text/plain': {
-      example: route.responseBody || '',
+    [contentType || 'text/plain']: {
+      example: body || '',
     },
   };
 }
 
+function jsonResponse(description, example) {
+  return { description, content: { 'application/json': { example } } };
+}
+
+function buildResourcePaths(route, path) {
+  const base = path.replace(/\/+$/, '') || '';
+  const idField = route.resourceIdField || 'id';
+  const seed = Array.isArray(route.resourceSeed) ? route.resourceSeed : [];
+  const sample = seed[0] || { [idField]: 1 };
+  const requestBody = { content: { 'application/json': { example: sample } } };
+  const notFound = jsonResponse('Record not found', { error: 'Record not found' });
+  const idParameter = { name: idField, in: 'path', required: true, schema: { type: 'string' } };
+
+  return {
+    [base || '/']: {
+      get: { summary: 'List records', responses: { 200: jsonResponse('Records in the collection', seed) } },
+      post: { summary: 'Create a record', requestBody, responses: { 201: jsonResponse('Created record', sample) } },
+    },
+    [`${base}/{${idField}}`]: {
+      parameters: [idParameter],
+      get: { summary: 'Get a record', responses: { 200: jsonResponse('Record', sample), 404: notFound } },
+      put: { summary: 'Replace a record', requestBody, responses: { 200: jsonResponse('Updated record', sample), 404: notFound } },
+      patch: { summary: 'Update a record', requestBody, responses: { 200: jsonResponse('Updated record', sample), 404: notFound } },
+      delete: { summary: 'Delete a record', responses: { 204: { description: 'Deleted' }, 404: notFound } },
+    },
+  };
+}
+
+function schemaParameters(schema, location) {
+  const properties = schema && typeof schema === 'object' ? schema.properties || {} : {};
+  const required = Array.isArray(schema?.required) ? schema.required : [];
+  return Object.entries(properties).map(([name, propertySchema]) => ({
+    name,
+    in: location,
+    required: required.includes(name),
+    schema: propertySchema,
+  }));
+}
+
+// Documents the route's request schemas (body, query, headers) on the operation.
+function applyRequestSchema(operation, route) {
+  const requestSchema = route.requestSchema;
+  if (!requestSchema || typeof requestSchema !== 'object') return;
+  const parameters = [
+    ...schemaParameters(requestSchema.query, 'query'),
+    ...schemaParameters(requestSchema.headers, 'header'),
+  ];
+  if (parameters.length) {
+    operation.parameters = parameters;
+  }
+  if (requestSchema.body !== undefined) {
+    operation.requestBody = { required: true, content: { 'application/json': { schema: requestSchema.body } } };
+  }
+  const validationStatus = route.requestValidationStatus || 400;
+  if (!operation.responses[validationStatus]) {
+    operation.responses[validationStatus] = { description: 'Request validation failed' };
+  }
+}
+
 export function buildRouteOpenApiDocument(route, options = {}) {
   if (!route) {
     throw new Error('Route is required');
@@ -50,19 +134,33 @@ export function buildRouteOpenApiDocument(route, options = {}) {
     },
   };
 
+  const variants = Array.isArray(route.responseVariants) ? route.responseVariants : [];
+  const sequenceSteps = route.responseSequence?.enabled ? route.responseSequence.steps || [] : [];
+  [...variants, ...sequenceSteps].forEach((variant) => {
+    if (!variant?.status || responses[variant.status]) return;
+    responses[variant.status] = {
+      description: variant.name || `Mock response (${variant.status})`,
+      content: buildResponseContent(route, variant),
+    };
+  });
+
   const operation = {
     summary: route.description || 'Mock response',
     responses,
   };
+  applyRequestSchema(operation, route);
 
   const document = {
     openapi: '3.0.0',
     info,
-    paths: {
-      [path]: {
-        [method]: operation,
-      },
-    },
+    paths:
+      route.routeType === 'resource'
+        ? buildResourcePaths(route, path)
+        : {
+            [path]: {
+              [method]: operation,
+            },
+          },
   };
 
   if (options.serverUrl) {
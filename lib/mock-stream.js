@@ -0,0 +1,148 @@
+import { renderTemplate } from '../gui-mock-api/templates.js';
+
+export const STREAM_END_MODES = ['close', 'keepAlive'];
+export const KEEP_ALIVE_INTERVAL_MS = 15000;
+
+const MAX_EVENT_DELAY_MS = 60 * 1000;
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function normalizeEvent(event, index) {
+  if (!isPlainObject(event)) {
+    throw new Error(`Event ${index + 1} must be an object`);
+  }
+  const delayMs = Number(event.delayMs ?? 0);
+  if (Number.isNaN(delayMs) || delayMs < 0 || delayMs > MAX_EVENT_DELAY_MS) {
+    throw new Error(`Event ${index + 1}: delayMs must be between 0 and ${MAX_EVENT_DELAY_MS}`);
+  }
+  const name = String(event.event ?? '').trim();
+  if (/[\r\n]/.test(name)) {
+    throw new Error(`Event ${index + 1}: event name cannot contain line breaks`);
+  }
+  const id = String(event.id ?? '').trim();
+  if (/[\r\n]/.test(id)) {
+    throw new Error(`Event ${index + 1}: id cannot contain line breaks`);
+  }
+  return {
+    event: name,
+    id,
+    data: event.data === undefined || event.data === null ? '' : String(event.data),
+    delayMs,
+  };
+}
+
+// `{ events: [{ event, id, data, delayMs }], end: 'close' | 'keepAlive' }`
+export function normalizeStreamConfig(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  let parsed = value;
+  if (typeof value === 'string') {
+    try {
+      parsed = JSON.parse(value);
+    } catch {
+      throw new Error('Stream settings must contain valid JSON');
+    }
+  }
+  if (!isPlainObject(parsed)) {
+    throw new Error('Stream settings must be an object');
+  }
+  if (parsed.events !== undefined && !Array.isArray(parsed.events)) {
+    throw new Error('Stream events must be an array');
+  }
+  const end = parsed.end || 'close';
+  if (!STREAM_END_MODES.includes(end)) {
+    throw new Error('Stream end must be close or keepAlive');
+  }
+
+  return {
+    events: (parsed.events || []).map(normalizeEvent),
+    end,
+  };
+}
+
+// Serializes one event in the text/event-stream wire format.
+export function formatServerSentEvent({ event, id, data }) {
+  const lines = [];
+  if (id) lines.push(`id: ${id}`);
+  if (event) lines.push(`event: ${event}`);
+  String(data ?? '')
+    .split(/\r\n|\r|\n/)
+    .forEach((line) => lines.push(`data: ${line}`));
+  return `${lines.join('\n')}\n\n`;
+}
+
+// Emits the configured events one by one. `data` is rendered as a Handlebars template with
+// the request context plus `event.index` (zero-based) when `templateEnabled` is set.
+export function createEventStream(stream, { context, templateEnabled, signal } = {}) {
+  const encoder = new TextEncoder();
+  const events = stream?.events || [];
+  let timer = null;
+  let closed = false;
+
+  const stop = () => {
+    closed = true;
+    clearTimeout(timer);
+    clearInterval(timer);
+  };
+
+  return new ReadableStream({
+    start(controller) {
+      signal?.addEventListener('abort', () => {
+        stop();
+        try {
+          controller.close();
+        } catch {
+          // Already closed.
+        }
+      });
+
+      const send = (index) => {
+        if (closed) return;
+        if (index >= events.length) {
+          if (stream?.end === 'keepAlive') {
+            timer = setInterval(() => {
+              if (!closed) controller.enqueue(encoder.encode(': keep-alive\n\n'));
+            }, KEEP_ALIVE_INTERVAL_MS);
+          } else {
+            stop();
+            controller.close();
+          }
+          return;
+        }
+
+        const current = events[index];
+        timer = setTimeout(() => {
+          if (closed) return;
+          try {
+            const data = templateEnabled
+              ? renderTemplate(current.data, { ...context, event: { index, name: current.event } })
+              : current.data;
+            controller.enqueue(encoder.encode(formatServerSentEvent({ ...current, data })));
+          } catch (err) {
+            stop();
+            controller.error(err);
+            return;
+          }
+          send(index + 1);
+        }, current.delayMs || 0);
+      };
+
+      send(0);
+    },
+    cancel() {
+      stop();
+    },
+  });
+}
+
+export default {
+  STREAM_END_MODES,
+  KEEP_ALIVE_INTERVAL_MS,
+  normalizeStreamConfig,
+  formatServerSentEvent,
+  createEventStream,
+};
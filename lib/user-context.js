@@ -1,4 +1,5 @@
 import prisma from './prisma.js';
+import { generateProjectSlug } from './mock-namespace.js';
 
 export const DEFAULT_PROJECT_NAME = 'My First Project';
 
@@ -20,6 +21,7 @@ export async function ensureDefaultProjectForUser(userId, client = prisma) {
       data: {
         userId: numericUserId,
         name: DEFAULT_PROJECT_NAME,
+        slug: generateProjectSlug(DEFAULT_PROJECT_NAME),
         description: 'Starter project for your MCP tools'
       }
     });
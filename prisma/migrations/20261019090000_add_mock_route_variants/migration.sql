@@ -0,0 +1,2 @@
+-- Ordered conditional response variants evaluated before the route's default response
+ALTER TABLE "MockRoute" ADD COLUMN "responseVariants" JSONB;
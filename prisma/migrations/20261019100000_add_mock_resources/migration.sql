@@ -0,0 +1,24 @@
+-- Stateful CRUD "resource" routes backed by a per-route record collection
+ALTER TABLE "MockRoute"
+  ADD COLUMN "routeType" TEXT NOT NULL DEFAULT 'static',
+  ADD COLUMN "resourceIdField" TEXT NOT NULL DEFAULT 'id',
+  ADD COLUMN "resourceSeed" JSONB,
+  ADD COLUMN "resourceSeededAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "MockResourceRecord" (
+    "id" SERIAL NOT NULL,
+    "routeId" INTEGER NOT NULL,
+    "recordId" TEXT NOT NULL,
+    "data" JSONB NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "MockResourceRecord_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "MockResourceRecord_routeId_recordId_key" ON "MockResourceRecord"("routeId", "recordId");
+
+-- AddForeignKey
+ALTER TABLE "MockResourceRecord" ADD CONSTRAINT "MockResourceRecord_routeId_fkey" FOREIGN KEY ("routeId") REFERENCES "MockRoute"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,29 @@
+-- CreateTable
+CREATE TABLE "MockRequestLog" (
+    "id" SERIAL NOT NULL,
+    "projectId" INTEGER NOT NULL,
+    "routeId" INTEGER,
+    "method" TEXT NOT NULL,
+    "path" TEXT NOT NULL,
+    "matchedParams" JSONB,
+    "query" JSONB,
+    "headers" JSONB,
+    "body" TEXT,
+    "status" INTEGER NOT NULL,
+    "latencyMs" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "MockRequestLog_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "MockRequestLog_routeId_createdAt_idx" ON "MockRequestLog"("routeId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "MockRequestLog_projectId_createdAt_idx" ON "MockRequestLog"("projectId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "MockRequestLog" ADD CONSTRAINT "MockRequestLog_projectId_fkey" FOREIGN KEY ("projectId") REFERENCES "Project"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "MockRequestLog" ADD CONSTRAINT "MockRequestLog_routeId_fkey" FOREIGN KEY ("routeId") REFERENCES "MockRoute"("id") ON DELETE SET NULL ON UPDATE CASCADE;
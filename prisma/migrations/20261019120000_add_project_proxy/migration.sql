@@ -0,0 +1,4 @@
+-- Forward unmatched mock requests to an upstream API, optionally recording them as routes
+ALTER TABLE "Project"
+  ADD COLUMN "upstreamBaseUrl" TEXT,
+  ADD COLUMN "proxyMode" TEXT NOT NULL DEFAULT 'replay';
@@ -0,0 +1,3 @@
+-- Fault injection settings (error rate, latency jitter, dropped/truncated responses)
+ALTER TABLE "Project" ADD COLUMN "chaos" JSONB;
+ALTER TABLE "MockRoute" ADD COLUMN "chaos" JSONB;
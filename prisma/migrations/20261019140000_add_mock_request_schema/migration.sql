@@ -0,0 +1,4 @@
+-- Optional JSON Schemas that incoming mock requests must satisfy
+ALTER TABLE "MockRoute"
+  ADD COLUMN "requestSchema" JSONB,
+  ADD COLUMN "requestValidationStatus" INTEGER NOT NULL DEFAULT 400;
@@ -0,0 +1,21 @@
+-- Uploaded (binary) response bodies, one per mock route
+
+-- CreateTable
+CREATE TABLE "MockRouteFile" (
+    "id" SERIAL NOT NULL,
+    "routeId" INTEGER NOT NULL,
+    "fileName" TEXT NOT NULL,
+    "contentType" TEXT NOT NULL,
+    "size" INTEGER NOT NULL,
+    "data" BYTEA NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "MockRouteFile_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "MockRouteFile_routeId_key" ON "MockRouteFile"("routeId");
+
+-- AddForeignKey
+ALTER TABLE "MockRouteFile" ADD CONSTRAINT "MockRouteFile_routeId_fkey" FOREIGN KEY ("routeId") REFERENCES "MockRoute"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,16 @@
+-- Simulated rate limits per route and per project API key
+ALTER TABLE "Project" ADD COLUMN "rateLimit" JSONB;
+ALTER TABLE "MockRoute" ADD COLUMN "rateLimit" JSONB;
+
+-- CreateTable
+CREATE TABLE "MockRateLimitCounter" (
+    "id" SERIAL NOT NULL,
+    "bucket" TEXT NOT NULL,
+    "windowStart" TIMESTAMP(3) NOT NULL,
+    "count" INTEGER NOT NULL DEFAULT 0,
+
+    CONSTRAINT "MockRateLimitCounter_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "MockRateLimitCounter_bucket_windowStart_key" ON "MockRateLimitCounter"("bucket", "windowStart");
@@ -0,0 +1,20 @@
+-- Ordered responses served across repeated calls, with per-client call counters
+ALTER TABLE "MockRoute" ADD COLUMN "responseSequence" JSONB;
+
+-- CreateTable
+CREATE TABLE "MockSequenceCounter" (
+    "id" SERIAL NOT NULL,
+    "routeId" INTEGER NOT NULL,
+    "clientKey" TEXT NOT NULL,
+    "calls" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "MockSequenceCounter_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "MockSequenceCounter_routeId_clientKey_key" ON "MockSequenceCounter"("routeId", "clientKey");
+
+-- AddForeignKey
+ALTER TABLE "MockSequenceCounter" ADD CONSTRAINT "MockSequenceCounter_routeId_fkey" FOREIGN KEY ("routeId") REFERENCES "MockRoute"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,2 @@
+-- Outbound webhook callbacks fired after a mock route is hit
+ALTER TABLE "MockRoute" ADD COLUMN "callbacks" JSONB;
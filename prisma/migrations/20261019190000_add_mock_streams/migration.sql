@@ -0,0 +1,2 @@
+-- Server-Sent Events settings for "stream" mock routes
+ALTER TABLE "MockRoute" ADD COLUMN "stream" JSONB;
@@ -0,0 +1,2 @@
+-- GraphQL mock endpoint per project (SDL, path and field resolver templates)
+ALTER TABLE "Project" ADD COLUMN "graphql" JSONB;
@@ -0,0 +1,3 @@
+-- Per-project CORS policy and default response headers
+ALTER TABLE "Project" ADD COLUMN "cors" JSONB;
+ALTER TABLE "Project" ADD COLUMN "defaultHeaders" JSONB;
@@ -0,0 +1,2 @@
+-- Explicit priority for routes whose wildcard, regex or parameterized paths overlap
+ALTER TABLE "MockRoute" ADD COLUMN "priority" INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,2 @@
+-- Page/offset/cursor pagination settings for array-backed static routes
+ALTER TABLE "MockRoute" ADD COLUMN "pagination" JSONB;
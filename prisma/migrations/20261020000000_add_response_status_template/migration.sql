@@ -0,0 +1,2 @@
+-- Handlebars template that picks the status code of templated static routes
+ALTER TABLE "MockRoute" ADD COLUMN "responseStatusTemplate" TEXT;
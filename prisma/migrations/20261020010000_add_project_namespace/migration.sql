@@ -0,0 +1,12 @@
+-- URL namespace (/m/<slug>) and optional dedicated host for each project's mock routes
+ALTER TABLE "Project" ADD COLUMN "slug" TEXT;
+ALTER TABLE "Project" ADD COLUMN "mockHost" TEXT;
+
+-- Existing projects get a slug from their name; the id suffix keeps it unique.
+UPDATE "Project"
+SET "slug" = COALESCE(NULLIF(TRIM(BOTH '-' FROM LEFT(LOWER(REGEXP_REPLACE("name", '[^A-Za-z0-9]+', '-', 'g')), 40)), ''), 'project') || '-' || "id";
+
+ALTER TABLE "Project" ALTER COLUMN "slug" SET NOT NULL;
+
+CREATE UNIQUE INDEX "Project_slug_key" ON "Project"("slug");
+CREATE UNIQUE INDEX "Project_mockHost_key" ON "Project"("mockHost");
@@ -0,0 +1,3 @@
+-- Project-wide template variables and Handlebars partials shared by every route template
+ALTER TABLE "Project" ADD COLUMN "templateVars" JSONB;
+ALTER TABLE "Project" ADD COLUMN "templatePartials" JSONB;
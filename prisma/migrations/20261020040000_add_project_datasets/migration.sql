@@ -0,0 +1,20 @@
+-- Named fixture datasets (rows uploaded as CSV or JSON) queried from route templates
+CREATE TABLE "ProjectDataset" (
+    "id" SERIAL NOT NULL,
+    "projectId" INTEGER NOT NULL,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "rows" JSONB NOT NULL,
+    "rowCount" INTEGER NOT NULL DEFAULT 0,
+    "columns" JSONB,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ProjectDataset_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ProjectDataset_projectId_name_key" ON "ProjectDataset"("projectId", "name");
+
+-- AddForeignKey
+ALTER TABLE "ProjectDataset" ADD CONSTRAINT "ProjectDataset_projectId_fkey" FOREIGN KEY ("projectId") REFERENCES "Project"("id") ON DELETE CASCADE ON UPDATE CASCADE;
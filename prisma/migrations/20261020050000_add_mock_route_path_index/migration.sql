@@ -0,0 +1,3 @@
+-- Public and preflight lookups match a request path across all users' routes
+-- CreateIndex
+CREATE INDEX "MockRoute_path_method_idx" ON "MockRoute"("path", "method");
@@ -0,0 +1,7 @@
+-- A mock host only serves requests after its DNS TXT record proves the owner controls it
+-- AlterTable
+ALTER TABLE "Project" ADD COLUMN "mockHostToken" TEXT,
+ADD COLUMN "mockHostVerifiedAt" TIMESTAMP(3);
+
+-- Hosts saved before verification existed get a token and must be verified again
+UPDATE "Project" SET "mockHostToken" = md5(random()::text || "id"::text) WHERE "mockHost" IS NOT NULL;
@@ -2,11 +2,14 @@ import http from 'http';
 import { fileURLToPath } from 'url';
 
 import app from './gui-mock-api/server.js';
+import { attachWebSocketRuntime } from './gui-mock-api/ws-runtime.js';
 
 const DEFAULT_PORT = process.env.PORT || 3000;
 
 export function createHttpServer() {
-  return http.createServer(app);
+  const server = http.createServer(app);
+  attachWebSocketRuntime(server);
+  return server;
 }
 
 export function startServer(options = {}) {